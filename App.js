@@ -7,9 +7,19 @@ import { Asset } from 'expo-asset';
 import * as FileSystem from 'expo-file-system/legacy';
 
 import { useBluetoothUART } from './hooks/useBluetoothUART';
-
+import { BRIDGE_VERSION, METHODS, EVENTS } from './lib/bridgeProtocol';
+import { createRpcServer } from './lib/rpcBridge';
+import { createSensorStream } from './lib/sensorStream';
+import { describeRules } from './lib/insightRules';
+import { describeGoals } from './lib/goals';
+import { logDiagnostic, DIAG_CATEGORY, DIAG_LEVEL } from './lib/diagnostics';
+
+// Built from dashboard/ by `npm run build:dashboard`
 const localHtmlAsset = Asset.fromModule(require('./assets/build/index.html'));
 
+// Schemas the dashboard validates against (same definitions as the native side)
+const BRIDGE_PROTOCOL_JSON = JSON.stringify({ v: BRIDGE_VERSION, methods: METHODS, events: EVENTS });
+
 export default function App() {
   const webref = useRef(null);
   const [html, setHtml] = useState(null);
@@ -25,29 +35,92 @@ export default function App() {
 
     stats,
     storageStats,    // ⭐ UPDATED: instant storage metrics
+    validationCounts,
+    quarantine,
+    retentionPolicy,
+    compaction,
+    updateRetentionPolicy,
+    compactNow,
+    getAggregatesInRange,
 
     sendCommand,
     clearLog,
+    syncReadings,
     clearSavedData,
     connectAndListen,
+    disconnect,
 
     getSortedReadings,
     getDataByDay,
     getDataByWeek,
     getDataByMonth,
+    getDataInRange,
+    exportReadings,
+    previewImport,
+    commitImport,
+    cancelImport,
+
+    getRollups,
+    getRangeStats,
+    rollupsUpdatedAt,
+
+    getAnnotations,
+    addAnnotation,
+    updateAnnotation,
+    deleteAnnotation,
+    annotationsUpdatedAt,
+
+    calendarSettings,
+    calendarView,
+    updateCalendarSettings,
+
+    insights,
+    insightRules,
+    updateInsightRule,
+    resetInsightRules,
+
+    goals,
+    goalProgress,
+    updateGoal,
+    resetGoals,
+
+    alertSettings,
+    alertHistory,
+    updateAlertSettings,
+    getAlertHistory,
+
+    diagnosticsSettings,
+    diagnosticsUpdatedAt,
+    getDiagnostics,
+    updateDiagnosticsSettings,
+    clearDiagnostics,
+    exportDiagnostics,
+
+    devices,
+    discoveredDevices,
+    activeDeviceId,
+    deviceFilter,
+    setDeviceFilter,
+    scanForDevices,
+    stopScan,
+    pairDevice,
+    renameDevice,
+    forgetDevice,
+    deviceInfo,
+    refreshDeviceInfo,
+    setSampleInterval,
+    setLedMode,
+
+    calibrationProfiles,
+    unitDisplay,
+    captureCalibrationPoint,
+    saveCalibrationProfile,
+    removeCalibrationProfile,
+    updateUnitDisplay,
 
     timeRangeStats
   } = useBluetoothUART();
 
-  useEffect(() => {
-    if (webref.current) {
-      webref.current.postMessage(JSON.stringify({
-        type: 'bleConnection',
-        isConnected
-      }));
-    }
-  }, [isConnected]);
-
   // 🔹 Load WebView HTML once
   useEffect(() => {
     (async () => {
@@ -69,71 +142,231 @@ export default function App() {
     })();
   }, []);
 
-  // Send initial HELLO + start periodic GET if connected
-  useEffect(() => {
-    if (isConnected) {
-      //sendCommand('HELLO');
-      const id = setInterval(() => sendCommand('GET'), 3000);
-      return () => clearInterval(id);
-    }
-  }, [isConnected, sendCommand]);
+  // ------------------------------
+  // Dashboard bridge (protocol in lib/bridgeProtocol.js)
+  // ------------------------------
+
+  // Sensor log → sequenced deltas (lib/sensorStream.js), so the dashboard never
+  // receives the whole log again after its initial snapshot
+  const sensorStreamRef = useRef(null);
+  if (!sensorStreamRef.current) sensorStreamRef.current = createSensorStream();
+  const sensorStream = sensorStreamRef.current;
+
+  // Handlers always call the latest hook callbacks; the server itself is created once
+  const handlersRef = useRef({});
+  handlersRef.current = {
+    getDataByDay: ({ date, deviceId }) => getDataByDay(date, deviceId),
+    getDataByWeek: ({ date, deviceId }) => getDataByWeek(date, deviceId),
+    getDataByMonth: ({ date, deviceId }) => getDataByMonth(date, deviceId),
+    getDataInRange: ({ start, end, deviceId }) => getDataInRange(start, end, deviceId),
+    getSortedReadings: ({ limit, deviceId }) => getSortedReadings(limit, deviceId),
+    getSensorSnapshot: ({ since }) => sensorStream.snapshot(since),
+    getRollups: ({ period, start, end }) => getRollups(period, start, end),
+    getRangeStats: (params) => getRangeStats(params),
+
+    getAnnotations: ({ start, end }) => getAnnotations(start, end),
+    addAnnotation: ({ annotation }) => addAnnotation(annotation),
+    updateAnnotation: ({ id, changes }) => updateAnnotation(id, changes),
+    deleteAnnotation: ({ id }) => deleteAnnotation(id),
+
+    sendCommand: ({ command }) => sendCommand(command),
+    syncReadings: async () => {
+      const result = await syncReadings();
+      return {
+        outcome: result.outcome,
+        committed: result.committed.length,
+        duplicates: result.duplicates,
+        rejected: result.rejected.length,
+        message: result.message,
+      };
+    },
+    clearSavedData: () => clearSavedData(),
+    updateRetentionPolicy: ({ policy }) => updateRetentionPolicy(policy),
+    compactStorage: () => compactNow(),
+    updateCalendarSettings: ({ settings }) => updateCalendarSettings(settings),
+    getAggregatesInRange: ({ start, end, deviceId }) => getAggregatesInRange(start, end, deviceId),
+
+    // 💡 Only connect when WebView explicitly asks
+    connectAndListen: ({ deviceId }) => connectAndListen(deviceId ?? undefined),
+    disconnect: () => disconnect(),
+
+    scanForDevices: () => scanForDevices(),
+    stopScan: () => stopScan(),
+    pairDevice: ({ deviceId, nickname }) => pairDevice(deviceId, nickname),
+    renameDevice: ({ deviceId, nickname }) => renameDevice(deviceId, nickname),
+    forgetDevice: ({ deviceId }) => forgetDevice(deviceId),
+    setDeviceFilter: ({ deviceId }) => setDeviceFilter(deviceId),
+    refreshDeviceInfo: () => refreshDeviceInfo(),
+    setSampleInterval: ({ seconds }) => setSampleInterval(seconds),
+    setLedMode: ({ mode }) => setLedMode(mode),
+    captureCalibrationPoint: ({ deviceId, windowMs }) => captureCalibrationPoint(deviceId, windowMs),
+    saveCalibrationProfile: ({ deviceId, profile, applyToExisting }) =>
+      saveCalibrationProfile(deviceId, profile, { applyToExisting }),
+    removeCalibrationProfile: ({ deviceId, applyToExisting }) =>
+      removeCalibrationProfile(deviceId, { applyToExisting }),
+    updateUnitDisplay: ({ display }) => updateUnitDisplay(display),
+
+    exportReadings: (options) => exportReadings(options),
+    previewImport: ({ text }) => previewImport(text),
+    commitImport: () => commitImport(),
+    cancelImport: () => cancelImport(),
+
+    updateInsightRule: ({ id, enabled, params }) => updateInsightRule(id, { enabled, params }),
+    resetInsightRules: () => resetInsightRules(),
+
+    updateGoal: ({ id, enabled, params }) => updateGoal(id, { enabled, params }),
+    resetGoals: () => resetGoals(),
+
+    updateAlertSettings: ({ settings }) => updateAlertSettings(settings),
+    getAlertHistory: ({ limit }) => getAlertHistory(limit),
+
+    getDiagnostics: ({ limit, category }) => getDiagnostics({ limit, category }),
+    updateDiagnosticsSettings: ({ settings }) => updateDiagnosticsSettings(settings),
+    clearDiagnostics: () => clearDiagnostics(),
+    exportDiagnostics: () => exportDiagnostics(),
+  };
+
+  // Latest value of every event, replayed when the dashboard (re)connects
+  const eventsRef = useRef({});
+  eventsRef.current = {
+    updateStats: {
+      ...stats,
+      latestIntensity: sensorLogData[sensorLogData.length - 1]?.intensity ?? null,
+    },
+    storageStats,
+    retention: { policy: retentionPolicy, ...compaction },
+    validationCounts,
+    quarantine,
+    timeRangeStats,
+    rollupsUpdated: { updatedAt: rollupsUpdatedAt },
+    annotationsUpdated: { updatedAt: annotationsUpdatedAt },
+    insights,
+    insightRules: describeRules(insightRules),
+    goals: { goals: describeGoals(goals), progress: goalProgress },
+    alertSettings,
+    alertHistory,
+    // boundaries first: the dashboard's snapshot after sensorReset uses them
+    calendar: { settings: calendarSettings, ...calendarView },
+    sensorReset: { seq: sensorStream.seq },
+    bleConnection: { isConnected, connectionState, error },
+    devices: { paired: devices, discovered: discoveredDevices, activeDeviceId, deviceFilter, isScanning },
+    deviceInfo,
+    calibration: { profiles: calibrationProfiles, display: unitDisplay },
+    diagnostics: { settings: diagnosticsSettings, updatedAt: diagnosticsUpdatedAt },
+  };
+
+  const bridgeRef = useRef(null);
+  if (!bridgeRef.current) {
+    bridgeRef.current = createRpcServer({
+      getHandler: (method) => handlersRef.current[method],
+      post: (message) => webref.current?.postMessage(JSON.stringify(message)),
+      onReady: () => {
+        Object.entries(eventsRef.current).forEach(([event, payload]) =>
+          bridgeRef.current.emit(event, payload)
+        );
+      },
+    });
+  }
+  const bridge = bridgeRef.current;
 
   // send persisted stats whenever they update
   useEffect(() => {
-    console.log("sending updates with webview",{
-      ...stats,
-      latestIntensity:
-      sensorLogData[sensorLogData.length - 1]?.intensity ?? null,
-    });
+    console.log("sending updates with webview", eventsRef.current.updateStats);
+    bridge.emit('updateStats', eventsRef.current.updateStats);
+  }, [bridge, stats, sensorLogData]);
 
-    if (!webref.current) return;
+  // send storage stats
+  useEffect(() => {
+    bridge.emit('storageStats', storageStats);
+  }, [bridge, storageStats]);
 
-    webref.current.postMessage(
-      JSON.stringify({ type: 'updateStats', payload: {
-        ...stats,
-        latestIntensity: sensorLogData[sensorLogData.length - 1]?.intensity ?? null,
-      }
-       })
-    );
-  }, [stats, sensorLogData]);
+  // accepted / duplicate / rejected counters + quarantine log
+  useEffect(() => {
+    bridge.emit('validationCounts', validationCounts);
+  }, [bridge, validationCounts]);
 
-  // send storage stats
   useEffect(() => {
-    if (!webref.current) return;
-    webref.current.postMessage(
-      JSON.stringify({ type: 'storageStats', payload: storageStats,
-       })
-    );
-  }, [storageStats]);
+    bridge.emit('quarantine', quarantine);
+  }, [bridge, quarantine]);
+
+  // retention settings + compaction status
+  useEffect(() => {
+    bridge.emit('retention', eventsRef.current.retention);
+  }, [bridge, retentionPolicy, compaction]);
 
   // send time range stats
   useEffect(() => {
-    if (!webref.current) return;
-    webref.current.postMessage(
-      JSON.stringify({ type: 'timeRangeStats', payload: timeRangeStats,
-       })
-    );
-  }, [timeRangeStats]);
+    bridge.emit('timeRangeStats', timeRangeStats);
+  }, [bridge, timeRangeStats]);
 
+  // insight list + the settings editor
+  useEffect(() => {
+    bridge.emit('insights', insights);
+  }, [bridge, insights]);
 
   useEffect(() => {
-    if (!webref.current) return;
-    
-    webref.current.postMessage(
-      JSON.stringify({ type: 'sensorData', payload: sensorLogData,
-        })
-    );
-  }, [sensorLogData]);
+    bridge.emit('insightRules', eventsRef.current.insightRules);
+  }, [bridge, insightRules]);
 
+  // goal progress bars, streaks and calendar + their settings
+  useEffect(() => {
+    bridge.emit('goals', eventsRef.current.goals);
+  }, [bridge, goals, goalProgress]);
 
-  // Notify WebView when BLE connection status changes
+  // alert settings editor + history
   useEffect(() => {
-    if (webref.current) {
-      webref.current.postMessage(
-        JSON.stringify({ type: 'bleConnection', isConnected })
-      );
-    }
-  }, [isConnected]);
+    bridge.emit('alertSettings', alertSettings);
+  }, [bridge, alertSettings]);
+
+  useEffect(() => {
+    bridge.emit('alertHistory', alertHistory);
+  }, [bridge, alertHistory]);
+
+  // day / week / month boundaries + the calendar setting
+  useEffect(() => {
+    bridge.emit('calendar', eventsRef.current.calendar);
+  }, [bridge, calendarSettings, calendarView]);
+
+  // history views refetch rollups on this
+  useEffect(() => {
+    bridge.emit('rollupsUpdated', { updatedAt: rollupsUpdatedAt });
+  }, [bridge, rollupsUpdatedAt]);
+
+  // an activity was logged, edited or deleted; the dashboard refetches
+  useEffect(() => {
+    bridge.emit('annotationsUpdated', { updatedAt: annotationsUpdatedAt });
+  }, [bridge, annotationsUpdatedAt]);
+
+  // send only what was appended since the last render (or a reset)
+  useEffect(() => {
+    const change = sensorStream.next(sensorLogData);
+    if (change) bridge.emit(change.event, change.payload);
+  }, [bridge, sensorStream, sensorLogData]);
+
+  // Notify WebView when BLE connection status changes (state + typed error reason)
+  useEffect(() => {
+    bridge.emit('bleConnection', { isConnected, connectionState, error });
+  }, [bridge, isConnected, connectionState, error]);
+
+  // Paired + discovered necklaces for the device picker
+  useEffect(() => {
+    bridge.emit('devices', eventsRef.current.devices);
+  }, [bridge, devices, discoveredDevices, activeDeviceId, deviceFilter, isScanning]);
+
+  // Firmware, battery, log level and settings of the connected necklace
+  useEffect(() => {
+    bridge.emit('deviceInfo', deviceInfo);
+  }, [bridge, deviceInfo]);
+
+  // calibration profiles + raw / calibrated display
+  useEffect(() => {
+    bridge.emit('calibration', eventsRef.current.calibration);
+  }, [bridge, calibrationProfiles, unitDisplay]);
+
+  // raw-capture switch + "new entries" ping for the diagnostics screen
+  useEffect(() => {
+    bridge.emit('diagnostics', eventsRef.current.diagnostics);
+  }, [bridge, diagnosticsSettings, diagnosticsUpdatedAt]);
 
 /*
   // Handle connection requests from WebView
@@ -176,18 +409,25 @@ export default function App() {
       // 💡 Ignore console.log messages coming from WebView
       if (data.type === 'log') return;
 
-      // 💡 Only connect when WebView explicitly asks
-      if (data.type === 'connectBluetooth') {
-        console.log('[BLE] connectBluetooth request from WebView');
-        connectAndListen && connectAndListen();
+      // uncaught errors, rejections and console.error from the dashboard
+      if (data.type === 'error') {
+        console.warn('[WEBVIEW ERROR]:', data.message);
+        logDiagnostic(DIAG_CATEGORY.WEBVIEW, data.kind ?? 'error', {
+          level: DIAG_LEVEL.ERROR,
+          message: data.message,
+          detail: data.source ? { source: data.source, line: data.line, stack: data.stack } : data.stack,
+        });
         return;
       }
 
+      if (!bridge.handleMessage(data)) {
+        console.warn('[BRIDGE] Ignoring non-request message:', data.type);
+      }
     } catch (err) {
       console.error('[WebView] Failed to handle message:', err);
     }
   },
-  [connectAndListen]
+  [bridge]
 );
 
   // 🔹 Show loading indicator while HTML loads
@@ -220,6 +460,7 @@ export default function App() {
 
         
         injectedJavaScriptBeforeContentLoaded={`
+          window.__BRIDGE_PROTOCOL__ = ${BRIDGE_PROTOCOL_JSON};
           (function() {
             const oldLog = console.log;
             console.log = function(...args) {
@@ -228,6 +469,26 @@ export default function App() {
               } catch (e) {}
               oldLog.apply(null, args);
             };
+
+            function reportError(kind, message, extra) {
+              try {
+                window.ReactNativeWebView.postMessage(JSON.stringify({ type: 'error', kind, message: String(message), ...extra }));
+              } catch (e) {}
+            }
+            const oldError = console.error;
+            console.error = function(...args) {
+              try {
+                reportError('console', args.map((a) => (a instanceof Error ? a.message : typeof a === 'string' ? a : JSON.stringify(a))).join(' '));
+              } catch (e) {}
+              oldError.apply(null, args);
+            };
+            window.addEventListener('error', (e) => {
+              reportError('uncaught', e.message, { source: e.filename, line: e.lineno, stack: e.error && e.error.stack });
+            });
+            window.addEventListener('unhandledrejection', (e) => {
+              const reason = e.reason;
+              reportError('rejection', reason && reason.message ? reason.message : reason, { stack: reason && reason.stack });
+            });
           })();
           true;
         `}
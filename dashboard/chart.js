@@ -0,0 +1,8 @@
+// dashboard/chart.js
+//
+// Chart.js for the dashboard's classic scripts, which expect a global Chart.
+// Module scripts run before the window load event that creates the chart.
+
+import Chart from 'chart.js/auto';
+
+window.Chart = Chart;
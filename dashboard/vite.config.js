@@ -0,0 +1,18 @@
+// dashboard/vite.config.js
+//
+// Builds dashboard/index.html into the single self-contained page the WebView
+// loads (assets/build/index.html): npm run build:dashboard
+
+import { defineConfig } from 'vite';
+import { viteSingleFile } from 'vite-plugin-singlefile';
+
+export default defineConfig({
+  root: __dirname,
+  plugins: [viteSingleFile()],
+  build: {
+    outDir: '../assets/build',
+    emptyOutDir: false,
+    // everything is inlined; there is nothing to preload
+    modulePreload: { polyfill: false },
+  },
+});
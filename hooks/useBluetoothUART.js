@@ -1,17 +1,227 @@
 // hooks/useBluetoothUART.js
 import { useState, useRef, useCallback, useEffect } from 'react';
-import { BleManager } from 'react-native-ble-plx';
-import { Buffer } from 'buffer';
-import * as FileSystem from 'expo-file-system/legacy';
+import { InteractionManager } from 'react-native';
+
+import {
+  insertReadings,
+  clearReadings,
+  getReadingsInRange,
+  getReadingsInPeriod,
+  countReadingsInPeriod,
+  getSortedReadings as querySortedReadings,
+  getStorageStats,
+  migrateLegacyJson,
+} from '../lib/readingStore';
+import { getMeta, setMeta } from '../lib/db';
+import {
+  listDevices,
+  pairDevice as storePairDevice,
+  renameDevice as storeRenameDevice,
+  forgetDevice as storeForgetDevice,
+  touchDevice,
+  deviceMetaKey,
+} from '../lib/deviceStore';
+import { alignReadings, createClockState } from '../lib/clockSync';
+import { createCommandQueue } from '../lib/commandQueue';
+import { runSyncCycle, SYNC_CURSOR_KEY, SYNC_OUTCOME } from '../lib/syncCycle';
+import { validateReadingLines, looksLikeReading, dropStoredDuplicates } from '../lib/readingValidation';
+import {
+  quarantineLines,
+  getQuarantine as queryQuarantine,
+  getValidationCounts,
+  countValidation,
+  clearQuarantine,
+} from '../lib/quarantineStore';
+import {
+  BLE_ERROR,
+  errorFromAdapterState,
+  isRetryable,
+  makeConnectionError,
+  toConnectionError,
+} from '../lib/connectionErrors';
+import { createLineReader, SERVICE_UUID } from '../lib/uartProtocol';
+import { EXPORT_FORMAT, writeExportFile, shareExportFile } from '../lib/exportReadings';
+import { planImport } from '../lib/importReadings';
+import {
+  backfillRollups,
+  updateRollups,
+  clearRollups,
+  rebuildRollups,
+  getRollups as queryRollups,
+  ROLLUP_PERIOD,
+} from '../lib/rollupStore';
+import { getRangeStats as queryRangeStats } from '../lib/rangeStats';
+import {
+  addAnnotation as storeAddAnnotation,
+  updateAnnotation as storeUpdateAnnotation,
+  deleteAnnotation as storeDeleteAnnotation,
+  getAnnotationsInRange,
+  clearAnnotations,
+} from '../lib/annotationStore';
+import {
+  loadCalendarSettings,
+  updateCalendarSettings as storeUpdateCalendarSettings,
+  getCalendar,
+  refreshCalendar,
+  describeCalendar,
+  deviceTimeZone,
+  CALENDAR_PERIOD,
+} from '../lib/calendar';
+import {
+  loadCalibrationProfiles,
+  getActiveProfiles,
+  calibrateReadings,
+  readingsForDisplay,
+  saveCalibrationProfile as storeSaveCalibrationProfile,
+  removeCalibrationProfile as storeRemoveCalibrationProfile,
+  loadUnitDisplay,
+  updateUnitDisplay as storeUpdateUnitDisplay,
+  CALIBRATION_CAPTURE_MS,
+  UNIT_DISPLAY,
+} from '../lib/calibration';
+import { createTransport } from '../lib/transports';
+import { computeExposure, HIGH_INTENSITY_THRESHOLD } from '../lib/exposure';
+import {
+  loadInsightRules,
+  updateInsightRule as storeUpdateInsightRule,
+  resetInsightRules as storeResetInsightRules,
+  buildInsightContext,
+  evaluateRules,
+  INSIGHT_BASELINE_DAYS,
+} from '../lib/insightRules';
+import {
+  loadGoals,
+  updateGoal as storeUpdateGoal,
+  resetGoals as storeResetGoals,
+  buildGoalProgress,
+  GOAL_HISTORY_DAYS,
+} from '../lib/goals';
+import {
+  loadAlertSettings,
+  updateAlertSettings as storeUpdateAlertSettings,
+  anyAlertEnabled,
+  evaluateAlerts,
+  applyDeliveryPolicy,
+  ALERT_SUPPRESSED,
+} from '../lib/alertRules';
+import {
+  recordAlert,
+  getAlertHistory as queryAlertHistory,
+  getAlertsSince,
+  clearAlertHistory,
+} from '../lib/alertStore';
+import { ensureNotificationPermission, presentNotification } from '../lib/notifications';
+import {
+  loadRetentionPolicy,
+  updateRetentionPolicy as storeUpdateRetentionPolicy,
+  getLastCompaction,
+  runCompaction,
+  previewCompaction,
+  getAggregatesInRange as queryAggregatesInRange,
+  clearAggregates,
+} from '../lib/retention';
+import {
+  queryDeviceInfo,
+  parseHello,
+  setSampleInterval as deviceSetSampleInterval,
+  setLedMode as deviceSetLedMode,
+} from '../lib/deviceInfo';
+import {
+  logDiagnostic,
+  logRawChunk,
+  subscribeDiagnostics,
+  loadDiagnosticsSettings,
+  updateDiagnosticsSettings as storeUpdateDiagnosticsSettings,
+  getDiagnostics as queryDiagnostics,
+  clearDiagnostics as storeClearDiagnostics,
+  writeDiagnosticsFile,
+  DIAG_CATEGORY,
+  DIAG_LEVEL,
+} from '../lib/diagnostics';
+
+const EMPTY_STATS = {
+  totalExposure: 0,
+  avgIntensity: 0,
+  maxIntensity: 0,
+  latestIntensity: 0,
+  numberReadings: 0,
+  peakTime: 0,
+  wornMs: 0,
+  gaps: 0,
+  threshold: HIGH_INTENSITY_THRESHOLD,
+  timeAboveThresholdMs: 0,
+  exposureByWindow: null,
+  display: null,
+};
+
+// clock state and sync cursor are stored per device (see deviceMetaKey)
+const CLOCK_STATE_KEY = 'clockSync';
+const LAST_DEVICE_KEY = 'lastDeviceId';
+
+// Connection / reconnection tuning
+const SCAN_TIMEOUT_MS = 15000;
+const CONNECT_TIMEOUT_MS = 10000;
+const DIRECT_RECONNECT_ATTEMPTS = 2;   // then fall back to scanning
+const MAX_RECONNECT_ATTEMPTS = 8;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+// One scheduler drives every automatic GET
+const POLL_INTERVAL_MS = 5000;
+
+// Time-window rules need re-checking even when no readings arrive
+const INSIGHT_INTERVAL_MS = 60000;
+
+// Alerts look back this far for runs, cooldowns and once-per-day keys
+const ALERT_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const ALERT_HISTORY_LIMIT = 20;
+
+// Quarantined lines sent to the dashboard
+const QUARANTINE_LIMIT = 20;
+
+// Retention runs after startup, on policy changes and then this often
+const COMPACTION_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Battery and log level are re-read after a sync at most this often
+const DEVICE_INFO_INTERVAL_MS = 5 * 60 * 1000;
+
+// Rejected lines logged individually per batch; the rest are only counted
+const DIAGNOSTIC_PARSE_LIMIT = 20;
+
+// Readings arriving within this window are written in one transaction
+const INSERT_BATCH_DELAY_MS = 500;
+
+// BLE or simulated necklace, chosen in app.json (see lib/transports/index.js)
+const transport = createTransport();
+
+// Exponential backoff with ±20% jitter
+function backoffDelay(attempt) {
+  const base = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1), RECONNECT_MAX_DELAY_MS);
+  return base * (0.8 + Math.random() * 0.4);
+}
 
-const DATA_FILE = FileSystem.documentDirectory + 'sensor_data.json';
-const DAILY_STATS_FILE = FileSystem.documentDirectory + 'daily_stats.json';
+// Only necklaces advertising the Nordic UART service show up in the picker
+function advertisesUart(device) {
+  return (device.serviceUUIDs ?? []).some(
+    (uuid) => uuid.toLowerCase() === SERVICE_UUID.toLowerCase()
+  );
+}
 
-const SERVICE_UUID = '6e400001-b5a3-f393-e0a9-e50e24dcca9e';
-const TX_CHAR_UUID = '6e400003-b5a3-f393-e0a9-e50e24dcca9e';
-const RX_CHAR_UUID = '6e400002-b5a3-f393-e0a9-e50e24dcca9e';
+// The calendar day / ISO week / month containing `date` (lib/calendar.js)
+function calendarPeriod(period, date) {
+  return getCalendar().period(period, new Date(date).getTime());
+}
 
-const manager = new BleManager();
+// Oldest reading kept in memory: enough to cover today, this week and this
+// month, plus a day for readings counted on their own local time
+function recentWindowStart(now = Date.now()) {
+  const calendar = getCalendar();
+  const start = Math.min(
+    calendar.period(CALENDAR_PERIOD.WEEK, now).start,
+    calendar.period(CALENDAR_PERIOD.MONTH, now).start
+  );
+  return calendar.local ? calendar.dayStart(start, -1) : start;
+}
 
 export function useBluetoothUART() {
   const [isConnected, setIsConnected] = useState(false);
@@ -21,14 +231,43 @@ export function useBluetoothUART() {
   const [statusLogData, setStatusLogData] = useState([]);
   const [error, setError] = useState(null);
 
-  const [stats, setStats] = useState({
-    totalExposure: 0,
-    avgIntensity: 0,
-    maxIntensity: 0,
-    latestIntensity: 0,
-    numberReadings: 0,
-    peakTime: 0,
-  });
+  // Paired necklaces, what the last scan found, which one is connected,
+  // and which one stats are filtered to (null = all devices merged)
+  const [devices, setDevices] = useState([]);
+  const [discoveredDevices, setDiscoveredDevices] = useState([]);
+  const [activeDeviceId, setActiveDeviceId] = useState(null);
+  const [deviceFilter, setDeviceFilter] = useState(null);
+
+  // Bumped whenever day/week/month rollups change, so history views refetch
+  const [rollupsUpdatedAt, setRollupsUpdatedAt] = useState(null);
+
+  // Bumped whenever a logged activity is added, edited or deleted
+  const [annotationsUpdatedAt, setAnnotationsUpdatedAt] = useState(null);
+
+  // Calendar bucketing (lib/calendar.js) and the phone's zone it was built
+  // for, so travelling rebuilds local-zone boundaries
+  const [calendarSettings, setCalendarSettings] = useState(null);
+  const [timeZone, setTimeZone] = useState(deviceTimeZone);
+  const [calendarView, setCalendarView] = useState(() => describeCalendar(getCalendar()));
+
+  // Insight rules (with the user's overrides) and the insights they produce
+  const [insightRules, setInsightRules] = useState([]);
+  const [insights, setInsights] = useState([]);
+  const [insightTick, setInsightTick] = useState(0);
+  const insightStateRef = useRef({});
+
+  // Daily goals (with the user's overrides), today's progress and streaks
+  const [goals, setGoals] = useState([]);
+  const [goalProgress, setGoalProgress] = useState(null);
+
+  // Threshold alerts (lib/alertRules.js) and the most recent ones fired
+  const [alertSettings, setAlertSettings] = useState(null);
+  const [alertHistory, setAlertHistory] = useState([]);
+  const alertSettingsRef = useRef(null);
+  const alertCheckRef = useRef(Promise.resolve());
+  const checkAlertsRef = useRef(() => {}); // defined next to handleTX, used by flushes
+
+  const [stats, setStats] = useState(EMPTY_STATS);
 
   // ⭐ NEW: instant storage stats
   const [storageStats, setStorageStats] = useState({
@@ -36,6 +275,29 @@ export function useBluetoothUART() {
     totalReadings: 0,
   });
 
+  // Validation totals and the latest quarantined lines (lib/readingValidation.js)
+  const [validationCounts, setValidationCounts] = useState(null);
+  const [quarantine, setQuarantine] = useState([]);
+
+  // Retention policy (lib/retention.js) and the last compaction run
+  const [retentionPolicy, setRetentionPolicy] = useState(null);
+  const [compaction, setCompaction] = useState({ running: false, last: null });
+
+  // Firmware, battery, log and clock of the connected necklace (lib/deviceInfo.js)
+  const [deviceInfo, setDeviceInfo] = useState(null);
+  const deviceInfoRef = useRef(null);
+  const notifiedWarningsRef = useRef(new Set());
+
+  // Calibration profiles in use (lib/calibration.js) and whether stats and
+  // the chart show raw counts or calibrated units
+  const [calibrationProfiles, setCalibrationProfiles] = useState([]);
+  const [unitDisplay, setUnitDisplay] = useState(UNIT_DISPLAY.RAW);
+
+  // Debug log (lib/diagnostics.js): raw-capture switch + last write, so an
+  // open diagnostics screen knows to refetch
+  const [diagnosticsSettings, setDiagnosticsSettings] = useState(null);
+  const [diagnosticsUpdatedAt, setDiagnosticsUpdatedAt] = useState(null);
+
   // ⭐ NEW: Day / Week / Month reading counters
   const [timeRangeStats, setTimeRangeStats] = useState({
     readingsToday: 0,
@@ -43,151 +305,259 @@ export function useBluetoothUART() {
     readingsMonth: 0,
   });
 
-  const txCharRef = useRef(null);
-  const rxCharRef = useRef(null);
-  const activeCommandRef = useRef(null);
-  const lineBufferRef = useRef('');
-  const deviceRef = useRef(null);
-
-  const b64ToUtf8 = (b64) => Buffer.from(b64, 'base64').toString('utf8');
+  const pollInFlightRef = useRef(false);
+  const connectionRef = useRef(null);
+  const wantConnectedRef = useRef(false);
+  const lastDeviceIdRef = useRef(null);
+  const reconnectAttemptRef = useRef(0);
+  const reconnectTimerRef = useRef(null);
+  const scanTimerRef = useRef(null);
+  const connectScanRef = useRef(false);
+  const devicesRef = useRef([]);
+  const retryOrFailRef = useRef(null);
+  const pendingReadingsRef = useRef([]);
+  const flushTimerRef = useRef(null);
+  const clockStatesRef = useRef({}); // deviceId → clock state
 
   // ------------------------------
   // Load existing data on startup
   // ------------------------------
   useEffect(() => {
     (async () => {
+      // before anything buckets readings into days
+      try {
+        setCalendarSettings(await loadCalendarSettings());
+      } catch (err) {
+        console.warn('[ERROR] Failed to load calendar settings:', err);
+      }
+
+      // before the first reading is stored
+      try {
+        setCalibrationProfiles(await loadCalibrationProfiles());
+        setUnitDisplay(await loadUnitDisplay());
+      } catch (err) {
+        console.warn('[ERROR] Failed to load calibration profiles:', err);
+      }
+
       try {
         console.log("[INIT] Loading saved data...");
-        const exists = await FileSystem.getInfoAsync(DATA_FILE);
-        if (exists.exists) {
-          const text = await FileSystem.readAsStringAsync(DATA_FILE);
-          const saved = JSON.parse(text);
-
-          if (Array.isArray(saved)) {
-            setSensorLogData(saved);
-            console.log(`[INIT] Loaded ${saved.length} legacy readings`);
-          } else {
-            if (saved.readings) {
-              console.log(`[INIT] Loaded ${saved.readings.length} readings`);
-              setSensorLogData(saved.readings);
-            }
-            if (saved.stats) setStats(saved.stats);
-          }
-        }
+        await migrateLegacyJson();
+        lastDeviceIdRef.current = await getMeta(LAST_DEVICE_KEY, null);
+
+        const paired = await listDevices();
+        devicesRef.current = paired;
+        setDevices(paired);
+
+        const recent = await getReadingsInRange(recentWindowStart(), Number.MAX_SAFE_INTEGER);
+        setSensorLogData(recent);
+        console.log(`[INIT] Loaded ${recent.length} recent readings`);
       } catch (err) {
         console.warn('[ERROR] Failed to load saved data:', err);
       }
+
+      // Days synced or imported while rollups were unavailable
+      try {
+        const days = await backfillRollups();
+        if (days) console.log(`[ROLLUP] Backfilled ${days} day(s)`);
+        setRollupsUpdatedAt(Date.now());
+      } catch (err) {
+        console.warn('[ERROR] Failed to backfill rollups:', err);
+      }
+
+      try {
+        setValidationCounts(await getValidationCounts());
+        setQuarantine(await queryQuarantine(QUARANTINE_LIMIT));
+      } catch (err) {
+        console.warn('[ERROR] Failed to load validation counters:', err);
+      }
+
+      // compaction starts once the policy is set (see below), after backfill
+      try {
+        setCompaction({ running: false, last: await getLastCompaction() });
+        setRetentionPolicy(await loadRetentionPolicy());
+      } catch (err) {
+        console.warn('[ERROR] Failed to load retention policy:', err);
+      }
+
+      try {
+        const settings = await loadAlertSettings();
+        alertSettingsRef.current = settings;
+        setAlertSettings(settings);
+        setAlertHistory(await queryAlertHistory(ALERT_HISTORY_LIMIT));
+        if (anyAlertEnabled(settings)) await ensureNotificationPermission();
+      } catch (err) {
+        console.warn('[ERROR] Failed to load alerts:', err);
+      }
+
+      try {
+        setDiagnosticsSettings(await loadDiagnosticsSettings());
+      } catch (err) {
+        console.warn('[ERROR] Failed to load diagnostics settings:', err);
+      }
     })();
   }, []);
 
+  useEffect(
+    () => subscribeDiagnostics(({ updatedAt }) => setDiagnosticsUpdatedAt(updatedAt)),
+    []
+  );
+
   // ------------------------------
-  // Recompute stats when data updates
+  // Recompute stats when data updates (or the device filter changes)
   // ------------------------------
   useEffect(() => {
-    if (!sensorLogData.length) {
-      setStats({
-        totalExposure: 0,
-        avgIntensity: 0,
-        maxIntensity: 0,
-        latestIntensity: 0,
-        numberReadings: 0,
-        peakTime: 0,
-      });
+    const visibleReadings = deviceFilter
+      ? sensorLogData.filter((r) => r.deviceId === deviceFilter)
+      : sensorLogData;
+
+    if (!visibleReadings.length) {
+      setStats(EMPTY_STATS);
       console.log("[STATS] No readings — stats reset");
       return;
     }
 
-    const now = new Date();
-    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
-    const endOfDay = startOfDay + 86400000;
-
-    const todayReadings = sensorLogData.filter(
-      (r) => r.receivedAt >= startOfDay && r.receivedAt < endOfDay
-    );
+    const calendar = getCalendar();
+    const today = calendar.period(CALENDAR_PERIOD.DAY);
+    const todayReadings = visibleReadings.filter((r) => calendar.contains(today, r));
 
     if (!todayReadings.length) {
-      setStats({
-        totalExposure: 0,
-        avgIntensity: 0,
-        maxIntensity: 0,
-        latestIntensity: 0,
-        numberReadings: 0,
-        peakTime: 0,
-      });
+      setStats(EMPTY_STATS);
       console.log("[STATS] No readings today — stats reset");
       return;
     }
 
-    const intensities = todayReadings.map((r) => r.intensity);
-    const totalExposure = intensities.reduce((a, b) => a + b, 0);
-    const avgIntensity = totalExposure / intensities.length;
-    const maxIntensity = Math.max(...intensities);
-    const latestIntensity = intensities[intensities.length - 1];
-
-    const maxReading = todayReadings.reduce(
-      (max, r) => (r.intensity > max.intensity ? r : max),
-      todayReadings[0]
-    );
-
-    const peakTime = maxReading.receivedAt; 
+    // dose integrated over time, not a sum of samples (see lib/exposure.js)
+    const exposure = computeExposure(todayReadings, { calendar });
+    const latestIntensity = todayReadings[todayReadings.length - 1].intensity;
 
     const newStats = {
-      totalExposure,
-      avgIntensity,
-      maxIntensity,
+      totalExposure: exposure.dose,
+      avgIntensity: exposure.avgIntensity,
+      maxIntensity: exposure.maxIntensity,
       latestIntensity,
-      numberReadings: intensities.length,
-      peakTime,
+      numberReadings: exposure.count,
+      peakTime: exposure.peakTime,
+      wornMs: exposure.coveredMs,
+      gaps: exposure.gaps,
+      threshold: HIGH_INTENSITY_THRESHOLD,
+      timeAboveThresholdMs: exposure.aboveThresholdMs,
+      exposureByWindow: exposure.windows,
+      display: null,
     };
 
+    // the same figures in calibrated units for the dashboard; rules and
+    // thresholds keep working on raw counts
+    if (unitDisplay === UNIT_DISPLAY.CALIBRATED) {
+      const shown = readingsForDisplay(todayReadings, unitDisplay);
+      if (shown.readings.length) {
+        const calibrated = computeExposure(shown.readings, { calendar });
+        newStats.display = {
+          unit: shown.unit,
+          totalExposure: calibrated.dose,
+          avgIntensity: calibrated.avgIntensity,
+          maxIntensity: calibrated.maxIntensity,
+          latestIntensity: shown.readings[shown.readings.length - 1].intensity,
+          peakTime: calibrated.peakTime,
+          uncalibratedReadings: shown.skipped,
+        };
+      }
+    }
+
     setStats(newStats);
-    console.log(`[STATS] Updated: latest=${latestIntensity}, count=${intensities.length}`);
+    console.log(
+      `[STATS] Updated: latest=${latestIntensity}, count=${exposure.count}, ` +
+        `dose=${exposure.dose.toFixed(1)} BLU·h over ${Math.round(exposure.coveredMs / 60000)} min`
+    );
+  }, [sensorLogData, deviceFilter, calendarSettings, timeZone, unitDisplay]);
+
+  // ------------------------------
+  // Storage stats (row count + database size on disk)
+  // ------------------------------
+  useEffect(() => {
+    let cancelled = false;
 
-    // Save daily stats
     (async () => {
       try {
-        const dateKey = now.toISOString().slice(0, 10);
-        let dailyStats = {};
-
-        const exists = await FileSystem.getInfoAsync(DAILY_STATS_FILE);
-        if (exists.exists) {
-          dailyStats = JSON.parse(await FileSystem.readAsStringAsync(DAILY_STATS_FILE));
-        }
-
-        dailyStats[dateKey] = {
-          avgIntensity,
-          totalExposure,
-          maxIntensity,
-          count: todayReadings.length,
-          updatedAt: now.toISOString(),
-        };
-
-        await FileSystem.writeAsStringAsync(DAILY_STATS_FILE, JSON.stringify(dailyStats));
-        console.log("[STATS] Daily stats saved");
+        const updated = await getStorageStats();
+        const next = retentionPolicy ? await previewCompaction(retentionPolicy) : null;
+        if (cancelled) return;
+
+        setStorageStats({
+          ...updated,
+          reclaimableKB: next?.reclaimableKB ?? 0,
+          compactableReadings: next?.rawReadings ?? 0,
+        });
+        console.log(
+          `[STORAGE] size=${updated.sizeKB.toFixed(1)} KB ` +
+            `(raw ${updated.rawKB.toFixed(1)}, aggregated ${updated.aggregateKB.toFixed(1)}), ` +
+            `total=${updated.totalReadings} readings`
+        );
       } catch (err) {
-        console.warn('⚠️ Failed to save daily stats:', err);
+        console.warn('[ERROR] Failed to read storage stats:', err);
       }
     })();
-  }, [sensorLogData]);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sensorLogData, retentionPolicy, compaction.last]);
 
   // ------------------------------
-  // ⭐ NEW: Synchronous storage stats calculation
+  // Retention (lib/retention.js) — compaction runs after interactions
+  // settle, one local day per transaction, so the UI keeps responding
   // ------------------------------
+  const compactStorage = useCallback(async (policy) => {
+    setCompaction((prev) => ({ ...prev, running: true }));
+    try {
+      const report = await runCompaction(policy);
+      console.log(
+        `[RETENTION] Compacted ${report.compactedReadings} readings, ` +
+          `dropped ${report.removedBuckets} aggregates, reclaimed ${report.reclaimedKB.toFixed(1)} KB`
+      );
+
+      if (report.compactedReadings) {
+        setRollupsUpdatedAt(Date.now());
+        // a short raw window can reach into the live log
+        setSensorLogData(await getReadingsInRange(recentWindowStart(), Number.MAX_SAFE_INTEGER));
+      }
+      setCompaction({ running: false, last: report });
+      return report;
+    } catch (err) {
+      setCompaction((prev) => ({ ...prev, running: false }));
+      throw err;
+    }
+  }, []);
+
   useEffect(() => {
-    const json = JSON.stringify(sensorLogData);
-    const sizeBytes = json.length;
-    const sizeKB = sizeBytes / 1024;
+    if (!retentionPolicy) return;
+
+    const compact = () =>
+      compactStorage(retentionPolicy).catch((err) => console.warn('[ERROR] Compaction failed:', err));
 
-    const updated = {
-      sizeKB,
-      totalReadings: sensorLogData.length,
+    const task = InteractionManager.runAfterInteractions(compact);
+    const timer = setInterval(compact, COMPACTION_INTERVAL_MS);
+    return () => {
+      task.cancel();
+      clearInterval(timer);
     };
+  }, [retentionPolicy, compactStorage]);
 
-    setStorageStats(updated);
-    console.log(
-      `[STORAGE] size=${updated.sizeKB.toFixed(1)} KB, total=${updated.totalReadings} readings`
-    );
-  }, [sensorLogData]);
+  const updateRetentionPolicy = useCallback(async (changes) => {
+    const policy = await storeUpdateRetentionPolicy(changes);
+    setRetentionPolicy(policy);
+    console.log('[RETENTION] Policy updated:', policy);
+    return policy;
+  }, []);
+
+  const compactNow = useCallback(
+    () => (retentionPolicy ? compactStorage(retentionPolicy) : null),
+    [retentionPolicy, compactStorage]
+  );
+
+  const getAggregatesInRange = useCallback(
+    (start, end, deviceId = null) => queryAggregatesInRange(start, end, deviceId),
+    []
+  );
 
   // ⭐ NEW: compute readingsToday, readingsWeek, readingsMonth
   useEffect(() => {
@@ -200,286 +570,1232 @@ export function useBluetoothUART() {
       return;
     }
 
-    const now = new Date();
+    let cancelled = false;
+    const calendar = getCalendar();
+    const now = Date.now();
 
-    // DAY
-    const startDay = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
-    const endDay = startDay + 86400000;
+    (async () => {
+      try {
+        const [readingsToday, readingsWeek, readingsMonth] = await Promise.all(
+          [CALENDAR_PERIOD.DAY, CALENDAR_PERIOD.WEEK, CALENDAR_PERIOD.MONTH].map((period) =>
+            countReadingsInPeriod(calendar.period(period, now), deviceFilter)
+          )
+        );
+        if (cancelled) return;
 
-    // WEEK
-    const day = now.getDay();
-    const diff = now.getDate() - day + (day === 0 ? -6 : 1);
-    const monday = new Date(now.setDate(diff));
-    const startWeek = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate()).getTime();
-    const endWeek = startWeek + 7 * 86400000;
+        setTimeRangeStats({
+          readingsToday,
+          readingsWeek,
+          readingsMonth,
+        });
+
+        console.log(
+          `[TIME-STATS] today=${readingsToday}, week=${readingsWeek}, month=${readingsMonth}`
+        );
+      } catch (err) {
+        console.warn('[ERROR] Failed to count readings:', err);
+      }
+    })();
 
-    // MONTH
-    const startMonth = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
-    const endMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1).getTime();
+    return () => {
+      cancelled = true;
+    };
+  }, [sensorLogData, deviceFilter, calendarSettings, timeZone]);
 
-    const readingsToday = sensorLogData.filter(
-      (r) => r.receivedAt >= startDay && r.receivedAt < endDay
-    ).length;
+  // ------------------------------
+  // Insights (lib/insightRules.js) — re-evaluated on new stats, rollups,
+  // rule edits and once a minute for time-of-day rules
+  // ------------------------------
+  useEffect(() => {
+    (async () => {
+      try {
+        setInsightRules(await loadInsightRules());
+      } catch (err) {
+        console.warn('[ERROR] Failed to load insight rules:', err);
+      }
+    })();
 
-    const readingsWeek = sensorLogData.filter(
-      (r) => r.receivedAt >= startWeek && r.receivedAt < endWeek
-    ).length;
+    const timer = setInterval(() => setInsightTick((n) => n + 1), INSIGHT_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
 
-    const readingsMonth = sensorLogData.filter(
-      (r) => r.receivedAt >= startMonth && r.receivedAt < endMonth
-    ).length;
+  useEffect(() => {
+    if (!insightRules.length) return;
+    let cancelled = false;
 
-    setTimeRangeStats({
-      readingsToday,
-      readingsWeek,
-      readingsMonth,
-    });
+    (async () => {
+      try {
+        const calendar = getCalendar();
+        const now = Date.now();
+        const dayStart = calendar.dayStart(now);
+        const baselineStart = calendar.dayStart(now, -INSIGHT_BASELINE_DAYS);
+
+        const baselineDays = await queryRollups(ROLLUP_PERIOD.DAY, baselineStart, dayStart);
+        if (cancelled) return;
+
+        const context = buildInsightContext({
+          now,
+          calendar,
+          stats,
+          readings: deviceFilter
+            ? sensorLogData.filter((r) => r.deviceId === deviceFilter)
+            : sensorLogData,
+          allReadings: sensorLogData,
+          baselineDays,
+        });
+        const { insights: active, state } = evaluateRules(
+          insightRules,
+          context,
+          insightStateRef.current
+        );
 
-    console.log(
-      `[TIME-STATS] today=${readingsToday}, week=${readingsWeek}, month=${readingsMonth}`
-    );
+        insightStateRef.current = state;
+        setInsights(active);
+      } catch (err) {
+        console.warn('[ERROR] Failed to evaluate insights:', err);
+      }
+    })();
 
-  }, [sensorLogData]);
+    return () => {
+      cancelled = true;
+    };
+    // stats already follows sensorLogData and deviceFilter
+  }, [insightRules, stats, rollupsUpdatedAt, insightTick]);
+
+  // Edited rules start over, so a held insight doesn't outlive its settings
+  const updateInsightRule = useCallback(async (id, changes) => {
+    const rules = await storeUpdateInsightRule(id, changes);
+    delete insightStateRef.current[id];
+    setInsightRules(rules);
+    console.log(`[INSIGHTS] Rule ${id} updated`);
+  }, []);
 
+  const resetInsightRules = useCallback(async () => {
+    const rules = await storeResetInsightRules();
+    insightStateRef.current = {};
+    setInsightRules(rules);
+    console.log('[INSIGHTS] Rules reset to defaults');
+  }, []);
 
   // ------------------------------
-  // Persist everything
+  // Goals (lib/goals.js) — today from the recent readings, so progress moves
+  // with every batch; earlier days from rollups, so imports and clears
+  // rewrite the history. The insight tick closes windows as hours pass.
   // ------------------------------
   useEffect(() => {
     (async () => {
       try {
-        await FileSystem.writeAsStringAsync(
-          DATA_FILE,
-          JSON.stringify({ readings: sensorLogData, stats })
+        setGoals(await loadGoals());
+      } catch (err) {
+        console.warn('[ERROR] Failed to load goals:', err);
+      }
+    })();
+  }, []);
+
+  useEffect(() => {
+    if (!goals.length) return;
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const calendar = getCalendar();
+        const now = Date.now();
+        const pastDays = await queryRollups(
+          ROLLUP_PERIOD.DAY,
+          calendar.dayStart(now, -GOAL_HISTORY_DAYS),
+          calendar.dayStart(now)
         );
-        console.log("[SAVE] Sensor data persisted");
+        if (cancelled) return;
+
+        setGoalProgress(buildGoalProgress({ goals, readings: sensorLogData, pastDays, now, calendar }));
       } catch (err) {
-        console.warn('[ERROR] Failed to save sensor data:', err);
+        console.warn('[ERROR] Failed to compute goal progress:', err);
       }
     })();
-  }, [sensorLogData, stats]);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [goals, sensorLogData, rollupsUpdatedAt, insightTick, calendarSettings, timeZone]);
+
+  const updateGoal = useCallback(async (id, changes) => {
+    setGoals(await storeUpdateGoal(id, changes));
+    console.log(`[GOALS] Goal ${id} updated`);
+  }, []);
+
+  const resetGoals = useCallback(async () => {
+    setGoals(await storeResetGoals());
+    console.log('[GOALS] Goals reset to defaults');
+  }, []);
+
+  // ------------------------------
+  // Per-device clock state (each necklace has its own counter)
+  // ------------------------------
+  const loadClockState = useCallback(async (deviceId) => {
+    if (!clockStatesRef.current[deviceId]) {
+      clockStatesRef.current[deviceId] = await getMeta(
+        deviceMetaKey(CLOCK_STATE_KEY, deviceId),
+        createClockState()
+      );
+    }
+    return clockStatesRef.current[deviceId];
+  }, []);
+
+  const saveClockState = useCallback((deviceId, state) => {
+    clockStatesRef.current[deviceId] = state;
+    return setMeta(deviceMetaKey(CLOCK_STATE_KEY, deviceId), state);
+  }, []);
+
+  // ------------------------------
+  // Validation outcome of one batch → quarantine log + running totals.
+  // Logged, not thrown, like rollups below.
+  // ------------------------------
+  const recordValidation = useCallback(async ({
+    accepted = 0,
+    duplicates = 0,
+    rejected = [],
+    deviceId = null,
+    quarantined = false, // a sync stores them with its readings
+  }) => {
+    if (!accepted && !duplicates && !rejected.length) return;
+    try {
+      if (rejected.length) {
+        if (!quarantined) await quarantineLines(rejected, { deviceId });
+        console.log(`[VALIDATE] Quarantined ${rejected.length} line(s): ${rejected.map((e) => e.reason).join(', ')}`);
+        rejected.slice(0, DIAGNOSTIC_PARSE_LIMIT).forEach((e) => {
+          logDiagnostic(DIAG_CATEGORY.PARSE, e.reason, {
+            level: DIAG_LEVEL.WARN,
+            message: e.line,
+            deviceId,
+            detail: e.detail,
+          });
+        });
+        if (rejected.length > DIAGNOSTIC_PARSE_LIMIT) {
+          logDiagnostic(DIAG_CATEGORY.PARSE, 'more_rejected', {
+            level: DIAG_LEVEL.WARN,
+            message: `${rejected.length - DIAGNOSTIC_PARSE_LIMIT} more line(s) rejected in this batch`,
+            deviceId,
+          });
+        }
+      }
+      setValidationCounts(await countValidation({ accepted, duplicates, rejected }));
+      if (rejected.length) setQuarantine(await queryQuarantine(QUARANTINE_LIMIT));
+    } catch (err) {
+      console.warn('[ERROR] Failed to record validation results:', err);
+    }
+  }, []);
+
+  // ------------------------------
+  // Rollups for the days a batch touched. Failures are logged, not thrown:
+  // the readings are already stored and the next backfill catches up.
+  // ------------------------------
+  const refreshRollups = useCallback(async (readings) => {
+    try {
+      const days = await updateRollups(readings);
+      if (days) setRollupsUpdatedAt(Date.now());
+    } catch (err) {
+      console.warn('[ERROR] Failed to update rollups:', err);
+    }
+  }, []);
+
+  // ------------------------------
+  // Batched persistence
+  // A GET dump arrives one line at a time; collect the parsed readings
+  // and write them in a single transaction.
+  // ------------------------------
+  const flushReadings = useCallback(async () => {
+    if (flushTimerRef.current) {
+      clearTimeout(flushTimerRef.current);
+      flushTimerRef.current = null;
+    }
+
+    const batch = pendingReadingsRef.current;
+    if (!batch.length) return;
+    pendingReadingsRef.current = [];
+
+    try {
+      // map device counters onto wall-clock time before anything reads them,
+      // one clock per necklace
+      const byDevice = new Map();
+      batch.forEach((r) => {
+        if (!byDevice.has(r.deviceId)) byDevice.set(r.deviceId, []);
+        byDevice.get(r.deviceId).push(r);
+      });
+
+      const aligned = [];
+      const states = [];
+      for (const [deviceId, deviceReadings] of byDevice) {
+        const { readings, state } = alignReadings(deviceReadings, await loadClockState(deviceId));
+        aligned.push(...calibrateReadings(readings));
+        states.push([deviceId, state]);
+      }
+
+      // a device that re-sends its log before a CLEAR lands here too
+      const { fresh, duplicates } = await dropStoredDuplicates(aligned);
+      await insertReadings(fresh);
+      for (const [deviceId, state] of states) await saveClockState(deviceId, state);
+
+      if (fresh.length) setSensorLogData((prev) => [...prev, ...fresh]);
+      console.log(
+        `[SAVE] Stored ${fresh.length} readings from ${byDevice.size} device(s)` +
+          (duplicates ? `, ${duplicates} duplicates skipped` : '')
+      );
+
+      // none of these throw, so a follow-up failure can't re-queue stored readings
+      recordValidation({ accepted: fresh.length, duplicates });
+      refreshRollups(fresh);
+      checkAlertsRef.current();
+    } catch (err) {
+      console.warn('[ERROR] Failed to store readings:', err);
+      // retry with the next batch
+      pendingReadingsRef.current = [...batch, ...pendingReadingsRef.current];
+    }
+  }, [loadClockState, saveClockState, refreshRollups, recordValidation]);
+
+  const queueReadings = useCallback((readings) => {
+    pendingReadingsRef.current.push(...readings);
+    if (!flushTimerRef.current) {
+      flushTimerRef.current = setTimeout(flushReadings, INSERT_BATCH_DELAY_MS);
+    }
+  }, [flushReadings]);
 
   // ------------------------------
-  // Time filtering helpers
+  // Time filtering helpers (range queries against the store)
   // ------------------------------
-  const getDataByDay = useCallback((date) => {
-    const d = new Date(date);
-    const start = new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
-    const end = start + 86400000;
-    return sensorLogData.filter((r) => r.receivedAt >= start && r.receivedAt < end);
-  }, [sensorLogData]);
+  const getDataByDay = useCallback(
+    (date, deviceId = null) => getReadingsInPeriod(calendarPeriod(CALENDAR_PERIOD.DAY, date), deviceId),
+    []
+  );
 
-  const getDataByWeek = useCallback((date) => {
-    const d = new Date(date);
-    const day = d.getDay();
-    const diff = d.getDate() - day + (day === 0 ? -6 : 1);
-    const monday = new Date(d.setDate(diff));
-    const start = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate()).getTime();
-    const end = start + 7 * 86400000;
-    return sensorLogData.filter((r) => r.receivedAt >= start && r.receivedAt < end);
-  }, [sensorLogData]);
+  const getDataByWeek = useCallback(
+    (date, deviceId = null) => getReadingsInPeriod(calendarPeriod(CALENDAR_PERIOD.WEEK, date), deviceId),
+    []
+  );
+
+  const getDataByMonth = useCallback(
+    (date, deviceId = null) => getReadingsInPeriod(calendarPeriod(CALENDAR_PERIOD.MONTH, date), deviceId),
+    []
+  );
 
-  const getDataByMonth = useCallback((date) => {
-    const d = new Date(date);
-    const start = new Date(d.getFullYear(), d.getMonth(), 1).getTime();
-    const end = new Date(d.getFullYear(), d.getMonth() + 1, 1).getTime();
-    return sensorLogData.filter((r) => r.receivedAt >= start && r.receivedAt < end);
-  }, [sensorLogData]);
+  // Arbitrary [start, end) in ms
+  const getDataInRange = useCallback(
+    (start, end, deviceId = null) => getReadingsInRange(start, end, deviceId),
+    []
+  );
 
-  const getSortedReadings = useCallback(() => {
-    return [...sensorLogData].sort((a, b) => b.receivedAt - a.receivedAt);
-  }, [sensorLogData]);
+  const getSortedReadings = useCallback(
+    (limit, deviceId = null) => querySortedReadings(limit, deviceId),
+    []
+  );
+
+  // Day / ISO-week / month aggregates starting in [start, end)
+  const getRollups = useCallback(
+    (period, start, end) => queryRollups(period, start, end),
+    []
+  );
+
+  // Aggregates for any range, grouped by hour / day / week, compared with the
+  // previous range or the same weekdays (lib/rangeStats.js)
+  const getRangeStats = useCallback((options) => queryRangeStats(options), []);
+
+  // ------------------------------
+  // Timeline annotations (lib/annotationStore.js): activities the user logs
+  // from the chart, drawn on it and broken down in range stats
+  // ------------------------------
+  const getAnnotations = useCallback((start, end) => getAnnotationsInRange(start, end), []);
+
+  const addAnnotation = useCallback(async (input) => {
+    const annotation = await storeAddAnnotation(input);
+    setAnnotationsUpdatedAt(Date.now());
+    console.log(`[ANNOTATION] Added ${annotation.category} at ${new Date(annotation.start).toISOString()}`);
+    return annotation;
+  }, []);
+
+  const updateAnnotation = useCallback(async (id, changes) => {
+    const annotation = await storeUpdateAnnotation(id, changes);
+    setAnnotationsUpdatedAt(Date.now());
+    console.log(`[ANNOTATION] Updated ${id}`);
+    return annotation;
+  }, []);
+
+  const deleteAnnotation = useCallback(async (id) => {
+    const deleted = await storeDeleteAnnotation(id);
+    if (deleted) setAnnotationsUpdatedAt(Date.now());
+    console.log(`[ANNOTATION] ${deleted ? 'Deleted' : 'No annotation'} ${id}`);
+    return { deleted };
+  }, []);
+
+  // ------------------------------
+  // Calendar bucketing: home time zone or each reading's local time.
+  // Rollups still backed by raw readings are rebuilt on the new boundaries.
+  // ------------------------------
+  const updateCalendarSettings = useCallback(async (changes) => {
+    const settings = await storeUpdateCalendarSettings(changes);
+    setCalendarSettings(settings);
+
+    const days = await rebuildRollups();
+    setRollupsUpdatedAt(Date.now());
+    setSensorLogData(await getReadingsInRange(recentWindowStart(), Number.MAX_SAFE_INTEGER));
+
+    console.log(`[CALENDAR] ${settings.mode} (${settings.homeTimeZone}), ${days} day rollups rebuilt`);
+    return settings;
+  }, []);
+
+  // Checked with the insight tick; today / this week move with the phone
+  useEffect(() => {
+    const zone = deviceTimeZone();
+    if (zone === timeZone) return;
+
+    console.log(`[CALENDAR] Time zone changed: ${timeZone} → ${zone}`);
+    refreshCalendar();
+    setTimeZone(zone);
+  }, [insightTick, timeZone]);
+
+  // Today's boundaries for the dashboard; replaced at midnight and on changes
+  useEffect(() => {
+    const next = describeCalendar(getCalendar());
+    setCalendarView((prev) => (prev.id === next.id ? prev : next));
+  }, [insightTick, calendarSettings, timeZone]);
+
+  // ------------------------------
+  // Export readings to CSV / JSON and open the share sheet
+  //   range: 'day' | 'week' | 'month' (the calendar period around `date`) or
+  //          'custom' ([start, end) in ms, or calendar days from / to
+  //          '2025-03-07', `to` inclusive)
+  // Resolves with { count, uri, shared }.
+  // ------------------------------
+  const exportReadings = useCallback(async ({
+    range = 'day',
+    date = Date.now(),
+    start,
+    end,
+    from,
+    to,
+    format = EXPORT_FORMAT.CSV,
+    deviceId = null,
+  } = {}) => {
+    let bounds;
+    if (range === 'custom') {
+      if (from != null) {
+        const last = to ?? from;
+        if (![from, last].every((key) => /^\d{4}-\d{2}-\d{2}$/.test(key))) {
+          throw new Error('Export days must look like 2025-03-07');
+        }
+        start = getCalendar().dayOfKey(from).start;
+        end = getCalendar().dayOfKey(last).end;
+      }
+      if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+        throw new Error('Export range needs a start before its end');
+      }
+      bounds = [start, end];
+    } else if (Object.values(CALENDAR_PERIOD).includes(range)) {
+      const period = calendarPeriod(range, date);
+      bounds = [period.start, period.end];
+    } else {
+      throw new Error(`Unknown export range: ${range}`);
+    }
+
+    const readings =
+      range === 'day' ? await getDataByDay(date, deviceId)
+      : range === 'week' ? await getDataByWeek(date, deviceId)
+      : range === 'month' ? await getDataByMonth(date, deviceId)
+      : await getDataInRange(bounds[0], bounds[1], deviceId);
+
+    const file = await writeExportFile(readings, {
+      format,
+      start: bounds[0],
+      end: bounds[1],
+      deviceId,
+      annotations: await getAnnotationsInRange(bounds[0], bounds[1]),
+    });
+    console.log(`[EXPORT] Wrote ${readings.length} readings to ${file.uri}`);
+
+    const shared = await shareExportFile(file, format);
+    return { count: readings.length, uri: file.uri, shared };
+  }, [getDataByDay, getDataByWeek, getDataByMonth, getDataInRange]);
+
+  // ------------------------------
+  // Import a backup (our CSV/JSON exports or a raw sensor_data.json)
+  // previewImport classifies without writing; commitImport re-checks against
+  // the store (a sync may have landed in between) and merges the new rows.
+  // ------------------------------
+  const pendingImportRef = useRef(null);
+
+  const previewImport = useCallback(async (text) => {
+    const plan = await planImport(text);
+    pendingImportRef.current = text;
+
+    console.log(
+      `[IMPORT] ${plan.format}: ${plan.fresh.length} new, ${plan.duplicates} duplicate, ` +
+        `${plan.beforeRetention} before retention, ${plan.invalid} invalid`
+    );
+    return {
+      format: plan.format,
+      total: plan.total,
+      fresh: plan.fresh.length,
+      duplicates: plan.duplicates,
+      beforeRetention: plan.beforeRetention,
+      retainedFrom: plan.retainedFrom,
+      invalid: plan.invalid,
+      range: plan.range,
+      deviceIds: plan.deviceIds,
+    };
+  }, []);
+
+  const cancelImport = useCallback(() => {
+    pendingImportRef.current = null;
+  }, []);
+
+  const commitImport = useCallback(async () => {
+    const text = pendingImportRef.current;
+    if (text == null) throw new Error('No import to commit — preview a file first');
+    pendingImportRef.current = null;
+
+    const plan = await planImport(text);
+    const imported = await insertReadings(plan.fresh);
+
+    // stats + timeRangeStats follow sensorLogData; rollups are per day touched
+    const days = await updateRollups(plan.fresh);
+    setRollupsUpdatedAt(Date.now());
+    setSensorLogData(await getReadingsInRange(recentWindowStart(), Number.MAX_SAFE_INTEGER));
+
+    console.log(`[IMPORT] Merged ${imported} readings, ${days} day rollups recomputed`);
+    return {
+      imported,
+      duplicates: plan.duplicates,
+      beforeRetention: plan.beforeRetention,
+      invalid: plan.invalid,
+    };
+  }, []);
 
   // ------------------------------
   // Clear storage
   // ------------------------------
   const clearSavedData = useCallback(async () => {
     try {
-      await FileSystem.deleteAsync(DATA_FILE, { idempotent: true });
+      pendingReadingsRef.current = [];
+      // aggregates first, so clearReadings' VACUUM returns their pages too
+      await clearAggregates();
+      await clearReadings();
+      await clearRollups();
+      await clearAnnotations();
+      await clearAlertHistory();
+      setValidationCounts(await clearQuarantine());
+      setQuarantine([]);
+      setRollupsUpdatedAt(Date.now());
+      setAnnotationsUpdatedAt(Date.now());
+      setAlertHistory([]);
       setSensorLogData([]);
-      setStats({});
+      setStats(EMPTY_STATS);
       console.log('[DATA] All saved data cleared');
     } catch (err) {
       console.warn('[ERROR] Failed to clear data:', err);
+      throw err;
     }
   }, []);
 
   // ------------------------------
-  // Send BLE command
+  // Command pipeline
   // ------------------------------
-  const sendCommand = useCallback(async (cmd) => {
-    if (activeCommandRef.current) return;
-    if (!rxCharRef.current) return;
+  const commandQueueRef = useRef(null);
+  if (!commandQueueRef.current) {
+    commandQueueRef.current = createCommandQueue({
+      write: async (cmd) => {
+        if (!connectionRef.current) throw new Error('Not connected');
+        await connectionRef.current.write(cmd + '\n');
+      },
+      onSettled: ({ cmd, attempts, durationMs, lines, error: err }) => {
+        logDiagnostic(DIAG_CATEGORY.COMMAND, cmd.split(/\s+/)[0].toUpperCase(), {
+          level: err ? DIAG_LEVEL.WARN : DIAG_LEVEL.INFO,
+          message: err ? err.message : `${cmd} → ${lines} line(s)`,
+          deviceId: connectionRef.current?.id ?? null,
+          durationMs,
+          detail: { attempts, ...(err && { code: err.code }) },
+        });
+      },
+    });
+  }
 
-    activeCommandRef.current = cmd;
-    console.log(`[BLE] Sending command: ${cmd}`);
+  // Resolves with the reply lines; rejects on ERROR, timeout or disconnect
+  const sendCommand = useCallback(
+    (cmd, options) => commandQueueRef.current.enqueue(cmd, options),
+    []
+  );
 
-    try {
-      const base64 = Buffer.from(cmd + '\n').toString('base64');
-      await rxCharRef.current.writeWithResponse(base64);
+  const clearLog = useCallback(() => sendCommand('CLEAR'), [sendCommand]);
+
+  const logStatus = useCallback((command, text, extra) => {
+    logDiagnostic(DIAG_CATEGORY.STATUS, command ?? 'line', {
+      message: text,
+      deviceId: connectionRef.current?.id ?? null,
+    });
+    setStatusLogData((prev) => [
+      ...prev,
+      { timestamp: Date.now(), command, text, ...extra },
+    ]);
+  }, []);
+
+  // ------------------------------
+  // Device management: INFO / BATT / SET (see lib/deviceInfo.js)
+  // ------------------------------
+  const notifyDeviceWarnings = useCallback(async (warnings) => {
+    const fresh = warnings.filter((w) => !notifiedWarningsRef.current.has(w.code));
+    notifiedWarningsRef.current = new Set(warnings.map((w) => w.code));
+
+    for (const warning of fresh) {
+      console.warn(`[DEVICE] ${warning.message}`);
+      logStatus('DEVICE', warning.message);
+      if (await ensureNotificationPermission()) {
+        await presentNotification({ title: 'Necklace', body: warning.message, data: { warning: warning.code } });
+      }
+    }
+  }, [logStatus]);
+
+  const refreshDeviceInfo = useCallback(async () => {
+    const deviceId = connectionRef.current?.id;
+    if (!deviceId) throw new Error('Not connected');
+
+    const previous = deviceInfoRef.current?.deviceId === deviceId ? deviceInfoRef.current : null;
+    const info = await queryDeviceInfo(sendCommand, deviceId, previous);
+
+    // disconnected or switched while the commands were in flight
+    if (connectionRef.current?.id !== deviceId) return null;
+
+    deviceInfoRef.current = info;
+    setDeviceInfo(info);
+    notifyDeviceWarnings(info.warnings).catch((err) => {
+      console.warn('[ERROR] Failed to send device warning:', err);
+    });
+    return info;
+  }, [sendCommand, notifyDeviceWarnings]);
+
+  const setSampleInterval = useCallback(async (seconds) => {
+    const confirmed = await deviceSetSampleInterval(sendCommand, seconds);
+    logStatus('SET', `Sampling interval ${confirmed} s`);
+    await refreshDeviceInfo();
+    return confirmed;
+  }, [sendCommand, logStatus, refreshDeviceInfo]);
+
+  const setLedMode = useCallback(async (mode) => {
+    const confirmed = await deviceSetLedMode(sendCommand, mode);
+    logStatus('SET', `LED ${confirmed}`);
+    await refreshDeviceInfo();
+    return confirmed;
+  }, [sendCommand, logStatus, refreshDeviceInfo]);
+
+  // ------------------------------
+  // Calibration (lib/calibration.js). A two-point calibration captures the
+  // average live reading under each of two lights, then saves the line
+  // through them against the reference meter's values.
+  // ------------------------------
+  const captureCalibrationPoint = useCallback(async (deviceId, windowMs = CALIBRATION_CAPTURE_MS) => {
+    const now = Date.now();
+    const since = now - windowMs;
+    const recent = await getReadingsInRange(since, now + 1, deviceId);
+    if (!recent.length) {
+      throw new Error(`No readings from this necklace in the last ${Math.round(windowMs / 1000)} s — keep it connected`);
+    }
+
+    const raw = recent.reduce((acc, r) => acc + r.intensity, 0) / recent.length;
+    logStatus('CALIBRATE', `Captured raw ${raw.toFixed(1)} from ${recent.length} readings`);
+    return { raw, count: recent.length, from: since, to: now };
+  }, [logStatus]);
+
+  // Stored readings were re-converted: reload the in-memory window
+  const reloadRecentReadings = useCallback(async () => {
+    setSensorLogData(await getReadingsInRange(recentWindowStart(), Number.MAX_SAFE_INTEGER));
+  }, []);
+
+  const saveCalibrationProfile = useCallback(async (deviceId, profile, options = {}) => {
+    const result = await storeSaveCalibrationProfile(deviceId, profile, options);
+    setCalibrationProfiles(getActiveProfiles());
+    if (result.updated) await reloadRecentReadings();
+
+    console.log(`[CALIBRATE] Profile ${result.profile.id} for ${deviceId}, ${result.updated} readings converted`);
+    return result;
+  }, [reloadRecentReadings]);
+
+  const removeCalibrationProfile = useCallback(async (deviceId, options = {}) => {
+    const result = await storeRemoveCalibrationProfile(deviceId, options);
+    setCalibrationProfiles(getActiveProfiles());
+    if (result.updated) await reloadRecentReadings();
+
+    console.log(`[CALIBRATE] Calibration removed for ${deviceId}`);
+    return result;
+  }, [reloadRecentReadings]);
+
+  const updateUnitDisplay = useCallback(async (display) => {
+    const saved = await storeUpdateUnitDisplay(display);
+    setUnitDisplay(saved);
+    return saved;
+  }, []);
+
+  // Info belongs to one connection; a new one starts from scratch
+  useEffect(() => {
+    if (activeDeviceId) return;
+    deviceInfoRef.current = null;
+    notifiedWarningsRef.current = new Set();
+    setDeviceInfo(null);
+  }, [activeDeviceId]);
+
+  // ------------------------------
+  // Sync cycle: GET → commit → confirm → CLEAR (see lib/syncCycle.js)
+  // ------------------------------
+  const syncReadings = useCallback(async () => {
+    const deviceId = connectionRef.current?.id;
+    if (!deviceId) {
+      return { outcome: SYNC_OUTCOME.FAILED, committed: [], rejected: [], duplicates: 0, message: 'Not connected' };
+    }
+
+    let clockState = await loadClockState(deviceId);
+    const result = await runSyncCycle({
+      sendCommand,
+      cursorKey: deviceMetaKey(SYNC_CURSOR_KEY, deviceId),
+      deviceId,
+      align: (readings) => {
+        const aligned = alignReadings(
+          readings.map((r) => ({ ...r, deviceId })),
+          clockState
+        );
+        clockState = aligned.state;
+        return calibrateReadings(aligned.readings);
+      },
+    });
+
+    if (result.committed.length) {
+      await saveClockState(deviceId, clockState);
+      setSensorLogData((prev) => [...prev, ...result.committed]);
+      console.log(`[DATA] Received ${result.committed.length} readings`);
+      refreshRollups(result.committed);
+      checkAlertsRef.current();
+    }
 
-      setTimeout(() => {
-        if (activeCommandRef.current === cmd) {
-          activeCommandRef.current = null;
-          console.log(`[BLE] ${cmd} timed out`);
+    recordValidation({
+      accepted: result.committed.length,
+      duplicates: result.duplicates,
+      rejected: result.rejected,
+      quarantined: result.quarantined,
+      deviceId,
+    });
+
+    // a sync changes the log level; pick up battery too while we're at it
+    const lastInfoAt = deviceInfoRef.current?.updatedAt ?? 0;
+    if (result.outcome !== SYNC_OUTCOME.FAILED && Date.now() - lastInfoAt > DEVICE_INFO_INTERVAL_MS) {
+      refreshDeviceInfo().catch((err) => console.warn('[DEVICE] Info refresh failed:', err.message));
+    }
+
+    if (result.outcome !== SYNC_OUTCOME.EMPTY) {
+      console.log(`[SYNC] ${result.outcome}: ${result.message}`);
+      logStatus('SYNC', result.message, {
+        sync: {
+          outcome: result.outcome,
+          committed: result.committed.length,
+          duplicates: result.duplicates,
+          rejected: result.rejected,
+        },
+      });
+    }
+
+    return result;
+  }, [sendCommand, logStatus, loadClockState, saveClockState, refreshRollups, recordValidation, refreshDeviceInfo]);
+
+  // ------------------------------
+  // Threshold alerts — checked after each stored batch. Checks run one at a
+  // time so overlapping batches can't both pass the rate limit.
+  // ------------------------------
+  const runAlertCheck = useCallback(async () => {
+    const settings = alertSettingsRef.current;
+    if (!settings || !anyAlertEnabled(settings)) return;
+
+    const now = Date.now();
+    const readings = await getReadingsInRange(now - ALERT_LOOKBACK_MS, now + 1);
+    const candidates = evaluateAlerts(settings, readings, now);
+    if (!candidates.length) return;
+
+    const accepted = applyDeliveryPolicy(candidates, settings, await getAlertsSince(now - ALERT_LOOKBACK_MS), now);
+    if (!accepted.length) return;
+
+    for (const alert of accepted) {
+      let notified = false;
+      let suppressedReason = alert.suppressedReason;
+      if (alert.deliver) {
+        if (await ensureNotificationPermission()) {
+          await presentNotification({ title: alert.title, body: alert.body, data: { ruleId: alert.ruleId } });
+          notified = true;
+        } else {
+          suppressedReason = ALERT_SUPPRESSED.NO_PERMISSION;
         }
-      }, 6000);
-    } catch (err) {
-      console.error('[ERROR] BLE write error:', err);
-      activeCommandRef.current = null;
+      }
+
+      await recordAlert({ ...alert, notified, suppressedReason });
+      console.log(`[ALERT] ${alert.ruleId}: ${notified ? 'notified' : suppressedReason}`);
     }
+
+    setAlertHistory(await queryAlertHistory(ALERT_HISTORY_LIMIT));
   }, []);
 
-  const clearLog = useCallback(() => sendCommand('CLEAR'), [sendCommand]);
+  const checkAlerts = useCallback(() => {
+    alertCheckRef.current = alertCheckRef.current
+      .then(runAlertCheck)
+      .catch((err) => console.warn('[ERROR] Failed to check alerts:', err));
+    return alertCheckRef.current;
+  }, [runAlertCheck]);
+  checkAlertsRef.current = checkAlerts;
+
+  const updateAlertSettings = useCallback(async (changes) => {
+    const settings = await storeUpdateAlertSettings(changes);
+    alertSettingsRef.current = settings;
+    setAlertSettings(settings);
+    if (anyAlertEnabled(settings)) await ensureNotificationPermission();
+    console.log('[ALERT] Settings updated');
+    return settings;
+  }, []);
+
+  const getAlertHistory = useCallback(
+    (limit = ALERT_HISTORY_LIMIT) => queryAlertHistory(limit),
+    []
+  );
 
   // ------------------------------
   // Handle BLE incoming data
   // ------------------------------
   const handleTX = useCallback(
     (text) => {
-      const now = Date.now();
-      const cmd = activeCommandRef.current;
-
-      const looksLikeReading = /^\d+,\d+/.test(text.trim());
-      if (cmd === 'GET' || looksLikeReading) {
-        const readings = text
-          .split('\n')
-          .map((line) => {
-            const [ts, val] = line.trim().split(',');
-            if (!ts || !val) return null;
-
-            return {
-              deviceTimestamp: Number(ts),
-              intensity: Number(val),
-              receivedAt: now,
-            };
-          })
-          .filter(Boolean);
+      // reply to the command in flight
+      if (commandQueueRef.current.handleLine(text)) return;
 
+      // unsolicited line — the device may push readings on its own
+      if (looksLikeReading(text)) {
+        const deviceId = connectionRef.current?.id ?? null;
+        const { readings, rejected } = validateReadingLines([text], Date.now());
         if (readings.length) {
-          console.log(`[DATA] Received ${readings.length} readings`);
-          setSensorLogData((prev) => [...prev, ...readings]);
-          return;
+          console.log('[DATA] Received unsolicited reading');
+          queueReadings(readings.map((r) => ({ ...r, deviceId })));
         }
-      }
-
-      if (/END|ERROR|CLEARED/i.test(text)) {
-        console.log(`[BLE] Command ${cmd} complete`);
-        activeCommandRef.current = null;
-        if (cmd !== 'CLEAR') clearLog();
+        recordValidation({ rejected, deviceId });
         return;
       }
 
-      setStatusLogData((prev) => [
-        ...prev,
-        { timestamp: now, command: cmd, text: text.trim() },
-      ]);
+      logStatus(null, text.trim());
     },
-    [clearLog]
+    [queueReadings, logStatus, recordValidation]
   );
 
+  // notification callbacks outlive renders; always route through the latest handler
+  const handleTXRef = useRef(handleTX);
+  handleTXRef.current = handleTX;
+
   // ------------------------------
-  // Scan + connect
+  // Connection state machine
+  //   idle → scanning → connecting → connected
+  //   connected ──link lost──▶ reconnecting ──backoff──▶ connecting …
+  //   anything ──retries exhausted / needs the user──▶ error
+  // Reconnects go straight to the remembered device id; only after those
+  // fail does it fall back to a scan for that device (or any paired one).
   // ------------------------------
-  const connectAndListen = useCallback(async () => {
-    console.log('[BLE] Scanning...');
-    setIsScanning(true);
-    setConnectionState('scanning');
+  const stopScan = useCallback(() => {
+    clearTimeout(scanTimerRef.current);
+    scanTimerRef.current = null;
+    connectScanRef.current = false;
+    transport.stopScan();
+    setIsScanning(false);
+  }, []);
 
-    manager.startDeviceScan(null, null, (err, device) => {
-      if (err) {
-        console.error('[ERROR] Scan error:', err);
-        setIsScanning(false);
-        return;
-      }
+  const clearReconnectTimer = useCallback(() => {
+    clearTimeout(reconnectTimerRef.current);
+    reconnectTimerRef.current = null;
+  }, []);
 
-      if (!device) return;
+  const refreshDevices = useCallback(async () => {
+    const paired = await listDevices();
+    devicesRef.current = paired;
+    setDevices(paired);
+  }, []);
 
+  // Every scan feeds the picker: UART devices only, strongest signal first
+  const startScan = useCallback((onDevice, onError) => {
+    setIsScanning(true);
+
+    transport.startScan((device) => {
       // Add these for debugging:
       //console.log(device.name, device.id, device.serviceUUIDs);
 
-      // NEW matching logic
-      const matches =
-        (device.name && device.name.toLowerCase().includes("circuitpy")) ||
-        device.id === "CIRCUITPY1330";
+      if (!advertisesUart(device)) return;
 
+      setDiscoveredDevices((prev) => {
+        const seen = { id: device.id, name: device.name, rssi: device.rssi, seenAt: Date.now() };
+        return [...prev.filter((d) => d.id !== device.id), seen].sort(
+          (a, b) => (b.rssi ?? -127) - (a.rssi ?? -127)
+        );
+      });
+      onDevice?.(device);
+    }, (err) => {
+      console.error('[ERROR] Scan error:', err);
+      logDiagnostic(DIAG_CATEGORY.BLE, 'scan_error', { level: DIAG_LEVEL.ERROR, message: err?.message });
+      stopScan();
+      onError?.(err);
+    }, { serviceUUIDs: [SERVICE_UUID] });
+  }, [stopScan]);
+
+  // Public: list nearby necklaces for the picker without connecting
+  const scanForDevices = useCallback(() => {
+    // a connection scan already reports into discoveredDevices
+    if (connectScanRef.current) return;
+
+    stopScan();
+    setDiscoveredDevices([]);
+    console.log('[BLE] Discovering devices...');
+    logDiagnostic(DIAG_CATEGORY.BLE, 'scan_start', { message: 'Discovering devices' });
+
+    scanTimerRef.current = setTimeout(stopScan, SCAN_TIMEOUT_MS);
+    startScan(null, (err) => setError(err));
+  }, [stopScan, startScan]);
+
+  // Scan until one of `deviceIds` shows up (any UART device when empty);
+  // rejects with DEVICE_NOT_FOUND on timeout
+  const scanForDevice = useCallback((deviceIds) => new Promise((resolve, reject) => {
+    console.log('[BLE] Scanning...');
+    logDiagnostic(DIAG_CATEGORY.BLE, 'scan_start', {
+      message: deviceIds.length ? `Looking for ${deviceIds.join(', ')}` : 'Looking for any necklace',
+    });
+    stopScan();
+    connectScanRef.current = true;
+    setConnectionState('scanning');
+
+    scanTimerRef.current = setTimeout(() => {
+      stopScan();
+      reject(makeConnectionError(BLE_ERROR.DEVICE_NOT_FOUND, `No necklace found within ${SCAN_TIMEOUT_MS / 1000}s`));
+    }, SCAN_TIMEOUT_MS);
 
-      if (!matches) return;
+    startScan((device) => {
+      if (deviceIds.length && !deviceIds.includes(device.id)) return;
 
       console.log('[BLE] Device matched:', device.name || device.id);
+      logDiagnostic(DIAG_CATEGORY.BLE, 'scan_match', {
+        message: device.name || device.id,
+        deviceId: device.id,
+        detail: { rssi: device.rssi ?? null },
+      });
+      stopScan();
+      resolve(device.id);
+    }, reject);
+  }), [stopScan, startScan]);
+
+  // Connect through the transport, subscribe to notifications, say HELLO
+  const openSession = useCallback(async (deviceId) => {
+    setConnectionState('connecting');
+    console.log('[BLE] Connecting...');
+    logDiagnostic(DIAG_CATEGORY.BLE, 'connecting', { deviceId });
+    const connectStartedAt = Date.now();
+
+    const connection = await transport.connect(deviceId, { timeout: CONNECT_TIMEOUT_MS });
+
+    const reader = createLineReader((line) => handleTXRef.current(line));
+    connection.onData((text) => {
+      logRawChunk(deviceId, text);
+      reader.push(text);
+    });
 
-      manager.stopDeviceScan();
-      setIsScanning(false);
-      setConnectionState('connecting');
-
-      (async () => {
-        try {
-          console.log('[BLE] Connecting...');
-          const connected = await device.connect();
-          await connected.discoverAllServicesAndCharacteristics();
-
-          console.log('[BLE] Connected!');
-          deviceRef.current = connected;
-          setIsConnected(true);
-          setConnectionState('connected');
-
-          const services = await connected.services();
-          for (const s of services) {
-            const chars = await connected.characteristicsForService(s.uuid);
-            for (const c of chars) {
-              if (c.uuid.toLowerCase() === TX_CHAR_UUID.toLowerCase()) txCharRef.current = c;
-              if (c.uuid.toLowerCase() === RX_CHAR_UUID.toLowerCase()) rxCharRef.current = c;
-            }
-          }
-
-          sendCommand('HELLO');
-
-          txCharRef.current.monitor((error, characteristic) => {
-            if (error) {
-              console.error('[ERROR] Notify error:', error);
-              return;
-            }
-
-            const text = b64ToUtf8(characteristic.value);
-            lineBufferRef.current += text;
-
-            let idx;
-            while ((idx = lineBufferRef.current.indexOf('\n')) !== -1) {
-              const line = lineBufferRef.current.slice(0, idx);
-              lineBufferRef.current = lineBufferRef.current.slice(idx + 1);
-              handleTX(line);
-            }
-          });
+    connection.onDisconnected(() => {
+      // already detached (switched to another device)
+      if (connectionRef.current !== connection) return;
 
-          connected.onDisconnected(() => {
-            console.warn('[BLE] Disconnected!');
-            setIsConnected(false);
-            setConnectionState('disconnected');
-          });
-        } catch (e) {
-          console.error('[ERROR] Connection error:', e);
-        }
-      })();
+      console.warn('[BLE] Disconnected!');
+      logDiagnostic(DIAG_CATEGORY.BLE, 'disconnected', {
+        level: wantConnectedRef.current ? DIAG_LEVEL.WARN : DIAG_LEVEL.INFO,
+        message: wantConnectedRef.current ? 'Link lost' : 'Disconnected by the app',
+        deviceId,
+      });
+      commandQueueRef.current.reset('device disconnected');
+      connectionRef.current = null;
+      setIsConnected(false);
+      setActiveDeviceId(null);
+
+      if (wantConnectedRef.current) {
+        retryOrFailRef.current(makeConnectionError(BLE_ERROR.GATT_FAILURE, 'Connection lost'));
+      } else {
+        setConnectionState('disconnected');
+      }
+    });
+
+    console.log('[BLE] Connected!');
+    logDiagnostic(DIAG_CATEGORY.BLE, 'connected', {
+      message: connection.name ?? null,
+      deviceId,
+      durationMs: Date.now() - connectStartedAt,
+    });
+    connectionRef.current = connection;
+    reconnectAttemptRef.current = 0;
+    lastDeviceIdRef.current = deviceId;
+    setMeta(LAST_DEVICE_KEY, deviceId).catch(() => {});
+    setError(null);
+    setIsConnected(true);
+    setActiveDeviceId(deviceId);
+    setConnectionState('connected');
+
+    // connecting pairs the device; remember when it was last seen
+    (async () => {
+      try {
+        await storePairDevice({ id: deviceId, name: connection.name });
+        await touchDevice(deviceId, connection.name);
+        await refreshDevices();
+      } catch (err) {
+        console.warn('[ERROR] Failed to update paired devices:', err);
+      }
+    })();
+
+    // subscribe first so the reply can't be missed
+    sendCommand('HELLO')
+      .then((reply) => {
+        logStatus('HELLO', reply.join(' '));
+        const hello = parseHello(reply[0]);
+        if (hello) deviceInfoRef.current = { deviceId, ...hello };
+        return refreshDeviceInfo();
+      })
+      .catch((err) => console.warn('[BLE] HELLO failed:', err.message));
+  }, [sendCommand, logStatus, refreshDevices, refreshDeviceInfo]);
+
+  const attemptConnection = useCallback(async () => {
+    clearReconnectTimer();
+
+    try {
+      const adapterError = errorFromAdapterState(await transport.state());
+      if (adapterError) throw adapterError;
+
+      // the chosen necklace if there is one, else any paired one, else the first found
+      const knownId = lastDeviceIdRef.current;
+      const deviceId =
+        knownId && reconnectAttemptRef.current < DIRECT_RECONNECT_ATTEMPTS
+          ? knownId
+          : await scanForDevice(knownId ? [knownId] : devicesRef.current.map((d) => d.id));
+
+      await openSession(deviceId);
+    } catch (err) {
+      const connectionError = toConnectionError(err);
+      console.warn(`[BLE] Connection attempt failed (${connectionError.reason}): ${connectionError.message}`);
+      logDiagnostic(DIAG_CATEGORY.BLE, 'connect_failed', {
+        level: DIAG_LEVEL.WARN,
+        message: connectionError.message,
+        deviceId: lastDeviceIdRef.current,
+        detail: { reason: connectionError.reason, attempt: reconnectAttemptRef.current },
+      });
+      retryOrFailRef.current(connectionError);
+    }
+  }, [clearReconnectTimer, scanForDevice, openSession]);
+
+  const retryOrFail = useCallback((connectionError) => {
+    setError(connectionError);
+    if (!wantConnectedRef.current) {
+      setConnectionState('disconnected');
+      return;
+    }
+
+    const attempt = reconnectAttemptRef.current + 1;
+    if (!isRetryable(connectionError) || attempt > MAX_RECONNECT_ATTEMPTS) {
+      logDiagnostic(DIAG_CATEGORY.BLE, 'gave_up', {
+        level: DIAG_LEVEL.ERROR,
+        message: connectionError.message,
+        detail: { reason: connectionError.reason, attempts: attempt - 1 },
+      });
+      setConnectionState('error');
+      return;
+    }
+
+    reconnectAttemptRef.current = attempt;
+    const delay = backoffDelay(attempt);
+    console.log(`[BLE] Reconnecting in ${Math.round(delay)} ms (attempt ${attempt}/${MAX_RECONNECT_ATTEMPTS})`);
+    logDiagnostic(DIAG_CATEGORY.BLE, 'reconnect_scheduled', {
+      message: `attempt ${attempt}/${MAX_RECONNECT_ATTEMPTS}`,
+      durationMs: delay,
+      detail: { reason: connectionError.reason },
     });
-  }, [handleTX, sendCommand]);
+    setConnectionState('reconnecting');
+
+    clearReconnectTimer();
+    reconnectTimerRef.current = setTimeout(attemptConnection, delay);
+  }, [attemptConnection, clearReconnectTimer]);
+
+  retryOrFailRef.current = retryOrFail;
+
+  // Detach from the current necklace without triggering a reconnect
+  const detachConnection = useCallback(async () => {
+    const connection = connectionRef.current;
+    if (!connection) return;
+
+    await flushReadings();
+    logDiagnostic(DIAG_CATEGORY.BLE, 'detached', { message: 'Switching device', deviceId: connection.id });
+    connectionRef.current = null;
+    commandQueueRef.current.reset('switching device');
+    setIsConnected(false);
+    setActiveDeviceId(null);
+
+    try {
+      await connection.disconnect();
+    } catch (err) {
+      console.warn('[BLE] Disconnect failed:', err.message);
+    }
+  }, [flushReadings]);
+
+  // Public: connect (or reconnect) on user request.
+  // Pass a deviceId to pick a necklace; without one the last device is used.
+  const connectAndListen = useCallback(async (deviceId) => {
+    wantConnectedRef.current = true;
+    reconnectAttemptRef.current = 0;
+
+    if (deviceId && deviceId !== lastDeviceIdRef.current) {
+      lastDeviceIdRef.current = deviceId;
+      await detachConnection();
+    }
+    if (connectionRef.current) return;
+
+    stopScan();
+    await attemptConnection();
+  }, [attemptConnection, detachConnection, stopScan]);
+
+  // Public: drop the link and stop reconnecting
+  const disconnect = useCallback(async () => {
+    logDiagnostic(DIAG_CATEGORY.BLE, 'disconnect_requested', { deviceId: connectionRef.current?.id ?? null });
+    wantConnectedRef.current = false;
+    clearReconnectTimer();
+    stopScan();
+
+    try {
+      await connectionRef.current?.disconnect();
+    } catch (err) {
+      console.warn('[BLE] Disconnect failed:', err.message);
+    }
+    setConnectionState('disconnected');
+  }, [clearReconnectTimer, stopScan]);
 
   // ------------------------------
-  // Auto GET every 7 seconds
+  // Paired devices
   // ------------------------------
+  const pairDevice = useCallback(async (deviceId, nickname) => {
+    try {
+      const seen = discoveredDevices.find((d) => d.id === deviceId);
+      await storePairDevice({ id: deviceId, name: seen?.name ?? null }, nickname);
+      await refreshDevices();
+    } catch (err) {
+      console.warn('[ERROR] Failed to pair device:', err);
+      throw err;
+    }
+  }, [discoveredDevices, refreshDevices]);
+
+  const renameDevice = useCallback(async (deviceId, nickname) => {
+    try {
+      await storeRenameDevice(deviceId, nickname);
+      await refreshDevices();
+    } catch (err) {
+      console.warn('[ERROR] Failed to rename device:', err);
+      throw err;
+    }
+  }, [refreshDevices]);
+
+  // Readings from a forgotten device are kept
+  const forgetDevice = useCallback(async (deviceId) => {
+    try {
+      if (connectionRef.current?.id === deviceId) await disconnect();
+      if (lastDeviceIdRef.current === deviceId) {
+        lastDeviceIdRef.current = null;
+        await setMeta(LAST_DEVICE_KEY, null);
+      }
+      if (deviceFilter === deviceId) setDeviceFilter(null);
+
+      await storeForgetDevice(deviceId);
+      await refreshDevices();
+    } catch (err) {
+      console.warn('[ERROR] Failed to forget device:', err);
+      throw err;
+    }
+  }, [disconnect, deviceFilter, refreshDevices]);
+
+  // Bluetooth toggled / permission granted while we want a connection
   useEffect(() => {
-    const t = setInterval(() => {
-      if (isConnected && !activeCommandRef.current) {
+    const sub = transport.onStateChange((state) => {
+      const adapterError = errorFromAdapterState(state);
+      if (adapterError) {
+        setError(adapterError);
+        if (wantConnectedRef.current && !connectionRef.current) setConnectionState('error');
+        return;
+      }
+
+      if (state === 'PoweredOn' && wantConnectedRef.current && !connectionRef.current) {
+        console.log('[BLE] Adapter ready — retrying connection');
+        reconnectAttemptRef.current = 0;
+        attemptConnection();
+      }
+    });
+
+    return () => sub.remove();
+  }, [attemptConnection]);
+
+  // ------------------------------
+  // Poll scheduler — the only place automatic GETs come from
+  // A tick is skipped while the previous sync is still running.
+  // ------------------------------
+  useEffect(() => {
+    if (!isConnected) return;
+
+    const t = setInterval(async () => {
+      if (pollInFlightRef.current) return;
+      pollInFlightRef.current = true;
+
+      try {
         console.log('[BLE] Auto GET');
-        sendCommand('GET');
+        await syncReadings();
+      } finally {
+        pollInFlightRef.current = false;
       }
-    }, 7000);
+    }, POLL_INTERVAL_MS);
+
     return () => clearInterval(t);
-  }, [isConnected, sendCommand]);
+  }, [isConnected, syncReadings]);
 
   // ------------------------------
   // Cleanup BLE
   // ------------------------------
-  useEffect(() => () => manager.destroy(), []);
+  useEffect(() => () => {
+    wantConnectedRef.current = false;
+    clearTimeout(reconnectTimerRef.current);
+    clearTimeout(scanTimerRef.current);
+    flushReadings();
+    transport.destroy();
+  }, [flushReadings]);
+
+  // ------------------------------
+  // Diagnostics (lib/diagnostics.js) — hidden screen on the dashboard
+  // ------------------------------
+  const getDiagnostics = useCallback((options) => queryDiagnostics(options), []);
+
+  const updateDiagnosticsSettings = useCallback(async (changes) => {
+    const settings = await storeUpdateDiagnosticsSettings(changes);
+    setDiagnosticsSettings(settings);
+    console.log(`[DIAG] Raw capture ${settings.captureRaw ? 'on' : 'off'}`);
+    return settings;
+  }, []);
+
+  const clearDiagnostics = useCallback(async () => {
+    await storeClearDiagnostics();
+    setDiagnosticsUpdatedAt(Date.now());
+  }, []);
+
+  // Writes the whole log plus the current connection / device state, then
+  // shares the file itself (lib/exportReadings.js)
+  const exportDiagnostics = useCallback(async () => {
+    const file = await writeDiagnosticsFile({
+      connectionState,
+      activeDeviceId,
+      error: error && { reason: error.reason, message: error.message },
+      deviceInfo,
+      pairedDevices: devices.map((d) => d.id),
+      storageStats,
+      validationCounts,
+    });
+    console.log(`[DIAG] Wrote ${file.count} entries to ${file.uri}`);
+
+    const shared = await shareExportFile(file, EXPORT_FORMAT.JSON);
+    return { count: file.count, uri: file.uri, shared };
+  }, [connectionState, activeDeviceId, error, deviceInfo, devices, storageStats, validationCounts]);
 
   // ------------------------------
   // Return API
@@ -494,16 +1810,88 @@ export function useBluetoothUART() {
 
     stats,
     storageStats,   // ⭐ NEW — used like stats
+    validationCounts,
+    quarantine,
+    retentionPolicy,
+    compaction,
+    updateRetentionPolicy,
+    compactNow,
+    getAggregatesInRange,
 
     sendCommand,
     clearLog,
+    syncReadings,
     clearSavedData,
     connectAndListen,
+    disconnect,
+
+    devices,
+    discoveredDevices,
+    activeDeviceId,
+    deviceFilter,
+    setDeviceFilter,
+    scanForDevices,
+    stopScan,
+    pairDevice,
+    renameDevice,
+    forgetDevice,
+    deviceInfo,
+    refreshDeviceInfo,
+    setSampleInterval,
+    setLedMode,
+
+    calibrationProfiles,
+    unitDisplay,
+    captureCalibrationPoint,
+    saveCalibrationProfile,
+    removeCalibrationProfile,
+    updateUnitDisplay,
 
     getSortedReadings,
     getDataByDay,
     getDataByWeek,
     getDataByMonth,
+    getDataInRange,
+    exportReadings,
+    previewImport,
+    commitImport,
+    cancelImport,
+
+    getRollups,
+    getRangeStats,
+    rollupsUpdatedAt,
+
+    getAnnotations,
+    addAnnotation,
+    updateAnnotation,
+    deleteAnnotation,
+    annotationsUpdatedAt,
+
+    calendarSettings,
+    calendarView,
+    updateCalendarSettings,
+
+    insights,
+    insightRules,
+    updateInsightRule,
+    resetInsightRules,
+
+    goals,
+    goalProgress,
+    updateGoal,
+    resetGoals,
+
+    alertSettings,
+    alertHistory,
+    updateAlertSettings,
+    getAlertHistory,
+
+    diagnosticsSettings,
+    diagnosticsUpdatedAt,
+    getDiagnostics,
+    updateDiagnosticsSettings,
+    clearDiagnostics,
+    exportDiagnostics,
 
     timeRangeStats
   };
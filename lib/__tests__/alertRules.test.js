@@ -0,0 +1,90 @@
+// lib/__tests__/alertRules.test.js
+//
+// Alert rules and the delivery policy on the calendar's wall clock, whatever
+// zone the phone is in.
+
+import { ALERT_SUPPRESSED, DEFAULT_ALERT_SETTINGS, applyDeliveryPolicy, evaluateAlerts } from '../alertRules';
+import { createCalendar } from '../calendar';
+
+jest.mock('../db', () => ({}));
+
+const MINUTE_MS = 60 * 1000;
+
+const TOKYO = createCalendar({ homeTimeZone: 'Asia/Tokyo' }); // UTC+9
+const NEW_YORK = createCalendar({ homeTimeZone: 'America/New_York' }); // UTC-5, -4 from 8 March 2026
+
+// one reading a minute over [from, to)
+function minutes(from, to, intensity) {
+  const readings = [];
+  for (let t = from; t < to; t += MINUTE_MS) readings.push({ deviceId: 'A', sampledAt: t, intensity });
+  return readings;
+}
+
+describe('bedtime exposure', () => {
+  // 22:00–22:20 in Tokyo, 08:00 in New York
+  const start = Date.parse('2026-01-15T13:00:00Z');
+  const readings = minutes(start, start + 21 * MINUTE_MS, 80);
+  const now = start + 21 * MINUTE_MS;
+
+  test('fires after bedtime on the calendar clock', () => {
+    const [alert] = evaluateAlerts(DEFAULT_ALERT_SETTINGS, readings, now, TOKYO);
+    expect(alert).toMatchObject({ ruleId: 'bedtimeExposure', value: 80 });
+    expect(alert.body).toContain('for 20 min since 22:00');
+  });
+
+  test('stays quiet when it is morning on the calendar clock', () => {
+    expect(evaluateAlerts(DEFAULT_ALERT_SETTINGS, readings, now, NEW_YORK)).toEqual([]);
+  });
+});
+
+describe('low morning light', () => {
+  // 06:30–10:00 on 16 January in Tokyo is still 15 January in UTC
+  const wake = Date.parse('2026-01-15T21:30:00Z');
+  const cutoff = wake + 210 * MINUTE_MS;
+  const readings = minutes(wake, cutoff, 5);
+
+  test('keys the daily alert by the calendar day', () => {
+    const [alert] = evaluateAlerts(DEFAULT_ALERT_SETTINGS, readings, cutoff + 30 * MINUTE_MS, TOKYO);
+    expect(alert).toMatchObject({ ruleId: 'lowMorningLight', dedupeKey: 'lowMorningLight:2026-01-16' });
+  });
+
+  test('only goes out in the hours after the cutoff', () => {
+    expect(evaluateAlerts(DEFAULT_ALERT_SETTINGS, readings, cutoff - MINUTE_MS, TOKYO)).toEqual([]);
+    expect(evaluateAlerts(DEFAULT_ALERT_SETTINGS, readings, cutoff + 4 * 60 * MINUTE_MS, TOKYO)).toEqual([]);
+    expect(evaluateAlerts(DEFAULT_ALERT_SETTINGS, readings, cutoff + 30 * MINUTE_MS, NEW_YORK)).toEqual([]);
+  });
+
+  test('follows the clock on a DST morning', () => {
+    // 8 March 2026 in New York: 06:30–10:00 EDT dim, then bright until 11:00;
+    // midnight + 6.5 h of real time would be 07:30 and take in the bright hour
+    const dstWake = Date.parse('2026-03-08T10:30:00Z');
+    const dstCutoff = dstWake + 210 * MINUTE_MS;
+    const day = [...minutes(dstWake, dstCutoff, 5), ...minutes(dstCutoff, dstCutoff + 60 * MINUTE_MS, 500)];
+
+    const [alert] = evaluateAlerts(DEFAULT_ALERT_SETTINGS, day, dstCutoff + 60 * MINUTE_MS, NEW_YORK);
+    expect(alert).toMatchObject({ ruleId: 'lowMorningLight', dedupeKey: 'lowMorningLight:2026-03-08' });
+    expect(alert.value).toBeCloseTo(5);
+  });
+});
+
+describe('delivery policy', () => {
+  const candidate = { ruleId: 'bedtimeExposure', title: 't', body: 'b', value: 80, dedupeKey: null };
+  const now = Date.parse('2026-01-15T18:00:00Z'); // 03:00 in Tokyo, 13:00 in New York
+
+  test('holds notifications back in quiet hours on the calendar clock', () => {
+    const [quiet] = applyDeliveryPolicy([candidate], DEFAULT_ALERT_SETTINGS, [], now, TOKYO);
+    expect(quiet).toMatchObject({ deliver: false, suppressedReason: ALERT_SUPPRESSED.QUIET_HOURS, firedAt: now });
+
+    const [loud] = applyDeliveryPolicy([candidate], DEFAULT_ALERT_SETTINGS, [], now, NEW_YORK);
+    expect(loud).toMatchObject({ deliver: true, suppressedReason: null });
+  });
+
+  test('drops alerts inside the cooldown or already sent today', () => {
+    const daily = { ...candidate, ruleId: 'lowMorningLight', dedupeKey: 'lowMorningLight:2026-01-15' };
+    const recent = [
+      { ruleId: 'bedtimeExposure', firedAt: now - 30 * MINUTE_MS, notified: true },
+      { ruleId: 'lowMorningLight', firedAt: now - 5 * 60 * MINUTE_MS, dedupeKey: daily.dedupeKey, notified: true },
+    ];
+    expect(applyDeliveryPolicy([candidate, daily], DEFAULT_ALERT_SETTINGS, recent, now, NEW_YORK)).toEqual([]);
+  });
+});
@@ -0,0 +1,98 @@
+// lib/__tests__/calendar.test.js
+//
+// Day, ISO-week and month bucketing on the wall clock, across DST changes,
+// in the home zone and per reading in local mode.
+
+import { CALENDAR_MODE, CALENDAR_PERIOD, createCalendar, describeCalendar, zoneOffsetMinutes } from '../calendar';
+
+jest.mock('../db', () => ({}));
+
+const HOUR_MS = 60 * 60 * 1000;
+const { DAY, WEEK, MONTH } = CALENDAR_PERIOD;
+
+const at = (iso) => Date.parse(iso);
+const NEW_YORK = createCalendar({ homeTimeZone: 'America/New_York' });
+
+test('reads zone offsets at an instant', () => {
+  expect(zoneOffsetMinutes(at('2026-01-15T12:00:00Z'), 'America/New_York')).toBe(-300);
+  expect(zoneOffsetMinutes(at('2026-07-15T12:00:00Z'), 'America/New_York')).toBe(-240);
+  expect(zoneOffsetMinutes(at('2026-07-15T12:00:00Z'), 'Asia/Kolkata')).toBe(330);
+});
+
+describe('days across DST', () => {
+  test('a spring-forward day is 23 hours without 02:00', () => {
+    const day = NEW_YORK.period(DAY, at('2026-03-08T16:00:00Z'));
+    expect(day).toMatchObject({ key: '2026-03-08', start: at('2026-03-08T05:00:00Z'), end: at('2026-03-09T04:00:00Z') });
+    expect(day.end - day.start).toBe(23 * HOUR_MS);
+
+    const { hours } = describeCalendar(NEW_YORK, at('2026-03-08T16:00:00Z'));
+    expect(hours.map((h) => h.hour)).toEqual([0, 1, ...Array.from({ length: 21 }, (_, i) => i + 3)]);
+  });
+
+  test('a fall-back day is 25 hours with 01:00 twice', () => {
+    const day = NEW_YORK.period(DAY, at('2026-11-01T16:00:00Z'));
+    expect(day.end - day.start).toBe(25 * HOUR_MS);
+
+    const { hours } = describeCalendar(NEW_YORK, at('2026-11-01T16:00:00Z'));
+    expect(hours.map((h) => h.hour).slice(0, 4)).toEqual([0, 1, 1, 2]);
+    expect(NEW_YORK.hourOf(at('2026-11-01T05:30:00Z'))).toBe(1);
+    expect(NEW_YORK.hourOf(at('2026-11-01T06:30:00Z'))).toBe(1);
+  });
+
+  test('a day whose midnight is skipped starts when the clock jumps to', () => {
+    // Santiago moves from 00:00 to 01:00 on 6 September 2026
+    const santiago = createCalendar({ homeTimeZone: 'America/Santiago' });
+    const day = santiago.period(DAY, at('2026-09-06T15:00:00Z'));
+
+    expect(day.start).toBe(at('2026-09-06T04:00:00Z'));
+    expect(day.end - day.start).toBe(23 * HOUR_MS);
+    expect(santiago.dayStart(at('2026-09-06T15:00:00Z'))).toBe(day.start);
+  });
+
+  test('day starts step over DST by calendar days, not 24 hours', () => {
+    const noon = at('2026-03-09T16:00:00Z');
+    expect(NEW_YORK.dayStart(noon, -1)).toBe(at('2026-03-08T05:00:00Z'));
+    expect(NEW_YORK.dayStart(noon, -2)).toBe(at('2026-03-07T05:00:00Z'));
+    expect(NEW_YORK.dayOfKey('2026-03-08').start).toBe(at('2026-03-08T05:00:00Z'));
+  });
+});
+
+describe('weeks and months', () => {
+  test('ISO weeks start on Monday and can belong to the next year', () => {
+    const week = NEW_YORK.period(WEEK, at('2026-01-01T17:00:00Z'));
+    expect(week).toMatchObject({ key: '2026-W01', start: at('2025-12-29T05:00:00Z') });
+    expect(week.end - week.start).toBe(7 * 24 * HOUR_MS);
+  });
+
+  test('a month holding a DST change is an hour short', () => {
+    const march = NEW_YORK.period(MONTH, at('2026-03-15T12:00:00Z'));
+    expect(march).toMatchObject({ key: '2026-03', start: at('2026-03-01T05:00:00Z'), end: at('2026-04-01T04:00:00Z') });
+    expect(NEW_YORK.parentOf(MONTH, NEW_YORK.dayOfKey('2026-03-31')).key).toBe('2026-03');
+  });
+
+  test('lists the periods overlapping a range', () => {
+    const days = NEW_YORK.periodsBetween(DAY, at('2026-03-07T12:00:00Z'), at('2026-03-09T12:00:00Z'));
+    expect(days.map((d) => d.key)).toEqual(['2026-03-07', '2026-03-08', '2026-03-09']);
+  });
+});
+
+describe('membership', () => {
+  test('home mode counts readings on the home day, wherever they were taken', () => {
+    const day = NEW_YORK.dayOfKey('2026-01-15');
+    // 23:30 in New York, already 16 January in UTC
+    expect(NEW_YORK.contains(day, { sampledAt: at('2026-01-16T04:30:00Z'), utcOffsetMin: 60 })).toBe(true);
+    expect(NEW_YORK.contains(day, { sampledAt: at('2026-01-16T05:30:00Z'), utcOffsetMin: -300 })).toBe(false);
+  });
+
+  test('local mode counts each reading on its own wall-clock day', () => {
+    const local = createCalendar({ mode: CALENDAR_MODE.LOCAL });
+    const day = local.dayOfKey('2026-01-16');
+    const tokyo = { sampledAt: at('2026-01-15T16:00:00Z'), utcOffsetMin: 540 }; // 01:00 on the 16th
+    const newYork = { sampledAt: at('2026-01-16T04:00:00Z'), utcOffsetMin: -300 }; // 23:00 on the 15th
+
+    expect(local.contains(day, tokyo)).toBe(true);
+    expect(local.contains(day, newYork)).toBe(false);
+    expect(local.period(DAY, tokyo.sampledAt, tokyo.utcOffsetMin).key).toBe('2026-01-16');
+    expect(local.hourOf(newYork.sampledAt, newYork.utcOffsetMin)).toBe(23);
+  });
+});
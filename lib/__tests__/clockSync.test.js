@@ -0,0 +1,90 @@
+// lib/__tests__/clockSync.test.js
+//
+// Device counters onto wall-clock time: anchoring on arrival, tick unit and
+// drift across syncs, and reboots within or between dumps.
+
+import { TIME_CONFIDENCE, alignReadings, createClockState, splitAtCounterResets } from '../clockSync';
+
+const RECEIVED_AT = Date.parse('2026-01-15T12:00:00Z');
+
+// one line per counter value, all arriving at `receivedAt`
+const dump = (counters, receivedAt) =>
+  counters.map((deviceTimestamp) => ({ deviceTimestamp, intensity: 1, receivedAt }));
+const range = (from, to, step) => Array.from({ length: Math.floor((to - from) / step) + 1 }, (_, i) => from + i * step);
+const times = (readings) => readings.map((r) => r.sampledAt);
+
+test('splits a dump wherever the counter goes backwards', () => {
+  const segments = splitAtCounterResets(dump([60, 120, 0, 60, 30], 0));
+  expect(segments.map((s) => s.map((r) => r.deviceTimestamp))).toEqual([[60, 120], [0, 60], [30]]);
+});
+
+test('anchors the newest sample on arrival, counting seconds', () => {
+  const { readings, state } = alignReadings(dump([0, 60, 120], RECEIVED_AT));
+
+  expect(times(readings)).toEqual([RECEIVED_AT - 120_000, RECEIVED_AT - 60_000, RECEIVED_AT]);
+  expect(readings.every((r) => r.timeConfidence === TIME_CONFIDENCE.MEDIUM)).toBe(true);
+  expect(state).toMatchObject({ epoch: 0, msPerTick: 1000, driftMeasured: false });
+  expect(state.anchors).toEqual([{ deviceTs: 120, wallMs: RECEIVED_AT }]);
+});
+
+test('measures drift across syncs an hour apart', () => {
+  // the crystal runs 1% slow: 3600 ticks take 3636 s
+  const first = alignReadings(dump(range(0, 600, 60), RECEIVED_AT));
+  const laterAt = RECEIVED_AT + 3600 * 1010;
+  const { readings, state } = alignReadings(dump(range(660, 4200, 60), laterAt), first.state);
+
+  expect(state).toMatchObject({ unitMs: 1000, driftMeasured: true });
+  expect(state.msPerTick).toBeCloseTo(1010);
+  expect(readings.at(-1).sampledAt).toBe(laterAt);
+  expect(readings[0].sampledAt).toBe(RECEIVED_AT + 60 * 1010);
+  expect(readings.every((r) => r.timeConfidence === TIME_CONFIDENCE.HIGH)).toBe(true);
+});
+
+test('recognizes a millisecond counter from two syncs', () => {
+  const first = alignReadings(dump([1_000, 5_000], RECEIVED_AT));
+  // 20 s later the counter has moved 20 000 ticks
+  const { readings, state } = alignReadings(dump([15_000, 25_000], RECEIVED_AT + 20_000), first.state);
+
+  expect(state).toMatchObject({ unitMs: 1, msPerTick: 1, driftMeasured: false });
+  expect(times(readings)).toEqual([RECEIVED_AT + 10_000, RECEIVED_AT + 20_000]);
+});
+
+test('a reboot within a dump starts a boot that ends where the next begins', () => {
+  const { readings, state } = alignReadings(dump([100, 160, 220, 0, 60, 120], RECEIVED_AT));
+  const bootedAt = RECEIVED_AT - 120_000;
+
+  expect(times(readings)).toEqual([
+    bootedAt - 120_000,
+    bootedAt - 60_000,
+    bootedAt,
+    bootedAt,
+    bootedAt + 60_000,
+    RECEIVED_AT,
+  ]);
+  expect(readings.map((r) => r.timeConfidence)).toEqual([
+    ...new Array(3).fill(TIME_CONFIDENCE.LOW),
+    ...new Array(3).fill(TIME_CONFIDENCE.MEDIUM),
+  ]);
+  expect(state.epoch).toBe(0);
+});
+
+test('a dump continuing the last boot and then rebooting opens a new epoch', () => {
+  const first = alignReadings(dump([0, 60], RECEIVED_AT));
+  const laterAt = RECEIVED_AT + 600_000;
+  const { readings, state } = alignReadings(dump([120, 180, 0, 30], laterAt), first.state);
+
+  // the old boot stays on its anchors; the new one is anchored on arrival
+  expect(times(readings)).toEqual([RECEIVED_AT + 60_000, RECEIVED_AT + 120_000, laterAt - 30_000, laterAt]);
+  expect(readings.every((r) => r.timeConfidence === TIME_CONFIDENCE.MEDIUM)).toBe(true);
+  expect(state.epoch).toBe(1);
+  expect(state.anchors).toEqual([{ deviceTs: 30, wallMs: laterAt }]);
+});
+
+test('a dump with no new samples leaves the clock as it was', () => {
+  const first = alignReadings(dump([0, 60], RECEIVED_AT));
+  const { readings, state } = alignReadings(dump([60], RECEIVED_AT + 30_000), first.state);
+
+  expect(state.anchors).toEqual(first.state.anchors);
+  expect(times(readings)).toEqual([RECEIVED_AT]);
+  expect(alignReadings([], first.state)).toEqual({ readings: [], state: first.state });
+});
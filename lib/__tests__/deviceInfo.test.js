@@ -0,0 +1,77 @@
+// lib/__tests__/deviceInfo.test.js
+//
+// Reply parsing, warnings and the sampling-interval limit.
+
+import {
+  DEVICE_WARNING,
+  SAMPLE_INTERVAL_RANGE,
+  deviceWarnings,
+  parseBattery,
+  parseInfo,
+  setSampleInterval,
+} from '../deviceInfo';
+import { computeExposure, EXPOSURE_MAX_GAP_MS } from '../exposure';
+
+jest.mock('../db', () => ({}));
+
+const INFO_LINES = ['fw=1.4.2', 'model=CAROT-1', 'interval=60', 'led=AUTO', 'log_used=900', 'log_capacity=1000', 'clock=5400'];
+
+test('parses INFO and BATT replies', () => {
+  expect(parseInfo(INFO_LINES, 1000)).toEqual({
+    firmware: '1.4.2',
+    model: 'CAROT-1',
+    sampleIntervalS: 60,
+    led: 'auto',
+    log: { used: 900, capacity: 1000, fraction: 0.9 },
+    clock: { counter: 5400, readAt: 1000 },
+  });
+  expect(parseBattery('BATT 42 3790 CHARGING', 1000)).toEqual({
+    percent: 42,
+    millivolts: 3790,
+    charging: true,
+    readAt: 1000,
+  });
+  expect(parseBattery('OK')).toBeNull();
+});
+
+test('warns about a nearly full log and a low battery', () => {
+  const info = { ...parseInfo(INFO_LINES), battery: parseBattery('BATT 15 3600') };
+  expect(deviceWarnings(info).map((w) => w.code)).toEqual([
+    DEVICE_WARNING.LOG_NEARLY_FULL,
+    DEVICE_WARNING.BATTERY_LOW,
+  ]);
+});
+
+describe('sampling interval', () => {
+  test('stops at the longest spacing exposure still bridges', () => {
+    expect(SAMPLE_INTERVAL_RANGE.max * 1000).toBe(EXPOSURE_MAX_GAP_MS);
+
+    // samples at the limit still add up to worn time
+    const readings = [0, 1, 2].map((i) => ({
+      deviceId: 'a',
+      sampledAt: i * SAMPLE_INTERVAL_RANGE.max * 1000,
+      intensity: 50,
+    }));
+    expect(computeExposure(readings).coveredMs).toBe(2 * EXPOSURE_MAX_GAP_MS);
+  });
+
+  test('refuses an interval above 300 s without asking the device', async () => {
+    const sendCommand = jest.fn(async () => ['OK INTERVAL 600']);
+
+    await expect(setSampleInterval(sendCommand, 600)).rejects.toThrow('1–300 s');
+    expect(sendCommand).not.toHaveBeenCalled();
+
+    sendCommand.mockResolvedValueOnce(['OK INTERVAL 300']);
+    await expect(setSampleInterval(sendCommand, 300)).resolves.toBe(300);
+    expect(sendCommand).toHaveBeenCalledWith('SET INTERVAL 300');
+  });
+
+  test('warns when the device already samples slower than that', () => {
+    const info = parseInfo(['interval=600']);
+    expect(deviceWarnings(info).map((w) => w.code)).toEqual([DEVICE_WARNING.INTERVAL_TOO_LONG]);
+
+    // which would otherwise measure nothing
+    const readings = [0, 1, 2].map((i) => ({ deviceId: 'a', sampledAt: i * 600_000, intensity: 50 }));
+    expect(computeExposure(readings)).toMatchObject({ dose: 0, coveredMs: 0, gaps: 2 });
+  });
+});
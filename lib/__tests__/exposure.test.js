@@ -0,0 +1,113 @@
+// lib/__tests__/exposure.test.js
+//
+// Time-weighted dose: trapezoids between samples, gaps, threshold crossings,
+// wall-clock hours and windows on the calendar.
+
+import { createCalendar } from '../calendar';
+import { EXPOSURE_MAX_GAP_MS, computeExposure } from '../exposure';
+
+jest.mock('../db', () => ({}));
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const UTC = createCalendar({ homeTimeZone: 'UTC' });
+const NEW_YORK = createCalendar({ homeTimeZone: 'America/New_York' });
+
+const at = (iso) => Date.parse(iso);
+const reading = (sampledAt, intensity, deviceId = 'A') => ({ deviceId, sampledAt, intensity });
+
+// one reading every `stepMs` over [from, to]
+function series(from, to, intensity, stepMs = MINUTE_MS, deviceId = 'A') {
+  const readings = [];
+  for (let t = from; t <= to; t += stepMs) readings.push(reading(t, intensity, deviceId));
+  return readings;
+}
+
+test('integrates intensity over elapsed time, whatever the sample rate', () => {
+  const start = at('2026-01-15T10:00:00Z');
+  const everyMinute = computeExposure(series(start, start + HOUR_MS, 30), { calendar: UTC });
+  const everyFive = computeExposure(series(start, start + HOUR_MS, 30, 5 * MINUTE_MS), { calendar: UTC });
+
+  expect(everyMinute.dose).toBeCloseTo(30);
+  expect(everyFive.dose).toBeCloseTo(30);
+  expect(everyMinute.coveredMs).toBe(HOUR_MS);
+  expect(everyMinute.avgIntensity).toBeCloseTo(30);
+});
+
+test('uses trapezoids between samples', () => {
+  const start = at('2026-01-15T10:00:00Z');
+  const { dose, maxIntensity, peakTime } = computeExposure(
+    [reading(start, 0), reading(start + 4 * MINUTE_MS, 60)],
+    { calendar: UTC }
+  );
+  expect(dose).toBeCloseTo(2); // 30 BLU on average for 4 min
+  expect(maxIntensity).toBe(60);
+  expect(peakTime).toBe(start + 4 * MINUTE_MS);
+});
+
+test('does not bridge gaps longer than maxGapMs', () => {
+  const start = at('2026-01-15T10:00:00Z');
+  const readings = [
+    ...series(start, start + 10 * MINUTE_MS, 60),
+    ...series(start + 10 * MINUTE_MS + EXPOSURE_MAX_GAP_MS + 1, start + 40 * MINUTE_MS, 60),
+  ];
+  const result = computeExposure(readings, { calendar: UTC });
+
+  expect(result.gaps).toBe(1);
+  expect(result.coveredMs).toBe(10 * MINUTE_MS + 24 * MINUTE_MS);
+  expect(result.avgIntensity).toBeCloseTo(60);
+
+  // a longer limit bridges it
+  expect(computeExposure(readings, { calendar: UTC, maxGapMs: 10 * MINUTE_MS }).gaps).toBe(0);
+});
+
+test('integrates each necklace on its own and adds them up', () => {
+  const start = at('2026-01-15T10:00:00Z');
+  // interleaved samples from two necklaces must not be bridged into each other
+  const a = series(start, start + 30 * MINUTE_MS, 10, 2 * MINUTE_MS, 'A');
+  const b = series(start + MINUTE_MS, start + 31 * MINUTE_MS, 50, 2 * MINUTE_MS, 'B');
+  const { dose, coveredMs, count } = computeExposure([...a, ...b], { calendar: UTC });
+
+  expect(dose).toBeCloseTo(5 + 25);
+  expect(coveredMs).toBe(60 * MINUTE_MS);
+  expect(count).toBe(a.length + b.length);
+});
+
+test('measures the time above a threshold where the line crosses it', () => {
+  const start = at('2026-01-15T10:00:00Z');
+  const { aboveThresholdMs } = computeExposure(
+    [reading(start, 0), reading(start + 4 * MINUTE_MS, 100), reading(start + 8 * MINUTE_MS, 0)],
+    { calendar: UTC, threshold: 50 }
+  );
+  expect(aboveThresholdMs).toBeCloseTo(4 * MINUTE_MS);
+});
+
+test('splits dose at wall-clock hours and into day windows', () => {
+  // 16:30–17:30 on the calendar's clock: half afternoon, half evening
+  const start = at('2026-01-15T21:30:00Z');
+  const result = computeExposure(series(start, start + HOUR_MS, 20), { calendar: NEW_YORK });
+
+  expect(result.hourly.dose[16]).toBeCloseTo(10);
+  expect(result.hourly.dose[17]).toBeCloseTo(10);
+  expect(result.hourly.coveredMs[16]).toBe(30 * MINUTE_MS);
+  expect(result.windows.daytime.dose).toBeCloseTo(10);
+  expect(result.windows.evening.dose).toBeCloseTo(10);
+  expect(result.windows.night.dose).toBe(0);
+});
+
+test('puts both real hours of a repeated DST hour into it', () => {
+  // 1 November 2026 in New York: 01:00–02:00 runs twice
+  const start = at('2026-11-01T05:00:00Z'); // 01:00 EDT
+  const result = computeExposure(series(start, start + 2 * HOUR_MS, 10), { calendar: NEW_YORK });
+
+  expect(result.hourly.dose[1]).toBeCloseTo(20);
+  expect(result.hourly.coveredMs[1]).toBe(2 * HOUR_MS);
+  expect(result.dose).toBeCloseTo(20);
+});
+
+test('falls back to the plain mean without any duration', () => {
+  const result = computeExposure([reading(at('2026-01-15T10:00:00Z'), 42)], { calendar: UTC });
+  expect(result).toMatchObject({ dose: 0, coveredMs: 0, avgIntensity: 42, count: 1 });
+  expect(computeExposure([], { calendar: UTC })).toMatchObject({ avgIntensity: 0, maxIntensity: null });
+});
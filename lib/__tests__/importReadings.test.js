@@ -0,0 +1,107 @@
+// lib/__tests__/importReadings.test.js
+//
+// Backup parsing and the import plan, with the reading store swapped for an
+// in-memory list of stored samples and a retention cutoff.
+
+import { IMPORT_FORMAT, parseBackup, planImport } from '../importReadings';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETAINED_FROM = 10 * DAY_MS;
+
+const mockStore = { samples: [], retainedFrom: 0 };
+
+jest.mock('../readingStore', () => ({
+  getStoredSamples: async (timestamps) => {
+    const wanted = new Set(timestamps);
+    return mockStore.samples.filter((s) => wanted.has(s.deviceTimestamp));
+  },
+  getRawRetainedFrom: async () => mockStore.retainedFrom,
+}));
+
+function reading(deviceTimestamp, sampledAt, extra = {}) {
+  return { deviceId: 'A', deviceTimestamp, intensity: 40, receivedAt: sampledAt, sampledAt, ...extra };
+}
+
+function exportJson(readings) {
+  return JSON.stringify({ exportedAt: '2026-01-01T00:00:00.000Z', readings });
+}
+
+beforeEach(() => {
+  mockStore.samples = [];
+  mockStore.retainedFrom = 0;
+});
+
+describe('parseBackup', () => {
+  test('tells our exports from a legacy sensor_data.json', () => {
+    expect(parseBackup(exportJson([])).format).toBe(IMPORT_FORMAT.EXPORT_JSON);
+    expect(parseBackup('[]').format).toBe(IMPORT_FORMAT.LEGACY_JSON);
+    expect(parseBackup('{"readings":[]}').format).toBe(IMPORT_FORMAT.LEGACY_JSON);
+  });
+
+  test('reads quoted CSV fields and CRLF line ends', () => {
+    const csv = '\uFEFFdevice_id,device_timestamp,intensity\r\n"A,1",60,41\r\n,120,"42"\r\n';
+    expect(parseBackup(csv)).toEqual({
+      format: IMPORT_FORMAT.CSV,
+      records: [
+        { deviceId: 'A,1', deviceTimestamp: '60', intensity: '41' },
+        { deviceId: '', deviceTimestamp: '120', intensity: '42' },
+      ],
+    });
+  });
+
+  test('rejects files it cannot read', () => {
+    expect(() => parseBackup('  ')).toThrow('File is empty');
+    expect(() => parseBackup('{"readings":')).toThrow('Not valid JSON');
+    expect(() => parseBackup('time,value\n1,2')).toThrow('device_timestamp and intensity');
+  });
+});
+
+describe('planImport', () => {
+  test('splits new readings from stored, repeated and invalid ones', async () => {
+    const t = 20 * DAY_MS;
+    mockStore.samples = [{ deviceId: 'A', deviceTimestamp: 60, sampledAt: t }];
+
+    const plan = await planImport(
+      exportJson([
+        reading(60, t), // stored
+        reading(120, t + 60_000),
+        reading(120, t + 60_000), // repeated in the file
+        reading(180, t + 120_000, { deviceId: 'B' }),
+        { deviceTimestamp: 'x', intensity: 1 },
+      ])
+    );
+
+    expect(plan).toMatchObject({ total: 5, duplicates: 2, beforeRetention: 0, invalid: 1 });
+    expect(plan.fresh.map((r) => r.deviceTimestamp)).toEqual([120, 180]);
+    expect(plan.range).toEqual({ start: t + 60_000, end: t + 120_000 });
+    expect(plan.deviceIds).toEqual(['A', 'B']);
+  });
+
+  test('counts readings from compacted days on their own, not as duplicates', async () => {
+    mockStore.retainedFrom = RETAINED_FROM;
+
+    // another phone's history: never stored here, but its days are compacted
+    const plan = await planImport(
+      exportJson([reading(60, RETAINED_FROM - DAY_MS), reading(120, RETAINED_FROM - 1), reading(180, RETAINED_FROM)])
+    );
+
+    expect(plan).toMatchObject({ duplicates: 0, beforeRetention: 2, retainedFrom: RETAINED_FROM });
+    expect(plan.fresh.map((r) => r.deviceTimestamp)).toEqual([180]);
+  });
+
+  test('fills what older backups leave out', async () => {
+    const plan = await planImport('[{"deviceTimestamp": 60, "intensity": 40, "receivedAt": 5000}]');
+
+    expect(plan.fresh).toEqual([
+      {
+        deviceId: null,
+        deviceTimestamp: 60,
+        intensity: 40,
+        receivedAt: 5000,
+        sampledAt: 5000,
+        timeConfidence: 'low',
+        utcOffsetMin: null,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,92 @@
+// lib/__tests__/insightRules.test.js
+//
+// Insight rules against a built context: message wording around midnight
+// and the time-of-day trend.
+
+import { createCalendar } from '../calendar';
+import { computeExposure } from '../exposure';
+import { DEFAULT_RULES, buildInsightContext, evaluateRules } from '../insightRules';
+
+jest.mock('../db', () => ({}));
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const BERLIN = createCalendar({ homeTimeZone: 'Europe/Berlin' }); // UTC+1 in January
+
+const rules = DEFAULT_RULES.map((rule) => ({
+  ...rule,
+  enabled: true,
+  params: Object.fromEntries(Object.entries(rule.params).map(([name, spec]) => [name, { ...spec }])),
+}));
+const only = (id) => rules.filter((rule) => rule.id === id);
+
+// one reading a minute over [from, to)
+function minutes(from, to, intensity, deviceId = 'A') {
+  const readings = [];
+  for (let t = from; t < to; t += MINUTE_MS) readings.push({ deviceId, sampledAt: t, intensity });
+  return readings;
+}
+
+function contextAt(now, readings, extra = {}) {
+  const exposure = computeExposure(
+    readings.filter((r) => r.sampledAt >= BERLIN.dayStart(now) && r.sampledAt <= now),
+    { calendar: BERLIN }
+  );
+  const stats = {
+    numberReadings: readings.length,
+    latestIntensity: readings.at(-1)?.intensity ?? null,
+    totalExposure: exposure.dose,
+    exposureByWindow: exposure.windows,
+  };
+  return buildInsightContext({ now, stats, readings, calendar: BERLIN, ...extra });
+}
+
+describe('night screen', () => {
+  test('counts from 5 PM in the evening', () => {
+    const now = Date.parse('2026-01-15T22:00:00Z'); // 23:00 in Berlin
+    const readings = minutes(Date.parse('2026-01-15T16:00:00Z'), now + MINUTE_MS, 10); // since 17:00
+
+    const { insights } = evaluateRules(only('night-screen'), contextAt(now, readings));
+    expect(insights[0].message).toMatch(/^You've taken in 60.0 BLU·h since 5 PM\./);
+  });
+
+  test('counts from midnight after it', () => {
+    const now = Date.parse('2026-01-16T01:00:00Z'); // 02:00 in Berlin
+    const readings = minutes(Date.parse('2026-01-15T16:00:00Z'), now + MINUTE_MS, 10);
+
+    const { insights } = evaluateRules(only('night-screen'), contextAt(now, readings));
+    expect(insights[0].message).toMatch(/^You've taken in 20.0 BLU·h since midnight\./);
+  });
+});
+
+describe('above usual', () => {
+  // 10 BLU·h in every hour of the last week
+  const baselineDays = Array.from({ length: 7 }, () => ({ coveredMs: 24 * HOUR_MS, hourly: new Array(24).fill(10) }));
+  const now = Date.parse('2026-01-15T11:30:00Z'); // 12:30 in Berlin
+  const dayStart = BERLIN.dayStart(now);
+
+  test('compares with the same part of the day, the current hour prorated', () => {
+    // 125 BLU·h by 12:30 on average; twice the intensity is twice that
+    const readings = minutes(dayStart, now + MINUTE_MS, 20);
+    const { insights } = evaluateRules(only('above-usual'), contextAt(now, readings, { baselineDays }));
+    expect(insights[0].message).toBe('Your exposure so far is 100% above your 7-day average for this time of day.');
+
+    const usual = minutes(dayStart, now + MINUTE_MS, 10);
+    expect(evaluateRules(only('above-usual'), contextAt(now, usual, { baselineDays })).insights).toEqual([]);
+  });
+
+  test('compares every necklace with the rollups, whatever the filter', () => {
+    const a = minutes(dayStart, now + MINUTE_MS, 5, 'A');
+    const b = minutes(dayStart, now + MINUTE_MS, 15, 'B');
+
+    const ctx = contextAt(now, a, { allReadings: [...a, ...b], baselineDays: baselineDays.map((d) => ({ ...d })) });
+    expect(evaluateRules(only('above-usual'), ctx).insights[0].message).toMatch(/^Your exposure so far is 100% above/);
+  });
+
+  test('needs a few days of history', () => {
+    const readings = minutes(dayStart, now + MINUTE_MS, 20);
+    const ctx = contextAt(now, readings, { baselineDays: baselineDays.slice(0, 2) });
+    expect(evaluateRules(only('above-usual'), ctx).insights).toEqual([]);
+  });
+});
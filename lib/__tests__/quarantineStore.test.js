@@ -0,0 +1,79 @@
+// lib/__tests__/quarantineStore.test.js
+//
+// Quarantine inserts and the running validation totals, against a fake
+// database that records its statements and an in-memory meta table.
+
+import { clearQuarantine, countValidation, getValidationCounts, quarantineLines } from '../quarantineStore';
+import { REJECT_REASON } from '../readingValidation';
+
+const mockStore = { meta: {}, statements: [], transactions: 0 };
+
+jest.mock('../db', () => {
+  const db = {
+    runAsync: async (sql, params = []) => {
+      mockStore.statements.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+      return { changes: 0 };
+    },
+    withTransactionAsync: async (task) => {
+      mockStore.transactions++;
+      await task();
+    },
+  };
+  return {
+    getDatabase: async () => db,
+    getMeta: async (key, fallback) => (key in mockStore.meta ? mockStore.meta[key] : fallback),
+    setMeta: async (key, value) => {
+      mockStore.meta[key] = JSON.parse(JSON.stringify(value));
+    },
+  };
+});
+
+jest.mock('../readingStore', () => ({}));
+
+const entry = (line, reason = REJECT_REASON.NOT_NUMERIC) => ({ line, reason, detail: 'bad' });
+
+beforeEach(() => {
+  mockStore.meta = {};
+  mockStore.statements = [];
+  mockStore.transactions = 0;
+});
+
+test('stores rejected lines in chunks within one transaction, then trims the table', async () => {
+  const entries = Array.from({ length: 160 }, (_, i) => entry(`x${i}`));
+  await quarantineLines(entries, { deviceId: 'A', receivedAt: 5000 });
+
+  expect(mockStore.transactions).toBe(1);
+  const inserts = mockStore.statements.filter((s) => s.sql.startsWith('INSERT INTO quarantine'));
+  expect(inserts.map((s) => s.params.length / 5)).toEqual([150, 10]);
+  expect(inserts[0].params.slice(0, 5)).toEqual(['A', 5000, 'x0', REJECT_REASON.NOT_NUMERIC, 'bad']);
+  expect(mockStore.statements.at(-1).sql).toMatch(/^DELETE FROM quarantine WHERE id <=/);
+});
+
+test('writes nothing for a batch without rejects', async () => {
+  await quarantineLines([]);
+  expect(mockStore.transactions).toBe(0);
+  expect(mockStore.statements).toEqual([]);
+});
+
+test('adds batches to the totals one at a time', async () => {
+  await Promise.all([
+    countValidation({ accepted: 10, duplicates: 2, rejected: [entry('a'), entry('b', REJECT_REASON.OUT_OF_RANGE)] }),
+    countValidation({ accepted: 5, rejected: [entry('c')] }),
+  ]);
+
+  expect(await getValidationCounts()).toMatchObject({
+    accepted: 15,
+    duplicates: 2,
+    rejected: 3,
+    byReason: { [REJECT_REASON.NOT_NUMERIC]: 2, [REJECT_REASON.OUT_OF_RANGE]: 1 },
+  });
+});
+
+test('clearing empties the table and restarts the totals', async () => {
+  await countValidation({ accepted: 3 });
+  const counts = await clearQuarantine();
+
+  expect(mockStore.statements.map((s) => s.sql)).toEqual(['DELETE FROM quarantine']);
+  expect(counts).toMatchObject({ accepted: 0, duplicates: 0, rejected: 0, byReason: {} });
+  expect((await getValidationCounts()).accepted).toBe(0);
+});
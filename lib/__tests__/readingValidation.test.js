@@ -0,0 +1,122 @@
+// lib/__tests__/readingValidation.test.js
+//
+// Reading lines through shape, range, order and dedupe checks, with stored
+// samples from an in-memory list.
+
+import {
+  DUPLICATE_TOLERANCE_MS,
+  INTENSITY_RANGE,
+  REJECT_REASON,
+  createSampleIndex,
+  dropStoredDuplicates,
+  looksLikeReading,
+  validateReadingLines,
+} from '../readingValidation';
+
+const mockStore = { samples: [] };
+
+jest.mock('../readingStore', () => ({
+  getStoredSamples: async (timestamps) => {
+    const wanted = new Set(timestamps);
+    return mockStore.samples.filter((s) => wanted.has(s.deviceTimestamp));
+  },
+}));
+
+const RECEIVED_AT = 1_000_000;
+
+beforeEach(() => {
+  mockStore.samples = [];
+});
+
+test('tells reading lines from status replies', () => {
+  expect(looksLikeReading('120,40')).toBe(true);
+  expect(looksLikeReading('  120')).toBe(true);
+  expect(looksLikeReading('120,4x,9')).toBe(true);
+  expect(looksLikeReading('HELLO CAROT-1')).toBe(false);
+  expect(looksLikeReading('END')).toBe(false);
+});
+
+describe('validateReadingLines', () => {
+  test('keeps well-formed lines in device order', () => {
+    const result = validateReadingLines(['60,40', ' 120 , 41 ', '', '180,42.5'], RECEIVED_AT);
+
+    expect(result.readings).toEqual([
+      { deviceTimestamp: 60, intensity: 40, receivedAt: RECEIVED_AT },
+      { deviceTimestamp: 120, intensity: 41, receivedAt: RECEIVED_AT },
+      { deviceTimestamp: 180, intensity: 42.5, receivedAt: RECEIVED_AT },
+    ]);
+    expect(result.rejected).toEqual([]);
+    expect(result.duplicates).toBe(0);
+  });
+
+  test('rejects malformed and out-of-range lines with a reason', () => {
+    const lines = ['60,40,1', '60;40', 'abc,40', '-5,40', '1.5,40', `60,${INTENSITY_RANGE.max + 1}`, '60,-1'];
+    const { readings, rejected } = validateReadingLines(lines, RECEIVED_AT);
+
+    expect(readings).toEqual([]);
+    expect(rejected.map((r) => [r.line, r.reason])).toEqual([
+      ['60,40,1', REJECT_REASON.COLUMN_COUNT],
+      ['60;40', REJECT_REASON.COLUMN_COUNT],
+      ['abc,40', REJECT_REASON.NOT_NUMERIC],
+      ['-5,40', REJECT_REASON.OUT_OF_RANGE],
+      ['1.5,40', REJECT_REASON.OUT_OF_RANGE],
+      [`60,${INTENSITY_RANGE.max + 1}`, REJECT_REASON.OUT_OF_RANGE],
+      ['60,-1', REJECT_REASON.OUT_OF_RANGE],
+    ]);
+    rejected.forEach((r) => expect(r.detail).toEqual(expect.any(String)));
+  });
+
+  test('quarantines a lone step backwards but keeps a reboot', () => {
+    const glitch = validateReadingLines(['60,1', '120,2', '7,3', '180,4'], RECEIVED_AT);
+    expect(glitch.readings.map((r) => r.deviceTimestamp)).toEqual([60, 120, 180]);
+    expect(glitch.rejected).toEqual([
+      { line: '7,3', reason: REJECT_REASON.NON_MONOTONIC, detail: 'counter 7 between 120 and 180' },
+    ]);
+
+    // the counter restarts and carries on from there
+    const reboot = validateReadingLines(['60,1', '120,2', '0,3', '60,4'], RECEIVED_AT);
+    expect(reboot.readings.map((r) => r.deviceTimestamp)).toEqual([60, 120, 0, 60]);
+    expect(reboot.rejected).toEqual([]);
+  });
+
+  test('counts a repeated counter as a duplicate', () => {
+    const result = validateReadingLines(['60,1', '60,1', '120,2'], RECEIVED_AT);
+    expect(result.readings).toHaveLength(2);
+    expect(result.duplicates).toBe(1);
+  });
+});
+
+describe('duplicates', () => {
+  const sample = (deviceId, deviceTimestamp, sampledAt) => ({ deviceId, deviceTimestamp, sampledAt, intensity: 1 });
+
+  test('match on device, counter and roughly the same time', () => {
+    const index = createSampleIndex();
+    index.remember(sample('A', 60, 10_000));
+
+    expect(index.has(sample('A', 60, 10_000 + DUPLICATE_TOLERANCE_MS))).toBe(true);
+    expect(index.has(sample('A', 60, 10_001 + DUPLICATE_TOLERANCE_MS))).toBe(false); // a later boot
+    expect(index.has(sample('B', 60, 10_000))).toBe(false);
+  });
+
+  test('untagged readings match any device', () => {
+    const index = createSampleIndex();
+    index.remember(sample(null, 60, 10_000));
+    index.remember(sample('A', 120, 20_000));
+
+    expect(index.has(sample('B', 60, 10_000))).toBe(true);
+    expect(index.has(sample(null, 120, 20_000))).toBe(true);
+  });
+
+  test('drops readings already stored or earlier in the batch', async () => {
+    mockStore.samples = [{ deviceId: 'A', deviceTimestamp: 60, sampledAt: 10_000 }];
+
+    const { fresh, duplicates } = await dropStoredDuplicates([
+      sample('A', 60, 10_500),
+      sample('A', 120, 70_000),
+      sample('A', 120, 70_000),
+      sample('B', 60, 10_000),
+    ]);
+    expect(fresh.map((r) => `${r.deviceId}${r.deviceTimestamp}`)).toEqual(['A120', 'B60']);
+    expect(duplicates).toBe(2);
+  });
+});
@@ -0,0 +1,119 @@
+// lib/__tests__/rollupStore.test.js
+//
+// Day summaries and the weeks and months summed from them, with the rollups
+// table and the reading store kept in memory.
+
+import { getCalendar, updateCalendarSettings } from '../calendar';
+import { combineRollups, summarizeReadings, updateRollups } from '../rollupStore';
+
+const mockStore = { meta: {}, readings: [], rollups: new Map(), retainedFrom: 0 };
+
+jest.mock('../db', () => {
+  const COLUMNS = ['period', 'key', 'start', 'end', 'dose', 'coveredMs', 'aboveMs', 'total', 'count', 'max', 'peakAt', 'hourly'];
+  const db = {
+    runAsync: async (sql, params) => {
+      if (!sql.includes('INSERT OR REPLACE INTO rollups')) throw new Error(`unexpected statement: ${sql}`);
+      const row = Object.fromEntries(COLUMNS.map((name, i) => [name, params[i]]));
+      mockStore.rollups.set(`${row.period}:${row.key}`, row);
+    },
+    // the day rows of a week or month, by key
+    getAllAsync: async (sql, [period, fromKey, toKey]) =>
+      [...mockStore.rollups.values()]
+        .filter((r) => r.period === period && r.key >= fromKey && r.key < toKey)
+        .map((r) => ({
+          period: r.period,
+          period_key: r.key,
+          start: r.start,
+          end: r.end,
+          dose: r.dose,
+          covered_ms: r.coveredMs,
+          above_ms: r.aboveMs,
+          total: r.total,
+          count: r.count,
+          max: r.max,
+          peak_at: r.peakAt,
+          hourly: r.hourly,
+        })),
+  };
+  return {
+    getDatabase: async () => db,
+    getMeta: async (key, fallback) => (key in mockStore.meta ? mockStore.meta[key] : fallback),
+    setMeta: async (key, value) => {
+      mockStore.meta[key] = value;
+    },
+  };
+});
+
+jest.mock('../readingStore', () => ({
+  getReadingsInPeriod: async ({ start, end }) => mockStore.readings.filter((r) => r.sampledAt >= start && r.sampledAt < end),
+  getRawRetainedFrom: async () => mockStore.retainedFrom,
+}));
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const at = (iso) => Date.parse(iso);
+
+// one reading a minute over [from, to]
+function minutes(from, to, intensity) {
+  const readings = [];
+  for (let t = from; t <= to; t += MINUTE_MS) readings.push({ deviceId: 'A', sampledAt: t, intensity });
+  return readings;
+}
+
+const rollup = (key) => mockStore.rollups.get(key);
+
+beforeAll(() => updateCalendarSettings({ homeTimeZone: 'America/New_York' }));
+
+beforeEach(() => {
+  mockStore.readings = [];
+  mockStore.rollups = new Map();
+  mockStore.retainedFrom = 0;
+});
+
+test('summarizes a day as time-weighted dose per wall-clock hour', () => {
+  const start = at('2026-01-15T14:00:00Z'); // 09:00 in New York
+  const summary = summarizeReadings(minutes(start, start + HOUR_MS, 30), getCalendar());
+
+  expect(summary).toMatchObject({ count: 61, max: 30, total: 61 * 30, coveredMs: HOUR_MS });
+  expect(summary.dose).toBeCloseTo(30);
+  expect(summary.hourly[9]).toBeCloseTo(30);
+  expect(summary.hourly).toHaveLength(24);
+});
+
+test('combines rollups by adding doses and keeping the highest peak', () => {
+  const day = (dose, max, peakAt) => ({ dose, coveredMs: HOUR_MS, aboveMs: 0, total: 10, count: 5, max, peakAt, hourly: [dose] });
+  const combined = combineRollups([day(2, 40, 100), day(3, 90, 200), day(1, null, null)]);
+
+  expect(combined).toMatchObject({ dose: 6, coveredMs: 3 * HOUR_MS, count: 15, max: 90, peakAt: 200 });
+  expect(combined.hourly[0]).toBe(6);
+  expect(combineRollups([])).toMatchObject({ dose: 0, count: 0, max: null, peakAt: null });
+});
+
+test('recomputes the touched days, then their week and month', async () => {
+  const monday = minutes(at('2026-03-02T15:00:00Z'), at('2026-03-02T16:00:00Z'), 20);
+  const tuesday = minutes(at('2026-03-03T15:00:00Z'), at('2026-03-03T15:30:00Z'), 40);
+  mockStore.readings = [...monday, ...tuesday];
+
+  expect(await updateRollups([monday[0], tuesday[0]])).toBe(2);
+
+  expect(rollup('day:2026-03-02').dose).toBeCloseTo(20);
+  expect(rollup('day:2026-03-03').dose).toBeCloseTo(20);
+  expect(rollup('week:2026-W10')).toMatchObject({ count: monday.length + tuesday.length, max: 40 });
+  expect(rollup('week:2026-W10').dose).toBeCloseTo(40);
+  expect(rollup('month:2026-03').dose).toBeCloseTo(40);
+});
+
+test('keeps a short DST day as one day and leaves compacted days alone', async () => {
+  // the small hours of 8 March 2026 (spring forward) belong to that day
+  const early = minutes(at('2026-03-08T05:00:00Z'), at('2026-03-08T06:00:00Z'), 10);
+  mockStore.readings = early;
+  mockStore.retainedFrom = at('2026-03-08T05:00:00Z');
+
+  expect(await updateRollups([at('2026-03-07T12:00:00Z'), ...early.map((r) => r.sampledAt)])).toBe(1);
+  expect([...mockStore.rollups.keys()].filter((k) => k.startsWith('day:'))).toEqual(['day:2026-03-08']);
+
+  const day = rollup('day:2026-03-08');
+  expect(day.end - day.start).toBe(23 * HOUR_MS);
+  expect(JSON.parse(day.hourly)[0]).toBeCloseTo(10);
+});
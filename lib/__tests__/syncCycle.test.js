@@ -0,0 +1,174 @@
+// lib/__tests__/syncCycle.test.js
+//
+// runSyncCycle against the simulated necklace, with the database swapped for
+// an in-memory meta table and reading store.
+
+import { runSyncCycle, SYNC_OUTCOME } from '../syncCycle';
+import { alignReadings, createClockState } from '../clockSync';
+import { createCommandQueue } from '../commandQueue';
+import { createLineReader } from '../uartProtocol';
+import { createSimulatedTransport } from '../transports/simulatedTransport';
+
+const DEVICE_ID = 'SIM-NECKLACE-1';
+const CURSOR_KEY = `syncCursor:${DEVICE_ID}`;
+
+const mockStore = { meta: {}, readings: [], quarantine: [], events: [] };
+
+jest.mock('../db', () => ({
+  getMeta: async (key, fallback) => (key in mockStore.meta ? mockStore.meta[key] : fallback),
+  setMeta: async (key, value) => {
+    mockStore.meta[key] = value;
+  },
+}));
+
+jest.mock('../readingStore', () => ({
+  commitSyncBatch: async (readings, cursorKey, cursor, { quarantine = null } = {}) => {
+    mockStore.events.push('commit');
+    mockStore.readings.push(...readings);
+    mockStore.quarantine.push(...(quarantine?.entries ?? []));
+    mockStore.meta[cursorKey] = cursor;
+    return readings.length;
+  },
+  getStoredSamples: async (timestamps) => {
+    const wanted = new Set(timestamps);
+    return mockStore.readings.filter((r) => wanted.has(r.deviceTimestamp));
+  },
+}));
+
+async function connect(transport) {
+  const link = await transport.connect(DEVICE_ID);
+  const queue = createCommandQueue({
+    write: async (cmd) => {
+      mockStore.events.push(cmd);
+      await link.write(cmd + '\n');
+    },
+  });
+  const reader = createLineReader((line) => queue.handleLine(line));
+  link.onData((chunk) => reader.push(chunk));
+  link.onDisconnected(() => {
+    reader.reset();
+    queue.reset('link lost');
+  });
+  return (cmd, opts) => queue.enqueue(cmd, opts);
+}
+
+let clockState;
+function sync(sendCommand) {
+  return runSyncCycle({
+    sendCommand,
+    cursorKey: CURSOR_KEY,
+    deviceId: DEVICE_ID,
+    align: (readings) => {
+      const aligned = alignReadings(readings.map((r) => ({ ...r, deviceId: DEVICE_ID })), clockState);
+      clockState = aligned.state;
+      return aligned.readings;
+    },
+  });
+}
+
+function simulator(options) {
+  return createSimulatedTransport({ notifyDelayMs: 1, connectDelayMs: 0, curve: 'constant', ...options });
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+beforeEach(() => {
+  mockStore.meta = {};
+  mockStore.readings = [];
+  mockStore.quarantine = [];
+  mockStore.events = [];
+  clockState = createClockState();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('stores the whole log, then clears the device', async () => {
+  const transport = simulator({ backlogSamples: 30 });
+  const result = await sync(await connect(transport));
+
+  expect(result.outcome).toBe(SYNC_OUTCOME.SYNCED);
+  expect(result.committed).toHaveLength(30);
+  expect(mockStore.readings).toHaveLength(30);
+  expect(mockStore.events).toEqual(['GET', 'commit', 'CLEAR', 'commit']);
+  expect(mockStore.meta[CURSOR_KEY]).toMatchObject({ pendingClear: false });
+  expect(transport.simulator.log).toHaveLength(0);
+  transport.destroy();
+});
+
+test('an empty log is left alone', async () => {
+  const transport = simulator();
+  const result = await sync(await connect(transport));
+
+  expect(result.outcome).toBe(SYNC_OUTCOME.EMPTY);
+  expect(mockStore.events).toEqual(['GET']);
+  transport.destroy();
+});
+
+test('quarantines malformed lines in the same commit, before CLEAR', async () => {
+  const transport = simulator({ backlogSamples: 60, malformedRate: 0.3, seed: 7 });
+  const result = await sync(await connect(transport));
+
+  expect(result.outcome).toBe(SYNC_OUTCOME.SYNCED);
+  expect(result.rejected.length).toBeGreaterThan(0);
+  expect(result.quarantined).toBe(true);
+  expect(mockStore.quarantine).toEqual(result.rejected);
+  expect(result.committed.length + result.rejected.length).toBeLessThanOrEqual(60);
+  expect(mockStore.events.indexOf('commit')).toBeLessThan(mockStore.events.indexOf('CLEAR'));
+  transport.destroy();
+});
+
+test('a link dropped mid-dump stores nothing and keeps the device log', async () => {
+  const transport = simulator({ backlogSamples: 120, chunkSize: 10, disconnectRate: 1 });
+  const result = await sync(await connect(transport));
+
+  expect(result.outcome).toBe(SYNC_OUTCOME.FAILED);
+  expect(result.committed).toEqual([]);
+  expect(mockStore.readings).toEqual([]);
+  expect(mockStore.events).not.toContain('CLEAR');
+  expect(transport.simulator.log).toHaveLength(120);
+
+  // the next cycle picks everything up
+  transport.simulator.setOptions({ disconnectRate: 0 });
+  const retry = await sync(await connect(transport));
+  expect(retry.outcome).toBe(SYNC_OUTCOME.SYNCED);
+  expect(mockStore.readings).toHaveLength(120);
+  transport.destroy();
+});
+
+test('resumes after a lost CLEARED without storing anything twice', async () => {
+  const transport = simulator({ backlogSamples: 20 });
+  const sendCommand = await connect(transport);
+  const first = await sync(sendCommand);
+  expect(first.committed).toHaveLength(20);
+
+  // the device cleared its log but CLEARED never arrived, so the cursor still
+  // says a clear is pending
+  expect(transport.simulator.log).toHaveLength(0);
+  mockStore.meta[CURSOR_KEY] = { ...mockStore.meta[CURSOR_KEY], pendingClear: true };
+  mockStore.events = [];
+
+  const resumed = await sync(sendCommand);
+  expect(resumed.outcome).toBe(SYNC_OUTCOME.EMPTY);
+  expect(mockStore.events).not.toContain('CLEAR');
+  expect(mockStore.meta[CURSOR_KEY]).toMatchObject({ pendingClear: false });
+  expect(mockStore.readings).toHaveLength(20);
+  transport.destroy();
+});
+
+test('a device that rebooted behind the cursor is read in full, not cleared blind', async () => {
+  // counter restarted near 0 and runs fast; the cursor is far ahead of it
+  const transport = simulator({ timeScale: 60000 });
+  mockStore.meta[CURSOR_KEY] = { pendingClear: true, lastDeviceTimestamp: 10_000_000, committedAt: 0 };
+  await wait(20);
+
+  const result = await sync(await connect(transport));
+
+  expect(result.outcome).toBe(SYNC_OUTCOME.SYNCED);
+  expect(result.committed.length).toBeGreaterThan(0);
+  expect(mockStore.events.slice(0, 2)).toEqual(['INFO', 'GET']);
+  expect(result.message).toMatch(/rebooted/);
+  transport.destroy();
+});
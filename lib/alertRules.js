@@ -0,0 +1,215 @@
+// lib/alertRules.js
+//
+// Threshold alerts, checked on every stored batch of readings:
+//   • bedtimeExposure   intensity above `threshold` for `minutes` without a
+//                       break, between bedtime and wake time
+//   • lowMorningLight   average intensity between wake time and `cutoff`
+//                       below `minimum` (once per day, shortly after cutoff)
+//
+// Delivery policy, in order: per-alert cooldown, once-per-day keys, a global
+// cap per hour, then quiet hours (recorded in history but not notified).
+// Settings are stored in meta; times are "HH:MM" on the wall clock of the
+// calendar (lib/calendar.js), like the day keys used for once-per-day alerts.
+
+import { CALENDAR_PERIOD, getCalendar } from './calendar';
+import { getMeta, setMeta } from './db';
+import { computeExposure, EXPOSURE_MAX_GAP_MS } from './exposure';
+
+const ALERT_SETTINGS_KEY = 'alertSettings';
+
+export const ALERT_SUPPRESSED = {
+  QUIET_HOURS: 'quiet_hours',
+  NO_PERMISSION: 'no_permission',
+};
+
+export const DEFAULT_ALERT_SETTINGS = {
+  bedtimeExposure: { enabled: true, bedtime: '22:00', wakeTime: '06:30', threshold: 50, minutes: 15 },
+  lowMorningLight: { enabled: true, wakeTime: '06:30', cutoff: '10:00', minimum: 20 },
+  quietHours: { enabled: true, start: '00:00', end: '06:30' },
+  rateLimit: { perAlertMinutes: 60, maxPerHour: 3 },
+};
+
+// Only alert on readings this fresh, so a morning backlog sync doesn't
+// replay last night's alerts
+const MAX_READING_AGE_MS = 10 * 60 * 1000;
+
+// Low-morning alerts only go out this long after the cutoff
+const MORNING_ALERT_WINDOW_MS = 3 * 60 * 60 * 1000;
+
+// Less worn time than this in the morning isn't a reliable average
+const MIN_MORNING_COVERAGE_MS = 30 * 60 * 1000;
+
+// ------------------------------
+// Settings
+// ------------------------------
+function isTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+// Keep only known keys with the right types; anything else falls back
+function sanitize(saved) {
+  const settings = {};
+  for (const [group, defaults] of Object.entries(DEFAULT_ALERT_SETTINGS)) {
+    settings[group] = {};
+    for (const [key, fallback] of Object.entries(defaults)) {
+      const value = saved?.[group]?.[key];
+      const valid =
+        typeof fallback === 'boolean' ? typeof value === 'boolean'
+        : typeof fallback === 'number' ? Number.isFinite(value) && value >= 0
+        : isTime(value);
+      settings[group][key] = valid ? value : fallback;
+    }
+  }
+  return settings;
+}
+
+export async function loadAlertSettings() {
+  return sanitize(await getMeta(ALERT_SETTINGS_KEY, {}));
+}
+
+// changes: partial { group: { key: value } }
+export async function updateAlertSettings(changes) {
+  const current = await loadAlertSettings();
+  const merged = {};
+  for (const group of Object.keys(DEFAULT_ALERT_SETTINGS)) {
+    merged[group] = { ...current[group], ...changes?.[group] };
+  }
+
+  const settings = sanitize(merged);
+  await setMeta(ALERT_SETTINGS_KEY, settings);
+  return settings;
+}
+
+export function anyAlertEnabled(settings) {
+  return settings.bedtimeExposure.enabled || settings.lowMorningLight.enabled;
+}
+
+// ------------------------------
+// Wall-clock helpers — calendar.wallTime() reads an instant on the calendar's
+// clock as UTC ms, so a day's wall clock always runs 00:00 to 24:00
+// ------------------------------
+const MINUTE_MS = 60 * 1000;
+const WALL_DAY_MS = 24 * 60 * MINUTE_MS;
+
+function minutesOfDay(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function wallMinutes(wall) {
+  return Math.floor((((wall % WALL_DAY_MS) + WALL_DAY_MS) % WALL_DAY_MS) / MINUTE_MS);
+}
+
+// "HH:MM" of a wall time
+function clockTime(wall) {
+  const m = wallMinutes(wall);
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+// [from, to) wraps midnight when to <= from
+function inTimeWindow(wall, from, to) {
+  const m = wallMinutes(wall);
+  const a = minutesOfDay(from);
+  const b = minutesOfDay(to);
+  return a < b ? m >= a && m < b : m >= a || m < b;
+}
+
+// ------------------------------
+// Rules — each returns a candidate { ruleId, title, body, value, dedupeKey } or null
+// readings: recent readings, oldest first
+// ------------------------------
+function bedtimeExposure({ enabled, bedtime, wakeTime, threshold, minutes }, readings, now, calendar) {
+  if (!enabled || !readings.length) return null;
+
+  const inBedtime = (r) => inTimeWindow(calendar.readingWallTime(r), bedtime, wakeTime);
+  const latest = readings[readings.length - 1];
+  if (now - latest.sampledAt > MAX_READING_AGE_MS) return null;
+  if (latest.intensity <= threshold || !inBedtime(latest)) return null;
+
+  // walk back over the unbroken run above threshold on the same necklace,
+  // inside the window
+  let runStart = latest;
+  for (let i = readings.length - 2; i >= 0; i--) {
+    const r = readings[i];
+    if (r.deviceId !== latest.deviceId) continue;
+    if (r.intensity <= threshold || runStart.sampledAt - r.sampledAt > EXPOSURE_MAX_GAP_MS || !inBedtime(r)) {
+      break;
+    }
+    runStart = r;
+  }
+
+  const runMinutes = Math.floor((latest.sampledAt - runStart.sampledAt) / 60000);
+  if (runMinutes < minutes) return null;
+
+  return {
+    ruleId: 'bedtimeExposure',
+    title: 'Blue light after bedtime',
+    body: `Intensity has been above ${threshold} BLU for ${runMinutes} min since ${clockTime(calendar.readingWallTime(runStart))}. Time to dim the screens.`,
+    value: latest.intensity,
+    dedupeKey: null,
+  };
+}
+
+// Compared on today's wall clock, so a DST change in the morning moves the
+// window with the clock rather than by an hour
+function lowMorningLight({ enabled, wakeTime, cutoff, minimum }, readings, now, calendar) {
+  if (!enabled) return null;
+
+  const today = calendar.period(CALENDAR_PERIOD.DAY, now);
+  const cutoffAt = today.wallStart + minutesOfDay(cutoff) * MINUTE_MS;
+  const wallNow = calendar.wallTime(now);
+  if (wallNow < cutoffAt || wallNow - cutoffAt > MORNING_ALERT_WINDOW_MS) return null;
+
+  const wakeAt = today.wallStart + minutesOfDay(wakeTime) * MINUTE_MS;
+  const morning = readings.filter((r) => {
+    const wall = calendar.readingWallTime(r);
+    return wall >= wakeAt && wall < cutoffAt;
+  });
+  const { avgIntensity, coveredMs } = computeExposure(morning, { calendar });
+  if (coveredMs < MIN_MORNING_COVERAGE_MS || avgIntensity >= minimum) return null;
+
+  return {
+    ruleId: 'lowMorningLight',
+    title: 'Not much morning light',
+    body: `Your light since ${wakeTime} averaged ${Math.round(avgIntensity)} BLU (goal: ${minimum}). A short walk outside helps.`,
+    value: avgIntensity,
+    dedupeKey: `lowMorningLight:${today.key}`,
+  };
+}
+
+export function evaluateAlerts(settings, readings, now = Date.now(), calendar = getCalendar()) {
+  const sorted = [...readings].sort((a, b) => a.sampledAt - b.sampledAt);
+  return [
+    bedtimeExposure(settings.bedtimeExposure, sorted, now, calendar),
+    lowMorningLight(settings.lowMorningLight, sorted, now, calendar),
+  ].filter(Boolean);
+}
+
+// ------------------------------
+// Delivery policy
+// recent: alert history since now - 24h, newest first
+// → [{ ...candidate, firedAt, deliver, suppressedReason }], dropped candidates omitted
+// ------------------------------
+export function applyDeliveryPolicy(candidates, settings, recent, now = Date.now(), calendar = getCalendar()) {
+  const { perAlertMinutes, maxPerHour } = settings.rateLimit;
+  const quiet = settings.quietHours;
+  let deliveredLastHour = recent.filter((a) => a.notified && now - a.firedAt < 60 * 60 * 1000).length;
+
+  const accepted = [];
+  for (const candidate of candidates) {
+    const last = recent.find((a) => a.ruleId === candidate.ruleId);
+    if (last && now - last.firedAt < perAlertMinutes * 60000) continue;
+    if (candidate.dedupeKey && recent.some((a) => a.dedupeKey === candidate.dedupeKey)) continue;
+    if (deliveredLastHour >= maxPerHour) continue;
+
+    const quietNow = quiet.enabled && inTimeWindow(calendar.wallTime(now), quiet.start, quiet.end);
+    accepted.push({
+      ...candidate,
+      firedAt: now,
+      deliver: !quietNow,
+      suppressedReason: quietNow ? ALERT_SUPPRESSED.QUIET_HOURS : null,
+    });
+    if (!quietNow) deliveredLastHour++;
+  }
+  return accepted;
+}
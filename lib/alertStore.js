@@ -0,0 +1,61 @@
+// lib/alertStore.js
+//
+// History of fired alerts, including ones held back by quiet hours, so the
+// dashboard can show what happened overnight.
+
+import { getDatabase } from './db';
+
+function rowToAlert(row) {
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    firedAt: row.fired_at,
+    title: row.title,
+    body: row.body,
+    value: row.value,
+    dedupeKey: row.dedupe_key,
+    notified: !!row.notified,
+    suppressedReason: row.suppressed_reason,
+  };
+}
+
+export async function recordAlert({
+  ruleId,
+  firedAt,
+  title,
+  body,
+  value = null,
+  dedupeKey = null,
+  notified,
+  suppressedReason = null,
+}) {
+  const db = await getDatabase();
+  const result = await db.runAsync(
+    `INSERT INTO alerts (rule_id, fired_at, title, body, value, dedupe_key, notified, suppressed_reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [ruleId, firedAt, title, body, value, dedupeKey, notified ? 1 : 0, suppressedReason]
+  );
+  return result.lastInsertRowId;
+}
+
+// Newest first
+export async function getAlertHistory(limit = 50) {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync('SELECT * FROM alerts ORDER BY fired_at DESC, id DESC LIMIT ?', [limit]);
+  return rows.map(rowToAlert);
+}
+
+// Everything since `since` (rate limiting, once-per-day keys), newest first
+export async function getAlertsSince(since) {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync(
+    'SELECT * FROM alerts WHERE fired_at >= ? ORDER BY fired_at DESC, id DESC',
+    [since]
+  );
+  return rows.map(rowToAlert);
+}
+
+export async function clearAlertHistory() {
+  const db = await getDatabase();
+  await db.runAsync('DELETE FROM alerts');
+}
@@ -0,0 +1,124 @@
+// lib/annotationStore.js
+//
+// Activities the user logs on the timeline ("phone in bed", "walk outside")
+// so a spike on the chart has a cause. Each one is an instant or a span:
+//
+//   { id, start, end, category, note, createdAt, updatedAt }
+//   end: null for an instant, otherwise after start (at most MAX_SPAN_MS)
+//
+// Annotations belong to the wearer, not a necklace. Spans feed the
+// per-activity breakdown in lib/rangeStats.js; instants are markers only.
+
+import { getDatabase } from './db';
+
+export const ANNOTATION_CATEGORY = {
+  SCREEN: 'screen',       // phone, tablet, TV
+  OFFICE: 'office',       // desk monitors, office lighting
+  OUTDOORS: 'outdoors',
+  BED: 'bed',             // screen in bed
+  COMMUTE: 'commute',
+  OTHER: 'other',
+};
+
+// A span longer than a day is a mistake, not an activity
+export const MAX_SPAN_MS = 24 * 60 * 60 * 1000;
+
+const MAX_NOTE_LENGTH = 500;
+
+function rowToAnnotation(row) {
+  return {
+    id: row.id,
+    start: row.start,
+    end: row.end,
+    category: row.category,
+    note: row.note,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function invalid(message) {
+  return new Error(`Invalid annotation: ${message}`);
+}
+
+// Checks and normalizes input (merged over `previous` on updates)
+// → { start, end, category, note }
+export function sanitizeAnnotation(input, previous = null) {
+  const merged = { ...previous, ...input };
+
+  const start = Number(merged.start);
+  if (!Number.isFinite(start)) throw invalid('start must be a timestamp');
+  const end = merged.end == null ? null : Number(merged.end);
+  if (end !== null && !(end > start && end - start <= MAX_SPAN_MS)) {
+    throw invalid('end must be after start, at most a day later');
+  }
+
+  if (!Object.values(ANNOTATION_CATEGORY).includes(merged.category)) {
+    throw invalid(`category must be one of ${Object.values(ANNOTATION_CATEGORY).join(', ')}`);
+  }
+
+  const note = typeof merged.note === 'string' && merged.note.trim()
+    ? merged.note.trim().slice(0, MAX_NOTE_LENGTH)
+    : null;
+
+  return { start: Math.round(start), end: end === null ? null : Math.round(end), category: merged.category, note };
+}
+
+// ------------------------------
+// Writes
+// ------------------------------
+export async function addAnnotation(input) {
+  const annotation = sanitizeAnnotation(input);
+  const db = await getDatabase();
+  const now = Date.now();
+
+  const result = await db.runAsync(
+    `INSERT INTO annotations (start, end, category, note, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [annotation.start, annotation.end, annotation.category, annotation.note, now, now]
+  );
+  return { id: result.lastInsertRowId, ...annotation, createdAt: now, updatedAt: now };
+}
+
+// changes: partial { start, end, category, note }
+export async function updateAnnotation(id, changes) {
+  const db = await getDatabase();
+  const row = await db.getFirstAsync('SELECT * FROM annotations WHERE id = ?', [id]);
+  if (!row) throw new Error(`Annotation ${id} not found`);
+
+  const previous = rowToAnnotation(row);
+  const annotation = sanitizeAnnotation(changes, previous);
+  const now = Date.now();
+  await db.runAsync(
+    'UPDATE annotations SET start = ?, end = ?, category = ?, note = ?, updated_at = ? WHERE id = ?',
+    [annotation.start, annotation.end, annotation.category, annotation.note, now, id]
+  );
+  return { ...previous, ...annotation, updatedAt: now };
+}
+
+// Resolves with whether there was one to delete
+export async function deleteAnnotation(id) {
+  const db = await getDatabase();
+  const result = await db.runAsync('DELETE FROM annotations WHERE id = ?', [id]);
+  return result.changes > 0;
+}
+
+export async function clearAnnotations() {
+  const db = await getDatabase();
+  await db.runAsync('DELETE FROM annotations');
+}
+
+// ------------------------------
+// Queries — annotations overlapping [start, end) (instants inside it),
+// oldest first
+// ------------------------------
+export async function getAnnotationsInRange(start, end) {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync(
+    `SELECT * FROM annotations
+     WHERE start >= ? AND start < ? AND COALESCE(end, start + 1) > ?
+     ORDER BY start ASC, id ASC`,
+    [start - MAX_SPAN_MS, end, start]
+  );
+  return rows.map(rowToAnnotation);
+}
@@ -0,0 +1,996 @@
+// lib/bridgeProtocol.js
+//
+// WebView ⇄ native message protocol.
+//
+//   request   { type: 'request',  v, id, method, params }
+//   response  { type: 'response', v, id, ok: true, result }
+//             { type: 'response', v, id, ok: false, error: { code, message } }
+//   event     { type: 'event',    v, event, payload }     native → dashboard only
+//
+// Schemas are a small JSON Schema subset (type, properties, required, items,
+// enum) so they can be serialized into the WebView, which validates with the
+// same definitions (see App.js → window.__BRIDGE_PROTOCOL__).
+// Bump BRIDGE_VERSION on any incompatible change to a method or event.
+
+export const BRIDGE_VERSION = 2;
+
+export const RPC_ERROR = {
+  BAD_REQUEST: 'bad_request',
+  VERSION_MISMATCH: 'version_mismatch',
+  UNKNOWN_METHOD: 'unknown_method',
+  INVALID_PARAMS: 'invalid_params',
+  INVALID_RESULT: 'invalid_result',
+  HANDLER_FAILED: 'handler_failed',
+};
+
+// ------------------------------
+// Shared shapes
+// ------------------------------
+const NONE = { type: 'object', properties: {} };
+const TIMESTAMP = { type: 'number' };
+const DEVICE_ID = { type: ['string', 'null'] };
+
+const READING = {
+  type: 'object',
+  required: ['deviceTimestamp', 'intensity'],
+  properties: {
+    id: { type: 'number' },
+    deviceId: DEVICE_ID,
+    deviceTimestamp: { type: 'number' },
+    intensity: { type: 'number' },
+    receivedAt: TIMESTAMP,
+    sampledAt: TIMESTAMP,
+    timeConfidence: { type: ['string', 'null'] },
+    // phone's UTC offset when stored (minutes east)
+    utcOffsetMin: { type: ['number', 'null'] },
+    // converted at ingest with the necklace's profile; null without one
+    calibrated: { type: ['number', 'null'] },
+    calibrationId: { type: ['number', 'null'] },
+    calibrationUnit: { type: ['string', 'null'] },
+  },
+};
+const READINGS = { type: 'array', items: READING };
+
+const DATE_QUERY = {
+  type: 'object',
+  required: ['date'],
+  properties: { date: TIMESTAMP, deviceId: DEVICE_ID },
+};
+
+const DEVICE = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: ['string', 'null'] },
+    nickname: { type: ['string', 'null'] },
+    pairedAt: { type: ['number', 'null'] },
+    lastSeenAt: { type: ['number', 'null'] },
+  },
+};
+
+const ROLLUP = {
+  type: 'object',
+  required: ['period', 'key', 'start', 'end', 'count'],
+  properties: {
+    period: { enum: ['day', 'week', 'month'] },
+    key: { type: 'string' },
+    start: TIMESTAMP,
+    end: TIMESTAMP,
+    dose: { type: 'number' },
+    coveredMs: { type: 'number' },
+    aboveMs: { type: 'number' },
+    avg: { type: 'number' },
+    total: { type: 'number' },
+    count: { type: 'number' },
+    max: { type: ['number', 'null'] },
+    peakAt: { type: ['number', 'null'] },
+    hourly: { type: 'array', items: { type: 'number' } },
+  },
+};
+
+// Aggregates of a range or one of its groups (lib/rangeStats.js)
+const RANGE_STATS = {
+  type: 'object',
+  required: ['dose', 'avg', 'count'],
+  properties: {
+    dose: { type: 'number' },
+    avg: { type: 'number' },
+    max: { type: ['number', 'null'] },
+    peakAt: { type: ['number', 'null'] },
+    aboveMs: { type: 'number' },
+    coveredMs: { type: 'number' },
+    count: { type: 'number' },
+  },
+};
+
+const RANGE_GROUP_STATS = {
+  type: 'object',
+  required: ['key', 'start', 'end', ...RANGE_STATS.required],
+  properties: { key: { type: 'string' }, start: TIMESTAMP, end: TIMESTAMP, ...RANGE_STATS.properties },
+};
+
+const RANGE_DELTA = {
+  type: 'object',
+  properties: { change: { type: 'number' }, ratio: { type: ['number', 'null'] } },
+};
+
+// end null for an instant (lib/annotationStore.js)
+const ANNOTATION_CATEGORY = { enum: ['screen', 'office', 'outdoors', 'bed', 'commute', 'other'] };
+
+const ANNOTATION = {
+  type: 'object',
+  required: ['id', 'start', 'end', 'category'],
+  properties: {
+    id: { type: 'number' },
+    start: TIMESTAMP,
+    end: { type: ['number', 'null'] },
+    category: ANNOTATION_CATEGORY,
+    note: { type: ['string', 'null'] },
+    createdAt: TIMESTAMP,
+    updatedAt: TIMESTAMP,
+  },
+};
+
+const ANNOTATION_INPUT = {
+  type: 'object',
+  properties: {
+    start: TIMESTAMP,
+    end: { type: ['number', 'null'] },
+    category: ANNOTATION_CATEGORY,
+    note: { type: ['string', 'null'] },
+  },
+};
+
+const INSIGHT_RULE = {
+  type: 'object',
+  required: ['id', 'title', 'enabled', 'params'],
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    priority: { type: 'number' },
+    enabled: { type: 'boolean' },
+    // name → { label, value, min, max, unit }
+    params: { type: 'object' },
+  },
+};
+
+const INSIGHT = {
+  type: 'object',
+  required: ['id', 'title', 'message'],
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    message: { type: 'string' },
+    priority: { type: 'number' },
+    since: TIMESTAMP,
+  },
+};
+
+// lib/goals.js → describeGoals
+const GOAL = {
+  type: 'object',
+  required: ['id', 'title', 'kind', 'enabled', 'params'],
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    kind: { enum: ['atLeast', 'atMost'] },
+    enabled: { type: 'boolean' },
+    // target / from / to → { label, value, min, max, unit }
+    params: { type: 'object' },
+  },
+};
+
+const GOAL_STATUS = { enum: ['met', 'missed', 'pending', 'none'] };
+
+// lib/goals.js → buildGoalProgress; null until first computed
+const GOAL_PROGRESS = {
+  type: ['object', 'null'],
+  required: ['goals', 'status', 'streak', 'days'],
+  properties: {
+    goals: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'value', 'target', 'progress', 'status', 'streak'],
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          kind: { enum: ['atLeast', 'atMost'] },
+          from: { type: 'number' },
+          to: { type: 'number' },
+          target: { type: 'number' },
+          value: { type: 'number' },
+          progress: { type: 'number' },
+          status: GOAL_STATUS,
+          streak: { type: 'number' },
+        },
+      },
+    },
+    status: GOAL_STATUS,
+    streak: { type: 'number' },
+    // Oldest first, today last
+    days: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['key', 'status'],
+        properties: { key: { type: 'string' }, start: TIMESTAMP, status: GOAL_STATUS },
+      },
+    },
+  },
+};
+
+// lib/alertRules.js → DEFAULT_ALERT_SETTINGS; times are local "HH:MM"
+const ALERT_SETTINGS = {
+  type: 'object',
+  properties: {
+    bedtimeExposure: { type: 'object' },
+    lowMorningLight: { type: 'object' },
+    quietHours: { type: 'object' },
+    rateLimit: { type: 'object' },
+  },
+};
+
+const ALERT = {
+  type: 'object',
+  required: ['id', 'ruleId', 'firedAt', 'title', 'body', 'notified'],
+  properties: {
+    id: { type: 'number' },
+    ruleId: { type: 'string' },
+    firedAt: TIMESTAMP,
+    title: { type: 'string' },
+    body: { type: 'string' },
+    value: { type: ['number', 'null'] },
+    notified: { type: 'boolean' },
+    // 'quiet_hours' | 'no_permission' when recorded without a notification
+    suppressedReason: { type: ['string', 'null'] },
+  },
+};
+
+// lib/retention.js; aggregateDays / maxSizeMB of 0 mean no limit
+const RETENTION_POLICY = {
+  type: 'object',
+  properties: {
+    rawDays: { type: 'number' },
+    aggregate: { enum: ['minute', 'hour', 'none'] },
+    aggregateDays: { type: 'number' },
+    maxSizeMB: { type: 'number' },
+  },
+};
+
+const COMPACTION_REPORT = {
+  type: 'object',
+  required: ['at', 'compactedReadings', 'removedBuckets', 'reclaimedKB'],
+  properties: {
+    at: TIMESTAMP,
+    compactedReadings: { type: 'number' },
+    removedBuckets: { type: 'number' },
+    reclaimedKB: { type: 'number' },
+    vacuumed: { type: 'boolean' },
+  },
+};
+
+// Compacted readings: one bucket per device and minute or hour
+const AGGREGATE = {
+  type: 'object',
+  required: ['resolution', 'start', 'end', 'count', 'avg'],
+  properties: {
+    deviceId: DEVICE_ID,
+    resolution: { enum: ['minute', 'hour'] },
+    start: TIMESTAMP,
+    end: TIMESTAMP,
+    count: { type: 'number' },
+    avg: { type: 'number' },
+    min: { type: 'number' },
+    max: { type: 'number' },
+  },
+};
+
+// lib/readingValidation.js → REJECT_REASON
+const QUARANTINED_LINE = {
+  type: 'object',
+  required: ['id', 'receivedAt', 'line', 'reason'],
+  properties: {
+    id: { type: 'number' },
+    deviceId: DEVICE_ID,
+    receivedAt: TIMESTAMP,
+    line: { type: 'string' },
+    reason: { type: 'string' },
+    detail: { type: ['string', 'null'] },
+  },
+};
+
+// lib/deviceInfo.js; fields stay null when the firmware doesn't report them
+const DEVICE_INFO = {
+  type: 'object',
+  required: ['deviceId', 'supports', 'warnings', 'updatedAt'],
+  properties: {
+    deviceId: { type: 'string' },
+    model: { type: ['string', 'null'] },
+    firmware: { type: ['string', 'null'] },
+    sampleIntervalS: { type: ['number', 'null'] },
+    led: { enum: ['on', 'off', 'auto', null] },
+    log: {
+      type: ['object', 'null'],
+      properties: { used: { type: 'number' }, capacity: { type: 'number' }, fraction: { type: 'number' } },
+    },
+    // device counter at readAt
+    clock: {
+      type: ['object', 'null'],
+      properties: { counter: { type: 'number' }, readAt: TIMESTAMP },
+    },
+    battery: {
+      type: ['object', 'null'],
+      properties: {
+        percent: { type: 'number' },
+        millivolts: { type: ['number', 'null'] },
+        charging: { type: 'boolean' },
+        readAt: TIMESTAMP,
+      },
+    },
+    supports: {
+      type: 'object',
+      properties: { info: { type: 'boolean' }, battery: { type: 'boolean' } },
+    },
+    warnings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: { code: { type: 'string' }, message: { type: 'string' } },
+      },
+    },
+    updatedAt: TIMESTAMP,
+  },
+};
+
+// lib/diagnostics.js → DIAG_CATEGORY / DIAG_LEVEL
+const DIAGNOSTIC_ENTRY = {
+  type: 'object',
+  required: ['id', 'at', 'level', 'category', 'event'],
+  properties: {
+    id: { type: 'number' },
+    at: TIMESTAMP,
+    level: { enum: ['info', 'warn', 'error'] },
+    category: { type: 'string' },
+    event: { type: 'string' },
+    message: { type: ['string', 'null'] },
+    deviceId: DEVICE_ID,
+    durationMs: { type: ['number', 'null'] },
+  },
+};
+
+const DIAGNOSTICS_SETTINGS = {
+  type: 'object',
+  properties: { captureRaw: { type: 'boolean' } },
+};
+
+// linear: gain + offset; piecewise: points [[raw, value], ...]
+const CALIBRATION_PROFILE = {
+  type: 'object',
+  required: ['unit', 'kind'],
+  properties: {
+    id: { type: 'number' },
+    deviceId: DEVICE_ID,
+    name: { type: ['string', 'null'] },
+    unit: { enum: ['lux', 'µW/cm²'] },
+    kind: { enum: ['linear', 'piecewise'] },
+    gain: { type: ['number', 'null'] },
+    offset: { type: ['number', 'null'] },
+    points: { type: ['array', 'null'], items: { type: 'array', items: { type: 'number' } } },
+    // linear only, instead of gain / offset: two captures { raw, reference }
+    low: { type: 'object', properties: { raw: { type: 'number' }, reference: { type: 'number' } } },
+    high: { type: 'object', properties: { raw: { type: 'number' }, reference: { type: 'number' } } },
+    createdAt: TIMESTAMP,
+  },
+};
+
+const CALIBRATION_RESULT = {
+  type: 'object',
+  required: ['updated'],
+  properties: { profile: { ...CALIBRATION_PROFILE, type: ['object', 'null'] }, updated: { type: 'number' } },
+};
+
+const UNIT_DISPLAY = { enum: ['raw', 'calibrated'] };
+
+// homeTimeZone: IANA name, e.g. 'Europe/Berlin'
+const CALENDAR_SETTINGS = {
+  type: 'object',
+  properties: { mode: { enum: ['home', 'local'] }, homeTimeZone: { type: 'string' } },
+};
+
+const CALENDAR_SPAN = {
+  type: 'object',
+  required: ['key', 'start', 'end'],
+  properties: { key: { type: 'string' }, start: TIMESTAMP, end: TIMESTAMP },
+};
+
+const CONNECTION_ERROR = {
+  type: ['object', 'null'],
+  properties: { reason: { type: 'string' }, message: { type: 'string' }, at: TIMESTAMP },
+};
+
+// ------------------------------
+// Methods (dashboard → native)
+// ------------------------------
+export const METHODS = {
+  // handshake — the dashboard calls it on load; the app then replays every event
+  hello: {
+    params: { type: 'object', required: ['v'], properties: { v: { type: 'number' }, client: { type: 'string' } } },
+    result: {
+      type: 'object',
+      required: ['v', 'methods', 'events'],
+      properties: {
+        v: { type: 'number' },
+        methods: { type: 'array', items: { type: 'string' } },
+        events: { type: 'array', items: { type: 'string' } },
+      },
+    },
+  },
+
+  getDataByDay: { params: DATE_QUERY, result: READINGS },
+  getDataByWeek: { params: DATE_QUERY, result: READINGS },
+  getDataByMonth: { params: DATE_QUERY, result: READINGS },
+  getDataInRange: {
+    params: {
+      type: 'object',
+      required: ['start', 'end'],
+      properties: { start: TIMESTAMP, end: TIMESTAMP, deviceId: DEVICE_ID },
+    },
+    result: READINGS,
+  },
+  getSortedReadings: {
+    params: { type: 'object', properties: { limit: { type: 'number' }, deviceId: DEVICE_ID } },
+    result: READINGS,
+  },
+
+  // Day / ISO-week / month aggregates starting in [start, end)
+  getRollups: {
+    params: {
+      type: 'object',
+      required: ['period', 'start', 'end'],
+      properties: { period: { enum: ['day', 'week', 'month'] }, start: TIMESTAMP, end: TIMESTAMP },
+    },
+    result: { type: 'array', items: ROLLUP },
+  },
+
+  // Any range — instants or day keys ('2025-03-07', `to` inclusive) — grouped
+  // and compared with the previous range or the average of the same weekdays
+  getRangeStats: {
+    params: {
+      type: 'object',
+      properties: {
+        start: TIMESTAMP,
+        end: TIMESTAMP,
+        from: { type: 'string' },
+        to: { type: 'string' },
+        groupBy: { enum: ['hour', 'day', 'week'] },
+        deviceId: DEVICE_ID,
+        compare: { enum: ['previous', 'weekday', 'none'] },
+      },
+    },
+    result: {
+      type: 'object',
+      required: ['start', 'end', 'summary', 'groups', 'comparison'],
+      properties: {
+        start: TIMESTAMP,
+        end: TIMESTAMP,
+        groupBy: { enum: ['hour', 'day', 'week'] },
+        summary: RANGE_STATS,
+        groups: {
+          type: 'array',
+          items: RANGE_GROUP_STATS,
+        },
+        // exposure during logged spans, per category, highest dose first
+        activities: {
+          type: 'array',
+          items: {
+            ...RANGE_STATS,
+            required: ['category', 'durationMs', ...RANGE_STATS.required],
+            properties: {
+              category: ANNOTATION_CATEGORY,
+              annotations: { type: 'number' },
+              durationMs: { type: 'number' },
+              ...RANGE_STATS.properties,
+            },
+          },
+        },
+        // part of the range was compacted and is missing from the figures
+        partial: { type: 'boolean' },
+        comparison: {
+          type: ['object', 'null'],
+          properties: {
+            mode: { enum: ['previous', 'weekday'] },
+            ranges: { type: 'array', items: { type: 'object', properties: { start: TIMESTAMP, end: TIMESTAMP } } },
+            occurrences: { type: 'number' },
+            summary: { ...RANGE_STATS, type: ['object', 'null'] },
+            delta: {
+              type: ['object', 'null'],
+              properties: { dose: RANGE_DELTA, avg: RANGE_DELTA, max: RANGE_DELTA, aboveMs: RANGE_DELTA },
+            },
+          },
+        },
+      },
+    },
+  },
+
+  // Timeline annotations overlapping [start, end) (instants inside it)
+  getAnnotations: {
+    params: { type: 'object', required: ['start', 'end'], properties: { start: TIMESTAMP, end: TIMESTAMP } },
+    result: { type: 'array', items: ANNOTATION },
+  },
+  addAnnotation: {
+    params: {
+      type: 'object',
+      required: ['annotation'],
+      properties: { annotation: { ...ANNOTATION_INPUT, required: ['start', 'category'] } },
+    },
+    result: ANNOTATION,
+  },
+  updateAnnotation: {
+    params: {
+      type: 'object',
+      required: ['id', 'changes'],
+      properties: { id: { type: 'number' }, changes: ANNOTATION_INPUT },
+    },
+    result: ANNOTATION,
+  },
+  deleteAnnotation: {
+    params: { type: 'object', required: ['id'], properties: { id: { type: 'number' } } },
+    result: { type: 'object', required: ['deleted'], properties: { deleted: { type: 'boolean' } } },
+  },
+
+  // Live readings since `since`, numbered like the sensorDelta stream.
+  // Called on load, after sensorReset, and whenever a delta goes missing.
+  getSensorSnapshot: {
+    params: { type: 'object', required: ['since'], properties: { since: TIMESTAMP } },
+    result: {
+      type: 'object',
+      required: ['seq', 'readings'],
+      properties: { seq: { type: 'number' }, readings: READINGS },
+    },
+  },
+
+  // Read-only device queries. GET / CLEAR / SET stay behind syncReadings and
+  // the typed device handlers, so nothing bypasses the sync cursor.
+  sendCommand: {
+    params: {
+      type: 'object',
+      required: ['command'],
+      properties: { command: { enum: ['HELLO', 'INFO', 'BATT'] } },
+    },
+    result: { type: 'array', items: { type: 'string' } },
+  },
+  syncReadings: {
+    params: NONE,
+    result: {
+      type: 'object',
+      required: ['outcome'],
+      properties: {
+        outcome: { type: 'string' },
+        committed: { type: 'number' },
+        duplicates: { type: 'number' },
+        rejected: { type: 'number' },
+        message: { type: 'string' },
+      },
+    },
+  },
+  clearSavedData: { params: NONE, result: { type: 'null' } },
+
+  // Partial policy; resolves with the merged result and triggers a compaction
+  updateRetentionPolicy: {
+    params: { type: 'object', required: ['policy'], properties: { policy: RETENTION_POLICY } },
+    result: RETENTION_POLICY,
+  },
+  compactStorage: { params: NONE, result: { type: ['object', 'null'] } },
+
+  // Calibration (lib/calibration.js). applyToExisting re-converts the
+  // device's stored readings too.
+  captureCalibrationPoint: {
+    params: {
+      type: 'object',
+      required: ['deviceId'],
+      properties: { deviceId: { type: 'string' }, windowMs: { type: 'number' } },
+    },
+    result: {
+      type: 'object',
+      required: ['raw', 'count'],
+      properties: { raw: { type: 'number' }, count: { type: 'number' }, from: TIMESTAMP, to: TIMESTAMP },
+    },
+  },
+  saveCalibrationProfile: {
+    params: {
+      type: 'object',
+      required: ['deviceId', 'profile'],
+      properties: {
+        deviceId: { type: 'string' },
+        profile: CALIBRATION_PROFILE,
+        applyToExisting: { type: 'boolean' },
+      },
+    },
+    result: CALIBRATION_RESULT,
+  },
+  removeCalibrationProfile: {
+    params: {
+      type: 'object',
+      required: ['deviceId'],
+      properties: { deviceId: { type: 'string' }, applyToExisting: { type: 'boolean' } },
+    },
+    result: CALIBRATION_RESULT,
+  },
+  updateUnitDisplay: {
+    params: { type: 'object', required: ['display'], properties: { display: UNIT_DISPLAY } },
+    result: UNIT_DISPLAY,
+  },
+
+  // Partial settings; rebuilds rollups on the new day boundaries
+  updateCalendarSettings: {
+    params: { type: 'object', required: ['settings'], properties: { settings: CALENDAR_SETTINGS } },
+    result: CALENDAR_SETTINGS,
+  },
+  // Aggregates with a bucket starting in [start, end), oldest first
+  getAggregatesInRange: {
+    params: {
+      type: 'object',
+      required: ['start', 'end'],
+      properties: { start: TIMESTAMP, end: TIMESTAMP, deviceId: DEVICE_ID },
+    },
+    result: { type: 'array', items: AGGREGATE },
+  },
+
+  connectAndListen: {
+    params: { type: 'object', properties: { deviceId: DEVICE_ID } },
+    result: { type: 'null' },
+  },
+  disconnect: { params: NONE, result: { type: 'null' } },
+
+  scanForDevices: { params: NONE, result: { type: 'null' } },
+  stopScan: { params: NONE, result: { type: 'null' } },
+  pairDevice: {
+    params: {
+      type: 'object',
+      required: ['deviceId'],
+      properties: { deviceId: { type: 'string' }, nickname: { type: ['string', 'null'] } },
+    },
+    result: { type: 'null' },
+  },
+  renameDevice: {
+    params: {
+      type: 'object',
+      required: ['deviceId', 'nickname'],
+      properties: { deviceId: { type: 'string' }, nickname: { type: ['string', 'null'] } },
+    },
+    result: { type: 'null' },
+  },
+  forgetDevice: {
+    params: { type: 'object', required: ['deviceId'], properties: { deviceId: { type: 'string' } } },
+    result: { type: 'null' },
+  },
+  setDeviceFilter: {
+    params: { type: 'object', required: ['deviceId'], properties: { deviceId: DEVICE_ID } },
+    result: { type: 'null' },
+  },
+
+  // Connected necklace only; the SET methods resolve with the value it confirmed
+  refreshDeviceInfo: { params: NONE, result: { ...DEVICE_INFO, type: ['object', 'null'] } },
+  setSampleInterval: {
+    params: { type: 'object', required: ['seconds'], properties: { seconds: { type: 'number' } } },
+    result: { type: 'number' },
+  },
+  setLedMode: {
+    params: { type: 'object', required: ['mode'], properties: { mode: { enum: ['on', 'off', 'auto'] } } },
+    result: { type: 'string' },
+  },
+
+  // Shares the written file; shared is false when the phone has no share sheet
+  exportReadings: {
+    params: {
+      type: 'object',
+      required: ['range', 'format'],
+      properties: {
+        range: { enum: ['day', 'week', 'month', 'custom'] },
+        format: { enum: ['csv', 'json'] },
+        date: TIMESTAMP,
+        start: TIMESTAMP,
+        end: TIMESTAMP,
+        // custom range as calendar days ('2025-03-07', `to` inclusive)
+        from: { type: 'string' },
+        to: { type: 'string' },
+        deviceId: DEVICE_ID,
+      },
+    },
+    result: {
+      type: 'object',
+      required: ['count'],
+      properties: { count: { type: 'number' }, uri: { type: 'string' }, shared: { type: 'boolean' } },
+    },
+  },
+
+  previewImport: {
+    params: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } },
+    result: {
+      type: 'object',
+      required: ['fresh', 'duplicates', 'invalid'],
+      properties: {
+        format: { type: 'string' },
+        total: { type: 'number' },
+        fresh: { type: 'number' },
+        duplicates: { type: 'number' },
+        // skipped: older than the raw readings kept (see lib/importReadings.js)
+        beforeRetention: { type: 'number' },
+        retainedFrom: TIMESTAMP,
+        invalid: { type: 'number' },
+        range: {
+          type: ['object', 'null'],
+          properties: { start: TIMESTAMP, end: TIMESTAMP },
+        },
+        deviceIds: { type: 'array', items: DEVICE_ID },
+      },
+    },
+  },
+  commitImport: {
+    params: NONE,
+    result: {
+      type: 'object',
+      required: ['imported'],
+      properties: {
+        imported: { type: 'number' },
+        duplicates: { type: 'number' },
+        beforeRetention: { type: 'number' },
+        invalid: { type: 'number' },
+      },
+    },
+  },
+  cancelImport: { params: NONE, result: { type: 'null' } },
+
+  // Settings: enable/disable a rule or change its params ({ name: value })
+  updateInsightRule: {
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: { type: 'string' }, enabled: { type: 'boolean' }, params: { type: 'object' } },
+    },
+    result: { type: 'null' },
+  },
+  resetInsightRules: { params: NONE, result: { type: 'null' } },
+
+  // Enable/disable a goal or change its target and hours ({ name: value });
+  // rejects a window that ends before it starts
+  updateGoal: {
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: { type: 'string' }, enabled: { type: 'boolean' }, params: { type: 'object' } },
+    },
+    result: { type: 'null' },
+  },
+  resetGoals: { params: NONE, result: { type: 'null' } },
+
+  // Partial settings ({ group: { key: value } }); resolves with the merged result
+  updateAlertSettings: {
+    params: { type: 'object', required: ['settings'], properties: { settings: ALERT_SETTINGS } },
+    result: ALERT_SETTINGS,
+  },
+  // Newest first
+  getAlertHistory: {
+    params: { type: 'object', properties: { limit: { type: 'number' } } },
+    result: { type: 'array', items: ALERT },
+  },
+
+  // Debug log, newest first; category null = all
+  getDiagnostics: {
+    params: {
+      type: 'object',
+      properties: { limit: { type: 'number' }, category: { type: ['string', 'null'] } },
+    },
+    result: { type: 'array', items: DIAGNOSTIC_ENTRY },
+  },
+  updateDiagnosticsSettings: {
+    params: { type: 'object', required: ['settings'], properties: { settings: DIAGNOSTICS_SETTINGS } },
+    result: DIAGNOSTICS_SETTINGS,
+  },
+  clearDiagnostics: { params: NONE, result: { type: 'null' } },
+  // Whole log as JSON through the share sheet
+  exportDiagnostics: {
+    params: NONE,
+    result: {
+      type: 'object',
+      required: ['count'],
+      properties: { count: { type: 'number' }, uri: { type: 'string' }, shared: { type: 'boolean' } },
+    },
+  },
+};
+
+// ------------------------------
+// Events (native → dashboard)
+// ------------------------------
+export const EVENTS = {
+  // Appended readings only; seq increases by one per sensor event
+  sensorDelta: {
+    type: 'object',
+    required: ['seq', 'readings'],
+    properties: { seq: { type: 'number' }, readings: READINGS },
+  },
+  // The live log was replaced (load, import, clear): refetch via getSensorSnapshot
+  sensorReset: { type: 'object', required: ['seq'], properties: { seq: { type: 'number' } } },
+  updateStats: { type: 'object' },
+  // Active insights, highest priority first
+  insights: { type: 'array', items: INSIGHT },
+  insightRules: { type: 'array', items: INSIGHT_RULE },
+  // Goal settings plus today's progress, streaks and the recent-day calendar
+  goals: {
+    type: 'object',
+    required: ['goals', 'progress'],
+    properties: { goals: { type: 'array', items: GOAL }, progress: GOAL_PROGRESS },
+  },
+  // null until loaded
+  alertSettings: { ...ALERT_SETTINGS, type: ['object', 'null'] },
+  // Most recent alerts, newest first
+  alertHistory: { type: 'array', items: ALERT },
+  // Active profile per necklace + raw / calibrated display
+  calibration: {
+    type: 'object',
+    required: ['profiles', 'display'],
+    properties: { profiles: { type: 'array', items: CALIBRATION_PROFILE }, display: UNIT_DISPLAY },
+  },
+  // Day / week / month boundaries for the chart (lib/calendar.js), replaced
+  // at midnight; settings null until loaded
+  calendar: {
+    type: 'object',
+    required: ['timeZone', 'windows', 'hours', 'days'],
+    properties: {
+      settings: { ...CALENDAR_SETTINGS, type: ['object', 'null'] },
+      mode: { enum: ['home', 'local'] },
+      timeZone: { type: ['string', 'null'] },
+      windows: {
+        type: 'object',
+        required: ['today', 'week', 'month'],
+        properties: { today: CALENDAR_SPAN, week: CALENDAR_SPAN, month: CALENDAR_SPAN },
+      },
+      // wall-clock hours of today (a DST day has 23 or 25)
+      hours: {
+        type: 'array',
+        items: { type: 'object', required: ['start', 'hour'], properties: { start: TIMESTAMP, hour: { type: 'number' } } },
+      },
+      // every day of this week and this month
+      days: { type: 'array', items: CALENDAR_SPAN },
+    },
+  },
+  // Rollups changed (new batch, import, clear, backfill): refetch via getRollups
+  rollupsUpdated: { type: 'object', properties: { updatedAt: { type: ['number', 'null'] } } },
+  // Annotations changed: refetch via getAnnotations
+  annotationsUpdated: { type: 'object', properties: { updatedAt: { type: ['number', 'null'] } } },
+  // Sizes in KB on disk; sizesEstimated when SQLite can't report per-table pages
+  storageStats: {
+    type: 'object',
+    required: ['sizeKB', 'totalReadings'],
+    properties: {
+      sizeKB: { type: 'number' },
+      rawKB: { type: 'number' },
+      aggregateKB: { type: 'number' },
+      freeKB: { type: 'number' },
+      reclaimableKB: { type: 'number' },
+      sizesEstimated: { type: 'boolean' },
+      totalReadings: { type: 'number' },
+      aggregateBuckets: { type: 'number' },
+      compactableReadings: { type: 'number' },
+    },
+  },
+  // Readings accepted / skipped as duplicates / quarantined since `since`;
+  // null until loaded
+  validationCounts: {
+    type: ['object', 'null'],
+    required: ['accepted', 'duplicates', 'rejected'],
+    properties: {
+      accepted: { type: 'number' },
+      duplicates: { type: 'number' },
+      rejected: { type: 'number' },
+      // reason → count
+      byReason: { type: 'object' },
+      since: TIMESTAMP,
+    },
+  },
+  // Most recently quarantined lines, newest first
+  quarantine: { type: 'array', items: QUARANTINED_LINE },
+  retention: {
+    type: 'object',
+    required: ['running'],
+    properties: {
+      policy: { ...RETENTION_POLICY, type: ['object', 'null'] },
+      running: { type: 'boolean' },
+      last: { ...COMPACTION_REPORT, type: ['object', 'null'] },
+    },
+  },
+  timeRangeStats: {
+    type: 'object',
+    properties: {
+      readingsToday: { type: 'number' },
+      readingsWeek: { type: 'number' },
+      readingsMonth: { type: 'number' },
+    },
+  },
+  bleConnection: {
+    type: 'object',
+    required: ['isConnected', 'connectionState'],
+    properties: {
+      isConnected: { type: 'boolean' },
+      connectionState: { type: 'string' },
+      error: CONNECTION_ERROR,
+    },
+  },
+  devices: {
+    type: 'object',
+    required: ['paired', 'discovered'],
+    properties: {
+      paired: { type: 'array', items: DEVICE },
+      discovered: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id'],
+          properties: { id: { type: 'string' }, name: { type: ['string', 'null'] }, rssi: { type: ['number', 'null'] } },
+        },
+      },
+      activeDeviceId: DEVICE_ID,
+      deviceFilter: DEVICE_ID,
+      isScanning: { type: 'boolean' },
+    },
+  },
+  // Connected necklace; null while disconnected or before the first INFO
+  deviceInfo: { ...DEVICE_INFO, type: ['object', 'null'] },
+  // New entries were written (refetch via getDiagnostics); settings null until loaded
+  diagnostics: {
+    type: 'object',
+    properties: {
+      settings: { ...DIAGNOSTICS_SETTINGS, type: ['object', 'null'] },
+      updatedAt: { type: ['number', 'null'] },
+    },
+  },
+};
+
+// ------------------------------
+// Validation — returns null when valid, else a message naming the path
+// (mirrored by validateSchema in dashboard/index.html)
+// ------------------------------
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+export function validateSchema(schema, value, path = 'value') {
+  if (!schema) return null;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of ${schema.enum.join(', ')}`;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    if (!types.includes(actual) || (actual === 'number' && !Number.isFinite(value))) {
+      return `${path} must be ${types.join(' or ')}`;
+    }
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) return `${path}.${key} is required`;
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties)) {
+      if (value[key] === undefined) continue;
+      const error = validateSchema(propSchema, value[key], `${path}.${key}`);
+      if (error) return error;
+    }
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const error = validateSchema(schema.items, value[i], `${path}[${i}]`);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,323 @@
+// lib/calendar.js
+//
+// Day / ISO-week (Monday first) / month bucketing shared by the hook, the
+// stores and — through the `calendar` bridge event — the dashboard.
+//
+// Boundaries are worked out on the wall clock and converted to instants
+// through the time zone, so DST days come out 23 or 25 hours long. Two modes:
+//   home    days follow one home time zone, fixed while travelling
+//   local   each reading counts on the day of its own wall-clock time, from
+//           the UTC offset stored with it (readings.utc_offset_min)
+//
+// A period is { period, key, start, end, wallStart, wallEnd, local }
+//   key        '2025-03-07' | '2025-W10' | '2025-03'
+//   start/end  instants, in the home zone (or the phone's zone in local mode)
+//   wallStart/wallEnd  the same period on the wall clock (ms, read as UTC)
+//   local      membership is decided per reading — see contains()
+
+import { format as formatDate } from 'date-fns';
+
+import { getMeta, setMeta } from './db';
+
+const CALENDAR_SETTINGS_KEY = 'calendarSettings';
+
+export const CALENDAR_MODE = { HOME: 'home', LOCAL: 'local' };
+export const CALENDAR_PERIOD = { DAY: 'day', WEEK: 'week', MONTH: 'month' };
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// On the wall clock every day is 24 h; only instants see DST
+const WALL_DAY_MS = 24 * HOUR_MS;
+
+// Zones range from UTC-12 to UTC+14
+export const MAX_UTC_OFFSET_MS = 14 * HOUR_MS;
+
+// Offsets only change on quarter hours; cache one lookup per quarter
+const QUARTER_HOUR_MS = 15 * MINUTE_MS;
+const OFFSET_CACHE_SIZE = 20000;
+
+// ------------------------------
+// Time zones
+// ------------------------------
+export function deviceTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone ?? null;
+  } catch {
+    return null;
+  }
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+function zoneFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour12: false,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+// Minutes east of UTC at `ms` in `timeZone`; the phone's own zone when null
+export function zoneOffsetMinutes(ms, timeZone = null) {
+  if (!timeZone) return -new Date(ms).getTimezoneOffset();
+
+  const f = {};
+  for (const { type, value } of zoneFormatter(timeZone).formatToParts(new Date(ms))) f[type] = Number(value);
+  const asUtc = Date.UTC(f.year, f.month - 1, f.day, f.hour % 24, f.minute, f.second);
+  return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / MINUTE_MS);
+}
+
+// ------------------------------
+// Wall-clock periods (no DST on this timeline)
+// ------------------------------
+const PERIODS = {
+  day: {
+    start: (wall) => Math.floor(wall / WALL_DAY_MS) * WALL_DAY_MS,
+    next: (wall) => wall + WALL_DAY_MS,
+    format: 'yyyy-MM-dd',
+  },
+  week: {
+    start: (wall) => {
+      const day = PERIODS.day.start(wall);
+      return day - ((new Date(day).getUTCDay() + 6) % 7) * WALL_DAY_MS;
+    },
+    next: (wall) => wall + 7 * WALL_DAY_MS,
+    format: "RRRR-'W'II",
+  },
+  month: {
+    start: (wall) => {
+      const d = new Date(wall);
+      return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+    },
+    next: (wall) => {
+      const d = new Date(wall);
+      return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+    },
+    format: 'yyyy-MM',
+  },
+};
+
+// date-fns formats in the phone's zone; local noon has the wall date on every day
+function periodKey(period, wallStart) {
+  const d = new Date(wallStart);
+  return formatDate(new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 12), PERIODS[period].format);
+}
+
+// ------------------------------
+// Factory
+// settings: { mode, homeTimeZone }
+// ------------------------------
+export function createCalendar({ mode = CALENDAR_MODE.HOME, homeTimeZone = null } = {}) {
+  const local = mode === CALENDAR_MODE.LOCAL;
+
+  // null = the phone's zone, which Date already knows
+  const zone = local || !isValidTimeZone(homeTimeZone) || homeTimeZone === deviceTimeZone() ? null : homeTimeZone;
+  const offsets = new Map();
+
+  function zoneOffset(ms) {
+    if (!zone) return zoneOffsetMinutes(ms);
+
+    const quarter = Math.floor(ms / QUARTER_HOUR_MS);
+    if (!offsets.has(quarter)) {
+      if (offsets.size >= OFFSET_CACHE_SIZE) offsets.clear();
+      offsets.set(quarter, zoneOffsetMinutes(quarter * QUARTER_HOUR_MS, zone));
+    }
+    return offsets.get(quarter);
+  }
+
+  // Minutes east of UTC for a reading at `ms`; local mode uses the offset
+  // stored with it when there is one
+  function offsetAt(ms, utcOffsetMin = null) {
+    return local && Number.isFinite(utcOffsetMin) ? utcOffsetMin : zoneOffset(ms);
+  }
+
+  function wallTime(ms, utcOffsetMin = null) {
+    return ms + offsetAt(ms, utcOffsetMin) * MINUTE_MS;
+  }
+
+  // Wall clock → instant in the calendar's zone. A wall time skipped by a
+  // DST jump moves forward by the jump, like Date does (a midnight that
+  // doesn't exist becomes the first instant of the day).
+  function toInstant(wall) {
+    const guess = wall - zoneOffset(wall) * MINUTE_MS;
+    const offset = zoneOffset(guess);
+    const instant = wall - offset * MINUTE_MS;
+    return zoneOffset(instant) === offset ? instant : Math.max(guess, instant);
+  }
+
+  function periodAt(period, wall) {
+    const { start, next } = PERIODS[period];
+    const wallStart = start(wall);
+    const wallEnd = next(wallStart);
+    return {
+      period,
+      key: periodKey(period, wallStart),
+      start: toInstant(wallStart),
+      end: toInstant(wallEnd),
+      wallStart,
+      wallEnd,
+      local,
+    };
+  }
+
+  function readingWallTime(r) {
+    return wallTime(r.sampledAt, r.utcOffsetMin);
+  }
+
+  return {
+    mode,
+    local,
+    get timeZone() {
+      return zone ?? deviceTimeZone();
+    },
+
+    offsetAt,
+    wallTime,
+    readingWallTime,
+
+    // The period containing `ms` (a reading's offset decides it in local mode)
+    period: (period, ms = Date.now(), utcOffsetMin = null) => periodAt(period, wallTime(ms, utcOffsetMin)),
+
+    // The week or month a period (usually a day) falls in
+    parentOf: (period, p) => periodAt(period, p.wallStart),
+
+    // '2025-03-07' → that day
+    dayOfKey: (key) => {
+      const [y, m, d] = key.split('-').map(Number);
+      return periodAt(CALENDAR_PERIOD.DAY, Date.UTC(y, m - 1, d));
+    },
+
+    // Consecutive periods overlapping the instants [start, end)
+    periodsBetween: (period, start, end) => {
+      const list = [];
+      for (let p = periodAt(period, wallTime(start)); p.start < end; p = periodAt(period, p.wallEnd)) {
+        list.push(p);
+      }
+      return list;
+    },
+
+    contains: (p, r) => {
+      const wall = readingWallTime(r);
+      return wall >= p.wallStart && wall < p.wallEnd;
+    },
+
+    // Start of the day `days` away from the one containing `ms`
+    dayStart: (ms, days = 0) => toInstant(PERIODS.day.start(wallTime(ms)) + days * WALL_DAY_MS),
+
+    // Wall-clock hour (0–23) and the instant the next one begins
+    hourOf: (ms, utcOffsetMin = null) => {
+      const wall = wallTime(ms, utcOffsetMin);
+      return Math.floor((wall - PERIODS.day.start(wall)) / HOUR_MS);
+    },
+    nextHourBoundary: (ms, utcOffsetMin = null) => {
+      const wall = wallTime(ms, utcOffsetMin);
+      return ms + (Math.floor(wall / HOUR_MS) + 1) * HOUR_MS - wall;
+    },
+  };
+}
+
+// ------------------------------
+// Snapshot for the dashboard (the `calendar` bridge event): the current
+// periods and every hour / day boundary its chart needs, so it never works
+// out a day on its own. `id` changes when any of it does.
+// ------------------------------
+export function describeCalendar(calendar, now = Date.now()) {
+  const span = (period) => {
+    const { key, start, end } = calendar.period(period, now);
+    return { key, start, end };
+  };
+  const today = span(CALENDAR_PERIOD.DAY);
+  const week = span(CALENDAR_PERIOD.WEEK);
+  const month = span(CALENDAR_PERIOD.MONTH);
+
+  const hours = [];
+  for (let t = today.start; t < today.end; t = calendar.nextHourBoundary(t)) {
+    hours.push({ start: t, hour: calendar.hourOf(t) });
+  }
+
+  const days = calendar
+    .periodsBetween(CALENDAR_PERIOD.DAY, Math.min(week.start, month.start), Math.max(week.end, month.end))
+    .map(({ key, start, end }) => ({ key, start, end }));
+
+  return {
+    id: `${calendar.mode}|${calendar.timeZone}|${today.key}`,
+    mode: calendar.mode,
+    timeZone: calendar.timeZone,
+    windows: { today, week, month },
+    hours,
+    days,
+  };
+}
+
+// ------------------------------
+// Settings — read synchronously by the stores through getCalendar()
+// ------------------------------
+let settings = null;
+let current = createCalendar();
+
+function sanitize(saved) {
+  return {
+    mode: Object.values(CALENDAR_MODE).includes(saved?.mode) ? saved.mode : CALENDAR_MODE.HOME,
+    homeTimeZone: isValidTimeZone(saved?.homeTimeZone) ? saved.homeTimeZone : deviceTimeZone(),
+  };
+}
+
+// The home zone is pinned the first time, so travelling doesn't move it
+export async function loadCalendarSettings() {
+  const saved = await getMeta(CALENDAR_SETTINGS_KEY, null);
+  settings = sanitize(saved);
+  if (saved?.mode !== settings.mode || saved?.homeTimeZone !== settings.homeTimeZone) {
+    await setMeta(CALENDAR_SETTINGS_KEY, settings);
+  }
+  current = createCalendar(settings);
+  return settings;
+}
+
+// changes: partial { mode, homeTimeZone }; an unknown zone is an error
+export async function updateCalendarSettings(changes) {
+  if (changes?.homeTimeZone != null && !isValidTimeZone(changes.homeTimeZone)) {
+    throw new Error(`Unknown time zone: ${changes.homeTimeZone}`);
+  }
+
+  const next = sanitize({ ...(settings ?? (await loadCalendarSettings())), ...changes });
+  await setMeta(CALENDAR_SETTINGS_KEY, next);
+  settings = next;
+  current = createCalendar(settings);
+  return settings;
+}
+
+// The phone moved to another zone: same settings, boundaries worked out again
+export function refreshCalendar() {
+  current = createCalendar(settings ?? undefined);
+  return current;
+}
+
+export function getCalendarSettings() {
+  return settings;
+}
+
+// The phone's zone until settings are loaded
+export function getCalendar() {
+  return current;
+}
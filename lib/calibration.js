@@ -0,0 +1,296 @@
+// lib/calibration.js
+//
+// Per-device calibration: a curve from the raw counts a necklace prints to a
+// physical unit, so readings from different necklaces (and our thresholds)
+// can be compared against a reference meter.
+//
+//   { id, deviceId, name, unit, kind, gain, offset, points, createdAt, retiredAt }
+//   kind:   'linear'     value = gain × raw + offset
+//           'piecewise'  straight lines between points [[raw, value], ...],
+//                        extended past the first and last one
+//   unit:   'lux' | 'µW/cm²'
+//
+// The active profile is applied at ingest: readings keep `intensity` (raw)
+// and get `calibrated` + `calibrationId`. Replacing a profile retires the old
+// one, so earlier readings still name the profile they were converted with.
+// Rollups, insights and alerts stay in raw counts.
+
+import { getDatabase, getMeta, setMeta } from './db';
+
+const UNIT_DISPLAY_KEY = 'unitDisplay';
+
+export const CALIBRATION_KIND = { LINEAR: 'linear', PIECEWISE: 'piecewise' };
+export const CALIBRATION_UNIT = { LUX: 'lux', IRRADIANCE: 'µW/cm²' };
+
+// What stats, the chart and the dashboard show
+export const UNIT_DISPLAY = { RAW: 'raw', CALIBRATED: 'calibrated' };
+export const RAW_UNIT = 'BLU';
+
+const MAX_POINTS = 16;
+
+// Two-point captures average the live readings of this window
+export const CALIBRATION_CAPTURE_MS = 30 * 1000;
+
+function rowToProfile(row) {
+  const curve = JSON.parse(row.curve);
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    name: row.name,
+    unit: row.unit,
+    kind: row.kind,
+    gain: curve.gain ?? null,
+    offset: curve.offset ?? null,
+    points: curve.points ?? null,
+    createdAt: row.created_at,
+    retiredAt: row.retired_at,
+  };
+}
+
+function invalid(message) {
+  return new Error(`Invalid calibration: ${message}`);
+}
+
+// ------------------------------
+// Curves
+// ------------------------------
+
+// Straight line through two { raw, reference } captures
+export function twoPointCurve(low, high) {
+  const raws = [low?.raw, high?.raw, low?.reference, high?.reference].map(Number);
+  if (!raws.every(Number.isFinite)) throw invalid('both points need a raw reading and a reference value');
+
+  const [raw0, raw1, ref0, ref1] = raws;
+  if (raw0 === raw1) throw invalid('the two raw readings are the same — use a darker and a brighter light');
+
+  const gain = (ref1 - ref0) / (raw1 - raw0);
+  return { kind: CALIBRATION_KIND.LINEAR, gain, offset: ref0 - gain * raw0 };
+}
+
+// Checks and normalizes user input → { name, unit, kind, gain, offset, points }.
+// A linear profile may give two captures (low, high) instead of gain / offset.
+export function sanitizeProfile(input) {
+  const unit = input?.unit;
+  if (!Object.values(CALIBRATION_UNIT).includes(unit)) {
+    throw invalid(`unit must be one of ${Object.values(CALIBRATION_UNIT).join(', ')}`);
+  }
+  const name = typeof input.name === 'string' && input.name.trim() ? input.name.trim() : null;
+
+  if (input.kind === CALIBRATION_KIND.LINEAR) {
+    const line = input.low || input.high ? twoPointCurve(input.low, input.high) : input;
+    const gain = Number(line.gain);
+    const offset = Number(line.offset ?? 0);
+    if (!Number.isFinite(gain) || gain <= 0) throw invalid('gain must be a positive number');
+    if (!Number.isFinite(offset)) throw invalid('offset must be a number');
+    return { name, unit, kind: CALIBRATION_KIND.LINEAR, gain, offset, points: null };
+  }
+
+  if (input.kind === CALIBRATION_KIND.PIECEWISE) {
+    const points = (Array.isArray(input.points) ? input.points : [])
+      .map((p) => (Array.isArray(p) ? p : [p?.raw, p?.value]).map(Number))
+      .sort((a, b) => a[0] - b[0]);
+    if (points.length < 2 || points.length > MAX_POINTS) {
+      throw invalid(`a piecewise curve needs 2–${MAX_POINTS} points`);
+    }
+    if (!points.every(([raw, value]) => Number.isFinite(raw) && Number.isFinite(value))) {
+      throw invalid('every point needs a raw reading and a value');
+    }
+    if (points.some(([raw], i) => i && raw === points[i - 1][0])) {
+      throw invalid('two points have the same raw reading');
+    }
+    return { name, unit, kind: CALIBRATION_KIND.PIECEWISE, gain: null, offset: null, points };
+  }
+
+  throw invalid(`kind must be one of ${Object.values(CALIBRATION_KIND).join(', ')}`);
+}
+
+// Segment used for `raw`: the one it falls in, or the first / last one
+function segmentIndex(points, raw) {
+  let i = 1;
+  while (i < points.length - 1 && raw > points[i][0]) i++;
+  return i - 1;
+}
+
+// Light can't be negative; curves extended past their points can say it is
+export function applyCurve(profile, raw) {
+  if (profile.kind === CALIBRATION_KIND.LINEAR) {
+    return Math.max(0, profile.gain * raw + profile.offset);
+  }
+  const { points } = profile;
+  const i = segmentIndex(points, raw);
+  const [x0, y0] = points[i];
+  const [x1, y1] = points[i + 1];
+  return Math.max(0, y0 + ((raw - x0) * (y1 - y0)) / (x1 - x0));
+}
+
+// The same curve as an SQL expression over `intensity`, for re-converting
+// stored readings in one statement. Only sanitized numbers are inlined.
+function curveSql(profile) {
+  const n = (value) => String(Number(value));
+  if (profile.kind === CALIBRATION_KIND.LINEAR) {
+    return `MAX(0, intensity * ${n(profile.gain)} + ${n(profile.offset)})`;
+  }
+
+  const { points } = profile;
+  const segment = (i) => {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[i + 1];
+    return `${n(y0)} + (intensity - ${n(x0)}) * ${n((y1 - y0) / (x1 - x0))}`;
+  };
+  const cases = [];
+  for (let i = 1; i < points.length - 1; i++) {
+    cases.push(`WHEN intensity <= ${n(points[i][0])} THEN ${segment(i - 1)}`);
+  }
+  return cases.length
+    ? `MAX(0, CASE ${cases.join(' ')} ELSE ${segment(points.length - 2)} END)`
+    : `MAX(0, ${segment(0)})`;
+}
+
+// ------------------------------
+// Profile cache — ingest reads it synchronously
+// ------------------------------
+let active = new Map();   // deviceId → active profile
+let byId = new Map();     // id → profile, retired ones included
+
+export async function loadCalibrationProfiles() {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync('SELECT * FROM calibration_profiles ORDER BY id ASC');
+  const profiles = rows.map(rowToProfile);
+
+  byId = new Map(profiles.map((p) => [p.id, p]));
+  active = new Map(profiles.filter((p) => p.retiredAt == null).map((p) => [p.deviceId, p]));
+  return getActiveProfiles();
+}
+
+export function getActiveProfiles() {
+  return [...active.values()];
+}
+
+export function calibrationUnit(calibrationId) {
+  return byId.get(calibrationId)?.unit ?? null;
+}
+
+// → the reading plus calibrated / calibrationId / calibrationUnit from its
+// necklace's active profile (all null without one)
+export function calibrateReading(reading) {
+  const profile = reading.deviceId ? active.get(reading.deviceId) : null;
+  if (!profile) return { ...reading, calibrated: null, calibrationId: null, calibrationUnit: null };
+  return {
+    ...reading,
+    calibrated: applyCurve(profile, Number(reading.intensity)),
+    calibrationId: profile.id,
+    calibrationUnit: profile.unit,
+  };
+}
+
+export function calibrateReadings(readings) {
+  return readings.map(calibrateReading);
+}
+
+// ------------------------------
+// Saving / removing. applyToExisting re-converts every stored reading of the
+// device (or clears it, on removal); otherwise only new readings change.
+// Resolves with the profile (or null) and the number of readings updated.
+// ------------------------------
+export async function saveCalibrationProfile(deviceId, input, { applyToExisting = false } = {}) {
+  if (!deviceId) throw new Error('Calibration needs a paired necklace');
+  const profile = sanitizeProfile(input);
+
+  const db = await getDatabase();
+  const now = Date.now();
+  let id = null;
+  let updated = 0;
+
+  await db.withTransactionAsync(async () => {
+    await db.runAsync(
+      'UPDATE calibration_profiles SET retired_at = ? WHERE device_id = ? AND retired_at IS NULL',
+      [now, deviceId]
+    );
+    const result = await db.runAsync(
+      `INSERT INTO calibration_profiles (device_id, name, unit, kind, curve, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        deviceId,
+        profile.name,
+        profile.unit,
+        profile.kind,
+        JSON.stringify(
+          profile.kind === CALIBRATION_KIND.LINEAR
+            ? { gain: profile.gain, offset: profile.offset }
+            : { points: profile.points }
+        ),
+        now,
+      ]
+    );
+    id = result.lastInsertRowId;
+
+    if (applyToExisting) {
+      const change = await db.runAsync(
+        `UPDATE readings SET calibrated = ${curveSql(profile)}, calibration_id = ? WHERE device_id = ?`,
+        [id, deviceId]
+      );
+      updated = change.changes;
+    }
+  });
+
+  await loadCalibrationProfiles();
+  return { profile: byId.get(id), updated };
+}
+
+export async function removeCalibrationProfile(deviceId, { applyToExisting = false } = {}) {
+  const db = await getDatabase();
+  let updated = 0;
+
+  await db.withTransactionAsync(async () => {
+    await db.runAsync(
+      'UPDATE calibration_profiles SET retired_at = ? WHERE device_id = ? AND retired_at IS NULL',
+      [Date.now(), deviceId]
+    );
+    if (applyToExisting) {
+      const change = await db.runAsync(
+        'UPDATE readings SET calibrated = NULL, calibration_id = NULL WHERE device_id = ?',
+        [deviceId]
+      );
+      updated = change.changes;
+    }
+  });
+
+  await loadCalibrationProfiles();
+  return { profile: null, updated };
+}
+
+// ------------------------------
+// Display setting — raw counts or calibrated units
+// ------------------------------
+export async function loadUnitDisplay() {
+  const saved = await getMeta(UNIT_DISPLAY_KEY, null);
+  return Object.values(UNIT_DISPLAY).includes(saved) ? saved : UNIT_DISPLAY.RAW;
+}
+
+export async function updateUnitDisplay(display) {
+  if (!Object.values(UNIT_DISPLAY).includes(display)) {
+    throw new Error(`Unit display must be one of ${Object.values(UNIT_DISPLAY).join(', ')}`);
+  }
+  await setMeta(UNIT_DISPLAY_KEY, display);
+  return display;
+}
+
+// Readings in the chosen units: calibrated ones carry their converted value
+// as intensity, the rest are left out. unit: label for the values (RAW_UNIT,
+// one calibration unit, or null when necklaces use different ones).
+export function readingsForDisplay(readings, display) {
+  if (display !== UNIT_DISPLAY.CALIBRATED) return { readings, unit: RAW_UNIT, skipped: 0 };
+
+  const units = new Set();
+  const shown = [];
+  for (const r of readings) {
+    if (r.calibrated == null) continue;
+    units.add(r.calibrationUnit ?? calibrationUnit(r.calibrationId));
+    shown.push({ ...r, intensity: r.calibrated });
+  }
+  return {
+    readings: shown,
+    unit: units.size === 1 ? [...units][0] : null,
+    skipped: readings.length - shown.length,
+  };
+}
@@ -0,0 +1,169 @@
+// lib/clockSync.js
+//
+// Maps the necklace's deviceTimestamp (a counter since boot) onto wall-clock time.
+//
+// Every GET dump provides an anchor: its newest sample was logged at, or shortly
+// before, the moment the dump arrived. Anchors from successive syncs within one
+// boot give the real tick rate (unit + crystal drift), and the earliest-arriving
+// anchor bounds the offset. A counter that goes backwards means the device
+// rebooted, which starts a new epoch.
+
+export const TIME_CONFIDENCE = {
+  HIGH: 'high',     // anchored, tick rate measured across syncs
+  MEDIUM: 'medium', // anchored, nominal tick rate
+  LOW: 'low',       // no anchor for this boot — extrapolated back from a reboot
+};
+
+const DEFAULT_MS_PER_TICK = 1000;          // firmware counts seconds since boot
+const KNOWN_TICK_UNITS_MS = [1, 1000];      // ms or s counters
+const MIN_UNIT_SPAN_MS = 10 * 1000;         // anchors this far apart settle the unit
+const MIN_DRIFT_SPAN_MS = 60 * 60 * 1000;   // ...and this far apart, the drift
+const MAX_DRIFT = 0.02;                     // ±2% is already a very bad crystal
+const MAX_ANCHORS = 50;
+
+export function createClockState() {
+  return {
+    epoch: 0,
+    unitMs: null,           // confirmed tick unit (null = assumed DEFAULT_MS_PER_TICK)
+    msPerTick: DEFAULT_MS_PER_TICK,
+    driftMeasured: false,
+    anchors: [],            // [{ deviceTs, wallMs }] for the current epoch, oldest first
+  };
+}
+
+// ------------------------------
+// Helpers
+// ------------------------------
+
+// Split a dump (in device order) wherever the counter goes backwards
+export function splitAtCounterResets(readings) {
+  const segments = [];
+  let current = [];
+
+  for (const r of readings) {
+    const prev = current[current.length - 1];
+    if (prev && r.deviceTimestamp < prev.deviceTimestamp) {
+      segments.push(current);
+      current = [];
+    }
+    current.push(r);
+  }
+  if (current.length) segments.push(current);
+  return segments;
+}
+
+function estimateRate(state) {
+  const { anchors } = state;
+  if (anchors.length < 2) return state;
+
+  const first = anchors[0];
+  const last = anchors[anchors.length - 1];
+  const wallSpan = last.wallMs - first.wallMs;
+  const tickSpan = last.deviceTs - first.deviceTs;
+  if (tickSpan <= 0 || wallSpan < MIN_UNIT_SPAN_MS) return state;
+
+  const observed = wallSpan / tickSpan;
+  const unitMs = KNOWN_TICK_UNITS_MS.reduce((best, unit) =>
+    Math.abs(Math.log(observed / unit)) < Math.abs(Math.log(observed / best)) ? unit : best
+  );
+
+  if (wallSpan < MIN_DRIFT_SPAN_MS) {
+    return { ...state, unitMs, msPerTick: state.unitMs === unitMs ? state.msPerTick : unitMs };
+  }
+
+  const drift = Math.min(MAX_DRIFT, Math.max(-MAX_DRIFT, observed / unitMs - 1));
+  return { ...state, unitMs, msPerTick: unitMs * (1 + drift), driftMeasured: true };
+}
+
+// Each anchor's wall time is an upper bound (the sample was taken before it
+// arrived), so the tightest offset is the lowest one across all anchors.
+function epochOffset(state) {
+  return Math.min(...state.anchors.map((a) => a.wallMs - a.deviceTs * state.msPerTick));
+}
+
+function anchoredConfidence(state) {
+  return state.driftMeasured ? TIME_CONFIDENCE.HIGH : TIME_CONFIDENCE.MEDIUM;
+}
+
+function addAnchor(state, anchor) {
+  const last = state.anchors[state.anchors.length - 1];
+  // a dump with no new samples says nothing new about the clock
+  if (last && anchor.deviceTs <= last.deviceTs) return state;
+
+  // keep the first anchor so the rate keeps its longest baseline
+  const anchors = [...state.anchors, anchor];
+  if (anchors.length > MAX_ANCHORS) anchors.splice(1, 1);
+  return estimateRate({ ...state, anchors });
+}
+
+function newestOf(segment) {
+  return segment[segment.length - 1];
+}
+
+// ------------------------------
+// Align a batch of parsed readings
+// Returns the readings with sampledAt/timeConfidence and the next clock state.
+// ------------------------------
+export function alignReadings(readings, state = createClockState()) {
+  if (!readings.length) return { readings: [], state };
+
+  const segments = splitAtCounterResets(readings);
+  const lastAnchor = state.anchors[state.anchors.length - 1];
+  const firstContinues =
+    !!lastAnchor && newestOf(segments[0]).deviceTimestamp >= lastAnchor.deviceTs;
+
+  let next = { ...state };
+  const mapped = new Array(segments.length);
+
+  // Map the stored epoch first (if this dump continues it), then the newest boot
+  if (firstContinues) {
+    const newest = newestOf(segments[0]);
+    next = addAnchor(next, { deviceTs: newest.deviceTimestamp, wallMs: newest.receivedAt });
+
+    const offset = epochOffset(next);
+    mapped[0] = segments[0].map((r) => ({
+      ...r,
+      sampledAt: offset + r.deviceTimestamp * next.msPerTick,
+      timeConfidence: anchoredConfidence(next),
+    }));
+  }
+
+  const lastIndex = segments.length - 1;
+  if (!(firstContinues && lastIndex === 0)) {
+    // The newest segment belongs to the running boot: anchor it on arrival
+    const newest = newestOf(segments[lastIndex]);
+    next = addAnchor(
+      { ...next, epoch: lastAnchor ? next.epoch + 1 : next.epoch, anchors: [] },
+      { deviceTs: newest.deviceTimestamp, wallMs: newest.receivedAt }
+    );
+
+    const offset = epochOffset(next);
+    mapped[lastIndex] = segments[lastIndex].map((r) => ({
+      ...r,
+      sampledAt: offset + r.deviceTimestamp * next.msPerTick,
+      timeConfidence: anchoredConfidence(next),
+    }));
+
+    // Older boots with no anchor end no later than the boot that followed them
+    let bootWall = offset;
+    for (let i = lastIndex - 1; i >= (firstContinues ? 1 : 0); i--) {
+      const segment = segments[i];
+      const segmentEnd = newestOf(segment).deviceTimestamp;
+
+      mapped[i] = segment.map((r) => ({
+        ...r,
+        sampledAt: bootWall - (segmentEnd - r.deviceTimestamp) * next.msPerTick,
+        timeConfidence: TIME_CONFIDENCE.LOW,
+      }));
+      bootWall = mapped[i][0].sampledAt - segment[0].deviceTimestamp * next.msPerTick;
+    }
+  }
+
+  // Nothing can have been sampled after it arrived
+  const aligned = mapped.flat().map((r) => ({
+    ...r,
+    sampledAt: Math.round(Math.min(r.sampledAt, r.receivedAt)),
+  }));
+
+  return { readings: aligned, state: next };
+}
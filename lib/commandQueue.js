@@ -0,0 +1,213 @@
+// lib/commandQueue.js
+//
+// FIFO pipeline for the UART line protocol. One command is on the wire at a
+// time; every reply line is routed to it until its terminator arrives, so
+// each sendCommand() resolves with exactly the lines that answered it.
+//
+// Reply lines carry no command id, so a timed-out attempt isn't resent until
+// its late reply (if any) is over: lines are dropped until its terminator
+// arrives or the link has been quiet for `quietMs`.
+
+// How each command's reply ends and how long to wait for it.
+// Anything not listed is treated like GET/CLEAR: lines until END or CLEARED.
+const COMMAND_SPECS = {
+  HELLO: { timeoutMs: 4000, retries: 2, singleLine: true },
+  GET: { timeoutMs: 15000, retries: 1, terminator: /^END\b/i },
+  CLEAR: { timeoutMs: 6000, retries: 2, terminator: /^CLEARED\b/i },
+  INFO: { timeoutMs: 4000, retries: 1, terminator: /^END\b/i },
+  BATT: { timeoutMs: 4000, retries: 1, singleLine: true },
+  // changes settings — never resent blindly
+  SET: { timeoutMs: 4000, retries: 0, singleLine: true },
+};
+
+const DEFAULT_SPEC = { timeoutMs: 6000, retries: 1, terminator: /^(END|CLEARED)\b/i };
+const ERROR_LINE = /^ERROR\b/i;
+
+// Silence that ends a timed-out attempt's reply before its retry
+const RETRY_QUIET_MS = 1000;
+
+export const COMMAND_ERROR = {
+  TIMEOUT: 'timeout',
+  DEVICE_ERROR: 'device_error',
+  WRITE_FAILED: 'write_failed',
+  DISCONNECTED: 'disconnected',
+};
+
+function commandError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function specFor(cmd, overrides) {
+  const verb = cmd.trim().split(/\s+/)[0].toUpperCase();
+  return { quietMs: RETRY_QUIET_MS, ...(COMMAND_SPECS[verb] ?? DEFAULT_SPEC), ...overrides };
+}
+
+// ------------------------------
+// Factory
+// write(line) must send one command line to the device (and may throw).
+// onSettled({ cmd, attempts, durationMs, lines, error }) sees every outcome;
+// durationMs runs from the last attempt's write to its reply.
+// ------------------------------
+export function createCommandQueue({ write, onSettled }) {
+  const queue = [];
+  let active = null;
+
+  function settle(job, err, lines) {
+    clearTimeout(job.timer);
+    if (active === job) active = null;
+
+    if (err) job.reject(err);
+    else job.resolve(lines);
+
+    onSettled?.({
+      cmd: job.cmd,
+      attempts: job.attempt,
+      durationMs: job.sentAt ? Date.now() - job.sentAt : null,
+      lines: lines?.length ?? 0,
+      error: err ?? null,
+    });
+
+    pump();
+  }
+
+  function onTimeout(job) {
+    if (active !== job) return;
+
+    if (job.attempt <= job.spec.retries) {
+      console.log(`[BLE] ${job.cmd} timed out — waiting for the link to go quiet before retrying`);
+      job.draining = true;
+      job.drainEndsAt = Date.now() + job.spec.timeoutMs;
+      drain(job);
+      return;
+    }
+
+    console.log(`[BLE] ${job.cmd} timed out`);
+    settle(job, commandError(COMMAND_ERROR.TIMEOUT, `${job.cmd} timed out after ${job.spec.timeoutMs} ms`));
+  }
+
+  // (Re)arm the quiet timer; a reply that never ends is given up on after
+  // another timeoutMs
+  function drain(job) {
+    clearTimeout(job.timer);
+    const wait = Math.min(job.spec.quietMs, Math.max(0, job.drainEndsAt - Date.now()));
+    job.timer = setTimeout(() => retry(job), wait);
+  }
+
+  function retry(job) {
+    if (active !== job) return;
+    clearTimeout(job.timer);
+    job.draining = false;
+
+    console.log(`[BLE] ${job.cmd} retry ${job.attempt}/${job.spec.retries}`);
+    active = null;
+    queue.unshift(job);
+    pump();
+  }
+
+  async function pump() {
+    if (active || !queue.length) return;
+
+    const job = queue.shift();
+    active = job;
+    job.attempt += 1;
+    job.lines = [];
+
+    console.log(`[BLE] Sending command: ${job.cmd}`);
+    job.sentAt = Date.now();
+    job.timer = setTimeout(() => onTimeout(job), job.spec.timeoutMs);
+
+    try {
+      await write(job.cmd);
+    } catch (err) {
+      if (active !== job) return;
+      console.error('[ERROR] BLE write error:', err);
+      settle(job, commandError(COMMAND_ERROR.WRITE_FAILED, err?.message ?? String(err)));
+    }
+  }
+
+  // Queue a command; resolves with its reply lines (terminator excluded).
+  // `coalesce` reuses an identical command that is still waiting in the queue.
+  function enqueue(cmd, { coalesce = false, ...overrides } = {}) {
+    if (coalesce) {
+      const waiting = queue.find((job) => job.cmd === cmd);
+      if (waiting) return waiting.promise;
+    }
+
+    const job = {
+      cmd,
+      spec: specFor(cmd, overrides),
+      attempt: 0,
+      lines: [],
+      timer: null,
+      sentAt: null,
+      draining: false,
+      drainEndsAt: null,
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    queue.push(job);
+    pump();
+    return job.promise;
+  }
+
+  // Route one received line. Returns false when no command is waiting for it.
+  function handleLine(line) {
+    const job = active;
+    if (!job) return false;
+
+    const text = line.trim();
+    if (job.draining) {
+      // the timed-out attempt's reply: dropped, and over once it terminates
+      if (ERROR_LINE.test(text) || job.spec.singleLine || job.spec.terminator.test(text)) retry(job);
+      else drain(job);
+      return true;
+    }
+
+    if (ERROR_LINE.test(text)) {
+      settle(job, commandError(COMMAND_ERROR.DEVICE_ERROR, `${job.cmd} failed: ${text}`));
+      return true;
+    }
+
+    if (job.spec.singleLine) {
+      settle(job, null, [text]);
+      return true;
+    }
+
+    if (job.spec.terminator.test(text)) {
+      console.log(`[BLE] Command ${job.cmd} complete`);
+      settle(job, null, job.lines);
+      return true;
+    }
+
+    job.lines.push(text);
+    return true;
+  }
+
+  // Fail everything in flight (e.g. the link dropped)
+  function reset(reason = 'connection reset') {
+    const pending = active ? [active, ...queue] : [...queue];
+    queue.length = 0;
+    active = null;
+
+    for (const job of pending) {
+      clearTimeout(job.timer);
+      const err = commandError(COMMAND_ERROR.DISCONNECTED, `${job.cmd} aborted: ${reason}`);
+      job.reject(err);
+      onSettled?.({ cmd: job.cmd, attempts: job.attempt, durationMs: null, lines: 0, error: err });
+    }
+  }
+
+  return {
+    enqueue,
+    handleLine,
+    reset,
+    get activeCommand() {
+      return active?.cmd ?? null;
+    },
+  };
+}
@@ -0,0 +1,38 @@
+// lib/connectionErrors.js
+
+// Reasons surfaced through the hook's `error` state and the WebView banner
+export const BLE_ERROR = {
+  BLUETOOTH_OFF: 'bluetooth_off',
+  PERMISSION_DENIED: 'permission_denied',
+  DEVICE_NOT_FOUND: 'device_not_found',
+  GATT_FAILURE: 'gatt_failure',
+};
+
+// Retrying can't help until the user does something (toggle BT, grant permission)
+const NEEDS_USER_ACTION = [BLE_ERROR.BLUETOOTH_OFF, BLE_ERROR.PERMISSION_DENIED];
+
+export function makeConnectionError(reason, message) {
+  return { reason, message, at: Date.now() };
+}
+
+export function isRetryable(error) {
+  return !NEEDS_USER_ACTION.includes(error?.reason);
+}
+
+// Adapter state (transport.state()) → error, null when the radio is usable or
+// still starting up. States use react-native-ble-plx's names.
+export function errorFromAdapterState(state) {
+  if (state === 'PoweredOff' || state === 'Unsupported') {
+    return makeConnectionError(BLE_ERROR.BLUETOOTH_OFF, `Bluetooth is ${state}`);
+  }
+  if (state === 'Unauthorized') {
+    return makeConnectionError(BLE_ERROR.PERMISSION_DENIED, 'Bluetooth permission denied');
+  }
+  return null;
+}
+
+// Anything a transport throws that isn't already typed
+export function toConnectionError(err) {
+  if (err?.reason) return err;
+  return makeConnectionError(BLE_ERROR.GATT_FAILURE, err?.message ?? String(err));
+}
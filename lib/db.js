@@ -0,0 +1,262 @@
+// lib/db.js
+import * as SQLite from 'expo-sqlite';
+
+const DB_NAME = 'carot.db';
+
+// ------------------------------
+// Schema migrations
+// Entry N upgrades the database from user_version N to N + 1.
+// Never edit a shipped entry — append a new one instead.
+// ------------------------------
+const MIGRATIONS = [
+  // v1: raw readings indexed by time + key/value metadata
+  `
+  CREATE TABLE IF NOT EXISTS readings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_timestamp INTEGER NOT NULL,
+    intensity REAL NOT NULL,
+    received_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_readings_received_at ON readings (received_at);
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY NOT NULL,
+    value TEXT
+  );
+  `,
+
+  // v2: reconstructed sample time (see lib/clockSync.js)
+  `
+  ALTER TABLE readings ADD COLUMN sampled_at INTEGER;
+  ALTER TABLE readings ADD COLUMN time_confidence TEXT;
+  UPDATE readings SET sampled_at = received_at, time_confidence = 'low' WHERE sampled_at IS NULL;
+  CREATE INDEX IF NOT EXISTS idx_readings_sampled_at ON readings (sampled_at);
+  `,
+
+  // v3: paired devices; readings, clock state and sync cursor tagged per device.
+  // Everything recorded so far came from the last connected necklace.
+  `
+  CREATE TABLE IF NOT EXISTS devices (
+    id TEXT PRIMARY KEY NOT NULL,
+    name TEXT,
+    nickname TEXT,
+    paired_at INTEGER NOT NULL,
+    last_seen_at INTEGER
+  );
+
+  ALTER TABLE readings ADD COLUMN device_id TEXT;
+  CREATE INDEX IF NOT EXISTS idx_readings_device_sampled_at ON readings (device_id, sampled_at);
+
+  INSERT OR IGNORE INTO devices (id, paired_at, last_seen_at)
+    SELECT json_extract(value, '$'), CAST(strftime('%s', 'now') AS INTEGER) * 1000, NULL
+    FROM meta WHERE key = 'lastDeviceId' AND json_extract(value, '$') IS NOT NULL;
+
+  UPDATE readings SET device_id = (
+    SELECT json_extract(value, '$') FROM meta WHERE key = 'lastDeviceId'
+  ) WHERE device_id IS NULL;
+
+  INSERT OR IGNORE INTO meta (key, value)
+    SELECT m.key || ':' || json_extract(d.value, '$'), m.value
+    FROM meta m, meta d
+    WHERE m.key IN ('clockSync', 'syncCursor') AND d.key = 'lastDeviceId'
+      AND json_extract(d.value, '$') IS NOT NULL;
+  DELETE FROM meta WHERE key IN ('clockSync', 'syncCursor')
+    AND EXISTS (SELECT 1 FROM meta WHERE key = 'lastDeviceId' AND json_extract(value, '$') IS NOT NULL);
+  `,
+
+  // v4: duplicate lookups by device counter (backup imports)
+  `
+  CREATE INDEX IF NOT EXISTS idx_readings_device_timestamp ON readings (device_timestamp);
+  `,
+
+  // v5: per-day / ISO-week / month aggregates (see lib/rollupStore.js)
+  `
+  CREATE TABLE IF NOT EXISTS rollups (
+    period TEXT NOT NULL,
+    period_key TEXT NOT NULL,
+    start INTEGER NOT NULL,
+    end INTEGER NOT NULL,
+    total REAL NOT NULL,
+    count INTEGER NOT NULL,
+    max REAL,
+    peak_at INTEGER,
+    hourly TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (period, period_key)
+  );
+  CREATE INDEX IF NOT EXISTS idx_rollups_period_start ON rollups (period, start);
+  `,
+
+  // v6: time-weighted dose in rollups (lib/exposure.js); hourly becomes dose
+  // per hour. Cleared so the startup backfill rebuilds every day.
+  `
+  ALTER TABLE rollups ADD COLUMN dose REAL NOT NULL DEFAULT 0;
+  ALTER TABLE rollups ADD COLUMN covered_ms INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE rollups ADD COLUMN above_ms INTEGER NOT NULL DEFAULT 0;
+  DELETE FROM rollups;
+  `,
+
+  // v7: history of threshold alerts (see lib/alertRules.js)
+  `
+  CREATE TABLE IF NOT EXISTS alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id TEXT NOT NULL,
+    fired_at INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    body TEXT NOT NULL,
+    value REAL,
+    dedupe_key TEXT,
+    notified INTEGER NOT NULL DEFAULT 0,
+    suppressed_reason TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_alerts_fired_at ON alerts (fired_at);
+  CREATE INDEX IF NOT EXISTS idx_alerts_rule_fired_at ON alerts (rule_id, fired_at);
+  `,
+
+  // v8: per-minute / per-hour aggregates of compacted raw readings (see
+  // lib/retention.js). device_id is '' for readings without one, so it can
+  // sit in the primary key.
+  `
+  CREATE TABLE IF NOT EXISTS reading_aggregates (
+    resolution TEXT NOT NULL,
+    device_id TEXT NOT NULL DEFAULT '',
+    bucket_start INTEGER NOT NULL,
+    count INTEGER NOT NULL,
+    sum REAL NOT NULL,
+    min REAL NOT NULL,
+    max REAL NOT NULL,
+    PRIMARY KEY (resolution, device_id, bucket_start)
+  );
+  CREATE INDEX IF NOT EXISTS idx_reading_aggregates_start ON reading_aggregates (bucket_start);
+  `,
+
+  // v9: lines that failed validation (see lib/readingValidation.js)
+  `
+  CREATE TABLE IF NOT EXISTS quarantine (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT,
+    received_at INTEGER NOT NULL,
+    line TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    detail TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_quarantine_received_at ON quarantine (received_at);
+  `,
+
+  // v10: bounded debug log for bug reports (see lib/diagnostics.js)
+  `
+  CREATE TABLE IF NOT EXISTS diagnostics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at INTEGER NOT NULL,
+    level TEXT NOT NULL,
+    category TEXT NOT NULL,
+    event TEXT NOT NULL,
+    message TEXT,
+    device_id TEXT,
+    duration_ms INTEGER,
+    detail TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_diagnostics_category ON diagnostics (category, id);
+  `,
+
+  // v11: the phone's UTC offset (minutes east) when each reading was stored,
+  // for local-time calendar bucketing (see lib/calendar.js). Existing rows get
+  // the offset this phone's zone had at their sample time.
+  `
+  ALTER TABLE readings ADD COLUMN utc_offset_min INTEGER;
+  UPDATE readings SET utc_offset_min = (
+    CAST(strftime('%s', sampled_at / 1000, 'unixepoch', 'localtime') AS INTEGER) - sampled_at / 1000
+  ) / 60 WHERE utc_offset_min IS NULL;
+  `,
+
+  // v12: per-device calibration curves (see lib/calibration.js); readings keep
+  // the raw intensity and gain the converted value and the profile used
+  `
+  CREATE TABLE IF NOT EXISTS calibration_profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    name TEXT,
+    unit TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    curve TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    retired_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_calibration_profiles_device ON calibration_profiles (device_id, retired_at);
+
+  ALTER TABLE readings ADD COLUMN calibrated REAL;
+  ALTER TABLE readings ADD COLUMN calibration_id INTEGER;
+  `,
+
+  // v13: user-logged activities on the timeline (see lib/annotationStore.js);
+  // end is NULL for an instant
+  `
+  CREATE TABLE IF NOT EXISTS annotations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    start INTEGER NOT NULL,
+    end INTEGER,
+    category TEXT NOT NULL,
+    note TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_annotations_start ON annotations (start);
+  `,
+];
+
+let dbPromise = null;
+
+async function migrate(db) {
+  const row = await db.getFirstAsync('PRAGMA user_version');
+  const current = row?.user_version ?? 0;
+
+  for (let version = current; version < MIGRATIONS.length; version++) {
+    await db.withTransactionAsync(async () => {
+      await db.execAsync(MIGRATIONS[version]);
+      await db.execAsync(`PRAGMA user_version = ${version + 1}`);
+    });
+    console.log(`[DB] Schema migrated to v${version + 1}`);
+  }
+}
+
+// ------------------------------
+// Shared connection (opened + migrated once)
+// ------------------------------
+export function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = (async () => {
+      const db = await SQLite.openDatabaseAsync(DB_NAME);
+      await db.execAsync('PRAGMA journal_mode = WAL;');
+      await migrate(db);
+      return db;
+    })();
+
+    // allow a later call to retry if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// ------------------------------
+// Meta helpers (small JSON values)
+// ------------------------------
+export async function getMeta(key, fallback = null) {
+  const db = await getDatabase();
+  const row = await db.getFirstAsync('SELECT value FROM meta WHERE key = ?', [key]);
+  if (!row || row.value == null) return fallback;
+  try {
+    return JSON.parse(row.value);
+  } catch {
+    return fallback;
+  }
+}
+
+export async function setMeta(key, value) {
+  const db = await getDatabase();
+  await db.runAsync(
+    'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+    [key, JSON.stringify(value)]
+  );
+}
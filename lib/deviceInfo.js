@@ -0,0 +1,212 @@
+// lib/deviceInfo.js
+//
+// Device management commands on top of the line protocol:
+//
+//   HELLO              → HELLO <model>
+//   INFO               → key=value lines, then END
+//                        fw, model, interval (s), led, log_used, log_capacity,
+//                        clock (device counter right now)
+//   BATT               → BATT <percent> <millivolts> [CHARGING]
+//   SET INTERVAL <s>   → OK INTERVAL <s>
+//   SET LED <mode>     → OK LED <mode>        mode: ON | OFF | AUTO
+//
+// Firmware older than INFO/BATT answers ERROR; those fields stay null and the
+// rest still works. Replies are parsed into one deviceInfo object:
+//
+//   { deviceId, model, firmware, sampleIntervalS, led,
+//     log: { used, capacity, fraction } | null,
+//     clock: { counter, readAt } | null,
+//     battery: { percent, millivolts, charging, readAt } | null,
+//     supports: { info, battery }, warnings: [{ code, message }], updatedAt }
+
+import { COMMAND_ERROR } from './commandQueue';
+import { EXPOSURE_MAX_GAP_MS } from './exposure';
+
+export const LED_MODE = { ON: 'on', OFF: 'off', AUTO: 'auto' };
+
+// Firmware accepts 1 s – 1 h between samples, but exposure treats samples
+// further apart than EXPOSURE_MAX_GAP_MS as a gap: a slower interval would
+// record nothing but gaps, so the app stops at that limit
+export const SAMPLE_INTERVAL_RANGE = { min: 1, max: EXPOSURE_MAX_GAP_MS / 1000 };
+
+export const DEVICE_WARNING = {
+  LOG_NEARLY_FULL: 'log_nearly_full',
+  LOG_FULL: 'log_full',
+  BATTERY_LOW: 'battery_low',
+  BATTERY_CRITICAL: 'battery_critical',
+  INTERVAL_TOO_LONG: 'interval_too_long',
+};
+
+const LOG_NEARLY_FULL_FRACTION = 0.85;
+const BATTERY_LOW_PERCENT = 20;
+const BATTERY_CRITICAL_PERCENT = 10;
+
+function commandFailed(message) {
+  const err = new Error(message);
+  err.code = COMMAND_ERROR.DEVICE_ERROR;
+  return err;
+}
+
+// Unknown commands on older firmware come back as a device ERROR
+function isUnsupported(err) {
+  return err?.code === COMMAND_ERROR.DEVICE_ERROR;
+}
+
+function toInt(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.round(n) : null;
+}
+
+// ------------------------------
+// Reply parsers
+// ------------------------------
+export function parseHello(line) {
+  const match = /^HELLO\s+(.+)$/i.exec(line?.trim() ?? '');
+  return match ? { model: match[1].trim() } : null;
+}
+
+export function parseInfo(lines, readAt = Date.now()) {
+  const fields = {};
+  for (const line of lines) {
+    const idx = line.indexOf('=');
+    if (idx > 0) fields[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+  }
+
+  const used = toInt(fields.log_used);
+  const capacity = toInt(fields.log_capacity);
+  const counter = toInt(fields.clock);
+  const led = fields.led?.toLowerCase();
+
+  return {
+    firmware: fields.fw ?? null,
+    model: fields.model ?? null,
+    sampleIntervalS: toInt(fields.interval),
+    led: Object.values(LED_MODE).includes(led) ? led : null,
+    log: used !== null && capacity ? { used, capacity, fraction: used / capacity } : null,
+    clock: counter !== null ? { counter, readAt } : null,
+  };
+}
+
+export function parseBattery(line, readAt = Date.now()) {
+  const match = /^BATT\s+(\d+(?:\.\d+)?)(?:\s+(\d+))?(\s+CHARGING)?\s*$/i.exec(line?.trim() ?? '');
+  if (!match) return null;
+  return {
+    percent: Math.min(100, Number(match[1])),
+    millivolts: match[2] ? Number(match[2]) : null,
+    charging: !!match[3],
+    readAt,
+  };
+}
+
+// ------------------------------
+// Warnings
+// ------------------------------
+export function deviceWarnings(info) {
+  const warnings = [];
+
+  if (info.log) {
+    const percent = Math.round(info.log.fraction * 100);
+    if (info.log.used >= info.log.capacity) {
+      warnings.push({
+        code: DEVICE_WARNING.LOG_FULL,
+        message: 'The necklace log is full — new samples are being dropped until it syncs.',
+      });
+    } else if (info.log.fraction >= LOG_NEARLY_FULL_FRACTION) {
+      warnings.push({
+        code: DEVICE_WARNING.LOG_NEARLY_FULL,
+        message: `The necklace log is ${percent}% full — sync soon to avoid losing samples.`,
+      });
+    }
+  }
+
+  // set by an older app or another tool
+  if (info.sampleIntervalS > SAMPLE_INTERVAL_RANGE.max) {
+    warnings.push({
+      code: DEVICE_WARNING.INTERVAL_TOO_LONG,
+      message:
+        `The necklace samples every ${info.sampleIntervalS} s — exposure needs a sample at least ` +
+        `every ${SAMPLE_INTERVAL_RANGE.max} s, so nothing is being measured. Lower the interval.`,
+    });
+  }
+
+  if (info.battery && !info.battery.charging) {
+    const { percent } = info.battery;
+    if (percent <= BATTERY_CRITICAL_PERCENT) {
+      warnings.push({
+        code: DEVICE_WARNING.BATTERY_CRITICAL,
+        message: `Battery at ${percent}% — charge the necklace now.`,
+      });
+    } else if (percent <= BATTERY_LOW_PERCENT) {
+      warnings.push({
+        code: DEVICE_WARNING.BATTERY_LOW,
+        message: `Battery at ${percent}% — charge the necklace soon.`,
+      });
+    }
+  }
+
+  return warnings;
+}
+
+// ------------------------------
+// Queries — sendCommand(cmd) → Promise<lines> (lib/commandQueue.js)
+// ------------------------------
+export async function queryDeviceInfo(sendCommand, deviceId, previous = null) {
+  const info = {
+    deviceId,
+    model: previous?.model ?? null,
+    firmware: null,
+    sampleIntervalS: null,
+    led: null,
+    log: null,
+    clock: null,
+    battery: null,
+    supports: { info: true, battery: true },
+  };
+
+  try {
+    const parsed = parseInfo(await sendCommand('INFO'));
+    Object.assign(info, parsed, { model: parsed.model ?? info.model });
+  } catch (err) {
+    if (!isUnsupported(err)) throw err;
+    info.supports.info = false;
+  }
+
+  try {
+    const [line] = await sendCommand('BATT');
+    info.battery = parseBattery(line);
+  } catch (err) {
+    if (!isUnsupported(err)) throw err;
+    info.supports.battery = false;
+  }
+
+  info.warnings = deviceWarnings(info);
+  info.updatedAt = Date.now();
+  return info;
+}
+
+// Resolves with the interval the device confirmed
+export async function setSampleInterval(sendCommand, seconds) {
+  const value = Math.round(Number(seconds));
+  if (!(value >= SAMPLE_INTERVAL_RANGE.min && value <= SAMPLE_INTERVAL_RANGE.max)) {
+    throw new Error(
+      `Sampling interval must be ${SAMPLE_INTERVAL_RANGE.min}–${SAMPLE_INTERVAL_RANGE.max} s`
+    );
+  }
+
+  const [reply = ''] = await sendCommand(`SET INTERVAL ${value}`);
+  const match = /^OK\s+INTERVAL\s+(\d+)/i.exec(reply);
+  if (!match) throw commandFailed(`Unexpected reply to SET INTERVAL: ${reply}`);
+  return Number(match[1]);
+}
+
+// Resolves with the mode the device confirmed
+export async function setLedMode(sendCommand, mode) {
+  if (!Object.values(LED_MODE).includes(mode)) {
+    throw new Error(`LED mode must be one of ${Object.values(LED_MODE).join(', ')}`);
+  }
+
+  const [reply = ''] = await sendCommand(`SET LED ${mode.toUpperCase()}`);
+  const match = /^OK\s+LED\s+(\w+)/i.exec(reply);
+  if (!match) throw commandFailed(`Unexpected reply to SET LED: ${reply}`);
+  return match[1].toLowerCase();
+}
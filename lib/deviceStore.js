@@ -0,0 +1,58 @@
+// lib/deviceStore.js
+//
+// Paired necklaces. Readings keep their device_id after a device is
+// forgotten, so history stays intact if it is paired again later.
+
+import { getDatabase } from './db';
+
+function rowToDevice(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    nickname: row.nickname,
+    pairedAt: row.paired_at,
+    lastSeenAt: row.last_seen_at,
+  };
+}
+
+// Per-device meta keys (clock state, sync cursor, ...)
+export function deviceMetaKey(base, deviceId) {
+  return `${base}:${deviceId}`;
+}
+
+export async function listDevices() {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync('SELECT * FROM devices ORDER BY paired_at ASC');
+  return rows.map(rowToDevice);
+}
+
+// Pair (or re-pair) a device; keeps an existing nickname unless a new one is given
+export async function pairDevice({ id, name = null }, nickname = null) {
+  const db = await getDatabase();
+  await db.runAsync(
+    `INSERT INTO devices (id, name, nickname, paired_at, last_seen_at) VALUES (?, ?, ?, ?, NULL)
+     ON CONFLICT(id) DO UPDATE SET
+       name = COALESCE(excluded.name, devices.name),
+       nickname = COALESCE(excluded.nickname, devices.nickname)`,
+    [id, name, nickname?.trim() || null, Date.now()]
+  );
+}
+
+export async function renameDevice(id, nickname) {
+  const db = await getDatabase();
+  await db.runAsync('UPDATE devices SET nickname = ? WHERE id = ?', [nickname?.trim() || null, id]);
+}
+
+export async function forgetDevice(id) {
+  const db = await getDatabase();
+  await db.runAsync('DELETE FROM devices WHERE id = ?', [id]);
+}
+
+// Called on every successful connection
+export async function touchDevice(id, name) {
+  const db = await getDatabase();
+  await db.runAsync(
+    'UPDATE devices SET last_seen_at = ?, name = COALESCE(?, name) WHERE id = ?',
+    [Date.now(), name ?? null, id]
+  );
+}
@@ -0,0 +1,222 @@
+// lib/diagnostics.js
+//
+// Bounded debug log for bug reports ("it stopped syncing"): scan / connect /
+// disconnect events, commands with their latency, parse errors, WebView
+// errors and, only while capture is switched on, raw notification chunks.
+//
+// logDiagnostic() never throws and never waits: entries are buffered and
+// written in one transaction every few seconds. The table keeps the newest
+// MAX_DIAGNOSTIC_ROWS; exports go through the same share sheet as readings.
+
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system/legacy';
+import { format as formatDate } from 'date-fns';
+
+import { getDatabase, getMeta, setMeta } from './db';
+
+const DIAGNOSTICS_SETTINGS_KEY = 'diagnosticsSettings';
+
+export const DIAG_CATEGORY = {
+  BLE: 'ble',           // scan, connect, disconnect, reconnect
+  COMMAND: 'command',   // one entry per command, with latency
+  STATUS: 'status',     // unsolicited device lines and app status notes
+  RAW: 'raw',           // notification chunks as received (opt-in)
+  PARSE: 'parse',       // reading lines that failed validation
+  WEBVIEW: 'webview',   // dashboard errors
+};
+
+export const DIAG_LEVEL = { INFO: 'info', WARN: 'warn', ERROR: 'error' };
+
+export const DEFAULT_DIAGNOSTICS_SETTINGS = { captureRaw: false };
+
+// Raw capture fills this quickly; everything else takes days
+const MAX_DIAGNOSTIC_ROWS = 5000;
+
+const FLUSH_DELAY_MS = 2000;
+const FLUSH_BATCH_SIZE = 200;
+const INSERT_CHUNK_SIZE = 100;
+
+// Long payloads (a whole GET dump in one chunk) are cut to this
+const MAX_MESSAGE_LENGTH = 1000;
+
+function rowToEntry(row) {
+  let detail = null;
+  try {
+    detail = row.detail ? JSON.parse(row.detail) : null;
+  } catch {
+    detail = row.detail;
+  }
+
+  return {
+    id: row.id,
+    at: row.at,
+    level: row.level,
+    category: row.category,
+    event: row.event,
+    message: row.message,
+    deviceId: row.device_id,
+    durationMs: row.duration_ms,
+    detail,
+  };
+}
+
+function truncate(text) {
+  if (text == null) return null;
+  const value = String(text);
+  return value.length > MAX_MESSAGE_LENGTH ? `${value.slice(0, MAX_MESSAGE_LENGTH)}…` : value;
+}
+
+// ------------------------------
+// Settings — captureRaw is read on every chunk, so it is also kept here
+// ------------------------------
+let settings = { ...DEFAULT_DIAGNOSTICS_SETTINGS };
+
+export async function loadDiagnosticsSettings() {
+  const saved = await getMeta(DIAGNOSTICS_SETTINGS_KEY, {});
+  settings = { captureRaw: saved?.captureRaw === true };
+  return settings;
+}
+
+export async function updateDiagnosticsSettings(changes) {
+  const next = { ...settings };
+  if (typeof changes?.captureRaw === 'boolean') next.captureRaw = changes.captureRaw;
+
+  await setMeta(DIAGNOSTICS_SETTINGS_KEY, next);
+  settings = next;
+  return settings;
+}
+
+// ------------------------------
+// Buffered writes
+// ------------------------------
+let buffer = [];
+let flushTimer = null;
+let pending = Promise.resolve();
+const listeners = new Set();
+
+// listener({ updatedAt }) after each write; returns an unsubscribe function
+export function subscribeDiagnostics(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+async function writeEntries(entries) {
+  const db = await getDatabase();
+  await db.withTransactionAsync(async () => {
+    for (let i = 0; i < entries.length; i += INSERT_CHUNK_SIZE) {
+      const chunk = entries.slice(i, i + INSERT_CHUNK_SIZE);
+      await db.runAsync(
+        `INSERT INTO diagnostics (at, level, category, event, message, device_id, duration_ms, detail)
+         VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+        chunk.flatMap((e) => [e.at, e.level, e.category, e.event, e.message, e.deviceId, e.durationMs, e.detail])
+      );
+    }
+    await db.runAsync(
+      'DELETE FROM diagnostics WHERE id <= (SELECT MAX(id) FROM diagnostics) - ?',
+      [MAX_DIAGNOSTIC_ROWS]
+    );
+  });
+}
+
+// Write everything buffered so far; resolves once it is stored
+export function flushDiagnostics() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  const entries = buffer;
+  buffer = [];
+  if (!entries.length) return pending;
+
+  pending = pending
+    .then(() => writeEntries(entries))
+    .then(() => {
+      const updatedAt = Date.now();
+      listeners.forEach((listener) => listener({ updatedAt }));
+    })
+    .catch((err) => console.warn('[ERROR] Failed to write diagnostics:', err));
+  return pending;
+}
+
+export function logDiagnostic(category, event, {
+  level = DIAG_LEVEL.INFO,
+  message = null,
+  deviceId = null,
+  durationMs = null,
+  detail = null,
+} = {}) {
+  let serialized = null;
+  try {
+    serialized = detail == null ? null : truncate(JSON.stringify(detail));
+  } catch {
+    serialized = truncate(detail);
+  }
+
+  buffer.push({
+    at: Date.now(),
+    level,
+    category,
+    event,
+    message: truncate(message),
+    deviceId,
+    durationMs: Number.isFinite(durationMs) ? Math.round(durationMs) : null,
+    detail: serialized,
+  });
+
+  if (buffer.length >= FLUSH_BATCH_SIZE) flushDiagnostics();
+  else if (!flushTimer) flushTimer = setTimeout(flushDiagnostics, FLUSH_DELAY_MS);
+}
+
+// Notification payloads exactly as they arrived, before line splitting
+export function logRawChunk(deviceId, text) {
+  if (!settings.captureRaw) return;
+  logDiagnostic(DIAG_CATEGORY.RAW, 'rx', { message: JSON.stringify(text), deviceId });
+}
+
+// ------------------------------
+// Queries
+// ------------------------------
+// Newest first; category null = all
+export async function getDiagnostics({ limit = 200, category = null } = {}) {
+  await flushDiagnostics();
+  const db = await getDatabase();
+  const rows = category
+    ? await db.getAllAsync(
+        'SELECT * FROM diagnostics WHERE category = ? ORDER BY id DESC LIMIT ?',
+        [category, limit]
+      )
+    : await db.getAllAsync('SELECT * FROM diagnostics ORDER BY id DESC LIMIT ?', [limit]);
+  return rows.map(rowToEntry);
+}
+
+export async function clearDiagnostics() {
+  await flushDiagnostics();
+  const db = await getDatabase();
+  await db.runAsync('DELETE FROM diagnostics');
+}
+
+// ------------------------------
+// Export — whole log, oldest first, plus a snapshot of app state. Shared as
+// a file (shareExportFile), never as message text: it runs to megabytes.
+// ------------------------------
+export async function writeDiagnosticsFile(context = {}) {
+  await flushDiagnostics();
+  const db = await getDatabase();
+  const entries = (await db.getAllAsync('SELECT * FROM diagnostics ORDER BY id')).map(rowToEntry);
+
+  const contents = JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      platform: { os: Platform.OS, version: Platform.Version },
+      settings,
+      context,
+      count: entries.length,
+      entries: entries.map(({ id, ...entry }) => ({ ...entry, atIso: new Date(entry.at).toISOString() })),
+    },
+    null,
+    2
+  );
+
+  const uri = FileSystem.cacheDirectory + `carot-diagnostics-${formatDate(new Date(), 'yyyyMMdd-HHmmss')}.json`;
+  await FileSystem.writeAsStringAsync(uri, contents, { encoding: FileSystem.EncodingType.UTF8 });
+  return { uri, count: entries.length };
+}
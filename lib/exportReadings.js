@@ -0,0 +1,151 @@
+// lib/exportReadings.js
+//
+// Raw readings → CSV / JSON file in the cache directory → system share sheet.
+// Both units go out: `intensity` is always the raw count, `calibrated` the
+// value in `calibration_unit` when the necklace had a profile (lib/calibration.js).
+// Logged activities (lib/annotationStore.js) go out in full in JSON; CSV
+// names the categories of the spans each reading falls in (`activity`).
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import { format as formatDate } from 'date-fns';
+
+export const EXPORT_FORMAT = {
+  CSV: 'csv',
+  JSON: 'json',
+};
+
+// iOS uniform type identifiers and Android MIME types for the share sheet
+const UTIS = {
+  [EXPORT_FORMAT.CSV]: 'public.comma-separated-values-text',
+  [EXPORT_FORMAT.JSON]: 'public.json',
+};
+const MIME_TYPES = {
+  [EXPORT_FORMAT.CSV]: 'text/csv',
+  [EXPORT_FORMAT.JSON]: 'application/json',
+};
+
+const CSV_COLUMNS = [
+  'device_id',
+  'device_timestamp',
+  'received_at',
+  'received_at_iso',
+  'sampled_at',
+  'sampled_at_iso',
+  'time_confidence',
+  'intensity',
+  'utc_offset_min',
+  'calibrated',
+  'calibration_unit',
+  'activity',
+];
+
+const isoOrEmpty = (ms) => (Number.isFinite(ms) ? new Date(ms).toISOString() : '');
+
+// Quote only when needed (device ids and nicknames may contain commas)
+function csvField(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Categories of the spans covering `ms`, ';'-separated
+function activitiesAt(annotations, ms) {
+  const categories = annotations
+    .filter((a) => a.end != null && a.start <= ms && ms < a.end)
+    .map((a) => a.category);
+  return [...new Set(categories)].join(';');
+}
+
+export function readingsToCsv(readings, annotations = []) {
+  const rows = readings.map((r) =>
+    [
+      r.deviceId,
+      r.deviceTimestamp,
+      r.receivedAt,
+      isoOrEmpty(r.receivedAt),
+      r.sampledAt,
+      isoOrEmpty(r.sampledAt),
+      r.timeConfidence,
+      r.intensity,
+      r.utcOffsetMin,
+      r.calibrated,
+      r.calibrationUnit,
+      activitiesAt(annotations, r.sampledAt),
+    ]
+      .map(csvField)
+      .join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+export function readingsToJson(readings, { start, end, deviceId = null, annotations = [] }) {
+  return JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      range: { start: isoOrEmpty(start), end: isoOrEmpty(end) },
+      deviceId,
+      count: readings.length,
+      readings: readings.map((r) => ({
+        deviceId: r.deviceId,
+        deviceTimestamp: r.deviceTimestamp,
+        receivedAt: r.receivedAt,
+        sampledAt: r.sampledAt,
+        timeConfidence: r.timeConfidence,
+        intensity: r.intensity,
+        utcOffsetMin: r.utcOffsetMin ?? null,
+        calibrated: r.calibrated ?? null,
+        calibrationUnit: r.calibrationUnit ?? null,
+      })),
+      annotations: annotations.map((a) => ({
+        start: a.start,
+        end: a.end,
+        category: a.category,
+        note: a.note,
+      })),
+    },
+    null,
+    2
+  );
+}
+
+// e.g. carot-20250301-20250307.csv ([start, end) → inclusive last day)
+function exportFileName(start, end, fileFormat) {
+  const first = formatDate(new Date(start), 'yyyyMMdd');
+  const last = formatDate(new Date(Math.max(start, end - 1)), 'yyyyMMdd');
+  return `carot-${first === last ? first : `${first}-${last}`}.${fileFormat}`;
+}
+
+// ------------------------------
+// Write + share
+// ------------------------------
+export async function writeExportFile(
+  readings,
+  { format: fileFormat, start, end, deviceId = null, annotations = [] }
+) {
+  if (!UTIS[fileFormat]) throw new Error(`Unknown export format: ${fileFormat}`);
+
+  const contents =
+    fileFormat === EXPORT_FORMAT.CSV
+      ? readingsToCsv(readings, annotations)
+      : readingsToJson(readings, { start, end, deviceId, annotations });
+
+  const uri = FileSystem.cacheDirectory + exportFileName(start, end, fileFormat);
+  await FileSystem.writeAsStringAsync(uri, contents, { encoding: FileSystem.EncodingType.UTF8 });
+  return { uri };
+}
+
+// Shares the file itself (never its contents as text — multi-MB exports
+// don't fit through Android's share intent). Resolves false when the
+// platform has no share sheet; the file stays at `uri` either way.
+export async function shareExportFile({ uri }, fileFormat) {
+  if (!(await Sharing.isAvailableAsync())) return false;
+
+  const title = uri.split('/').pop();
+  await Sharing.shareAsync(uri, {
+    mimeType: MIME_TYPES[fileFormat],
+    UTI: UTIS[fileFormat],
+    dialogTitle: `Share ${title}`,
+  });
+  return true;
+}
@@ -0,0 +1,127 @@
+// lib/exposure.js
+//
+// Time-weighted exposure. Intensity is integrated over real elapsed time
+// between consecutive samples (trapezoids), so the dose doesn't depend on the
+// sample rate or how often GET runs. Samples further apart than maxGapMs are
+// not bridged: the necklace was off, out of range or not worn.
+//
+//   dose        BLU·h (intensity × hours)
+//   coveredMs   time spanned by bridged samples ("worn time")
+//   avgIntensity  dose / covered hours — comparable across days
+//
+// Readings from different necklaces are integrated separately and summed.
+// Hours are wall-clock hours of the calendar (lib/calendar.js), so a 25-hour
+// DST day puts two real hours into the repeated one.
+
+import { getCalendar } from './calendar';
+
+export const EXPOSURE_MAX_GAP_MS = 5 * 60 * 1000;
+export const HIGH_INTENSITY_THRESHOLD = 70;
+
+// Wall-clock hour windows [from, to); night wraps past midnight
+export const DAY_WINDOWS = {
+  night: [22, 6],
+  morning: [6, 12],
+  daytime: [12, 17],
+  evening: [17, 22],
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function windowHours([from, to]) {
+  const hours = [];
+  for (let h = from; h !== to; h = (h + 1) % 24) hours.push(h);
+  return hours;
+}
+
+// Time within [a, b] where a straight line from va to vb is above threshold
+function timeAbove(a, b, va, vb, threshold) {
+  if (va > threshold && vb > threshold) return b - a;
+  if (va <= threshold && vb <= threshold) return 0;
+  const crossing = a + ((threshold - va) / (vb - va)) * (b - a);
+  return va > threshold ? crossing - a : b - crossing;
+}
+
+// → { dose, coveredMs, avgIntensity, aboveThresholdMs, gaps, count,
+//     maxIntensity, peakTime, hourly: { dose[24], coveredMs[24] },
+//     windows: { night|morning|daytime|evening: { dose, coveredMs } } }
+export function computeExposure(
+  readings,
+  { maxGapMs = EXPOSURE_MAX_GAP_MS, threshold = HIGH_INTENSITY_THRESHOLD, calendar = getCalendar() } = {}
+) {
+  const hourlyDose = new Array(24).fill(0);
+  const hourlyCovered = new Array(24).fill(0);
+  let aboveThresholdMs = 0;
+  let gaps = 0;
+  let maxIntensity = null;
+  let peakTime = null;
+  let sum = 0;
+
+  const byDevice = new Map();
+  for (const r of readings) {
+    sum += r.intensity;
+    if (maxIntensity === null || r.intensity > maxIntensity) {
+      maxIntensity = r.intensity;
+      peakTime = r.sampledAt;
+    }
+    if (!byDevice.has(r.deviceId)) byDevice.set(r.deviceId, []);
+    byDevice.get(r.deviceId).push(r);
+  }
+
+  for (const deviceReadings of byDevice.values()) {
+    const sorted = [...deviceReadings].sort((a, b) => a.sampledAt - b.sampledAt);
+
+    for (let i = 1; i < sorted.length; i++) {
+      const t0 = sorted[i - 1].sampledAt;
+      const t1 = sorted[i].sampledAt;
+      if (t1 <= t0) continue;
+      if (t1 - t0 > maxGapMs) {
+        gaps++;
+        continue;
+      }
+
+      const v0 = sorted[i - 1].intensity;
+      const slope = (sorted[i].intensity - v0) / (t1 - t0);
+      const offset = sorted[i - 1].utcOffsetMin;
+
+      // split at wall-clock hour boundaries so hourly/window totals are exact
+      for (let a = t0; a < t1; ) {
+        const b = Math.min(calendar.nextHourBoundary(a, offset), t1);
+        const va = v0 + slope * (a - t0);
+        const vb = v0 + slope * (b - t0);
+        const hour = calendar.hourOf(a, offset);
+
+        hourlyDose[hour] += ((va + vb) / 2) * ((b - a) / HOUR_MS);
+        hourlyCovered[hour] += b - a;
+        aboveThresholdMs += timeAbove(a, b, va, vb, threshold);
+        a = b;
+      }
+    }
+  }
+
+  const dose = hourlyDose.reduce((a, b) => a + b, 0);
+  const coveredMs = hourlyCovered.reduce((a, b) => a + b, 0);
+
+  const windows = {};
+  for (const [name, range] of Object.entries(DAY_WINDOWS)) {
+    const hours = windowHours(range);
+    windows[name] = {
+      dose: hours.reduce((acc, h) => acc + hourlyDose[h], 0),
+      coveredMs: hours.reduce((acc, h) => acc + hourlyCovered[h], 0),
+    };
+  }
+
+  return {
+    dose,
+    coveredMs,
+    // a lone sample has no duration; fall back to the plain mean
+    avgIntensity: coveredMs ? dose / (coveredMs / HOUR_MS) : readings.length ? sum / readings.length : 0,
+    aboveThresholdMs,
+    gaps,
+    count: readings.length,
+    maxIntensity,
+    peakTime,
+    hourly: { dose: hourlyDose, coveredMs: hourlyCovered },
+    windows,
+  };
+}
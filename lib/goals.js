@@ -0,0 +1,221 @@
+// lib/goals.js
+//
+// Daily exposure goals over a wall-clock hour window [from, to) of the day:
+//   atLeast   dose in the window ≥ target ("60 BLU·h of light before 10 AM")
+//   atMost    dose in the window ≤ target ("under 20 BLU·h after 9 PM")
+//
+// A day's status per goal:
+//   met       atLeast reached, or an atMost window ended within its limit
+//   missed    atMost went over, or an atLeast window ended short
+//   pending   today, window still open and nothing decided yet
+//   none      no readings that day — not judged; before today it ends a streak
+//
+// Today is worked out from its readings (so progress moves with every
+// batch); earlier days from their day rollups' hourly dose. Nothing is
+// stored: imports, deletes and calendar rebuilds change the rollups, and the
+// history follows. Past days are judged against the current targets.
+//
+// Only `enabled` and param values are user-editable; they're stored as
+// overrides on top of DEFAULT_GOALS, like the insight rules.
+
+import { CALENDAR_PERIOD, getCalendar } from './calendar';
+import { getMeta, setMeta } from './db';
+import { computeExposure } from './exposure';
+
+const GOAL_OVERRIDES_KEY = 'goals';
+
+export const GOAL_KIND = { AT_LEAST: 'atLeast', AT_MOST: 'atMost' };
+export const GOAL_STATUS = { MET: 'met', MISSED: 'missed', PENDING: 'pending', NONE: 'none' };
+
+// Longest streak counted (the hook fetches this many day rollups)
+export const GOAL_HISTORY_DAYS = 365;
+
+// Days shown in the goal calendar, today included
+export const GOAL_CALENDAR_DAYS = 35;
+
+export const DEFAULT_GOALS = [
+  {
+    id: 'morning-light',
+    title: 'Morning Light',
+    kind: GOAL_KIND.AT_LEAST,
+    params: {
+      target: { label: 'At least', value: 60, min: 1, max: 10000, unit: 'BLU·h' },
+      from: { label: 'From (hour)', value: 6, min: 0, max: 23 },
+      to: { label: 'Before (hour)', value: 10, min: 1, max: 24 },
+    },
+  },
+  {
+    id: 'evening-limit',
+    title: 'Evening Limit',
+    kind: GOAL_KIND.AT_MOST,
+    params: {
+      target: { label: 'At most', value: 20, min: 0, max: 10000, unit: 'BLU·h' },
+      from: { label: 'From (hour)', value: 21, min: 0, max: 23 },
+      to: { label: 'Until (hour)', value: 24, min: 1, max: 24 },
+    },
+  },
+];
+
+// ------------------------------
+// Persistence — { [goalId]: { enabled, params: { name: value } } }
+// ------------------------------
+function clamp(value, { min = -Infinity, max = Infinity }) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function applyOverrides(overrides) {
+  return DEFAULT_GOALS.map((goal) => {
+    const override = overrides[goal.id] ?? {};
+    const params = {};
+    for (const [name, spec] of Object.entries(goal.params)) {
+      const value = Number(override.params?.[name]);
+      params[name] = { ...spec, value: Number.isFinite(value) ? clamp(value, spec) : spec.value };
+    }
+    return { ...goal, enabled: override.enabled ?? true, params };
+  });
+}
+
+export async function loadGoals() {
+  return applyOverrides(await getMeta(GOAL_OVERRIDES_KEY, {}));
+}
+
+// changes: { enabled?, params?: { name: value } }; the window can't end
+// before it starts (goals don't run past midnight)
+export async function updateGoal(id, changes) {
+  if (!DEFAULT_GOALS.some((goal) => goal.id === id)) {
+    throw new Error(`Unknown goal: ${id}`);
+  }
+
+  const overrides = await getMeta(GOAL_OVERRIDES_KEY, {});
+  const current = overrides[id] ?? {};
+  const next = {
+    ...overrides,
+    [id]: {
+      ...current,
+      ...(changes.enabled !== undefined && { enabled: !!changes.enabled }),
+      params: { ...current.params, ...changes.params },
+    },
+  };
+
+  const goals = applyOverrides(next);
+  const { from, to } = goals.find((goal) => goal.id === id).params;
+  if (from.value >= to.value) throw new Error('A goal window must end after it starts');
+
+  await setMeta(GOAL_OVERRIDES_KEY, next);
+  return goals;
+}
+
+export async function resetGoals() {
+  await setMeta(GOAL_OVERRIDES_KEY, {});
+  return applyOverrides({});
+}
+
+// What the settings editor needs
+export function describeGoals(goals) {
+  return goals.map(({ id, title, kind, enabled, params }) => ({
+    id,
+    title,
+    kind,
+    enabled,
+    params: Object.fromEntries(
+      Object.entries(params).map(([name, { label, value, min, max, unit }]) => [
+        name,
+        { label, value, min: min ?? null, max: max ?? null, unit: unit ?? null },
+      ])
+    ),
+  }));
+}
+
+// ------------------------------
+// Evaluation
+// ------------------------------
+function windowDose(hourly, { from, to }) {
+  let dose = 0;
+  for (let h = from.value; h < to.value; h++) dose += hourly[h] ?? 0;
+  return dose;
+}
+
+// hour: the current wall-clock hour for today, null for a finished day
+function goalStatus(goal, value, hour) {
+  const target = goal.params.target.value;
+  const ended = hour === null || hour >= goal.params.to.value;
+
+  if (goal.kind === GOAL_KIND.AT_LEAST) {
+    if (value >= target) return GOAL_STATUS.MET;
+    return ended ? GOAL_STATUS.MISSED : GOAL_STATUS.PENDING;
+  }
+  if (value > target) return GOAL_STATUS.MISSED;
+  return ended ? GOAL_STATUS.MET : GOAL_STATUS.PENDING;
+}
+
+// All goals met → met; any missed → missed; otherwise still pending
+function combineStatus(statuses) {
+  if (!statuses.length || statuses.includes(GOAL_STATUS.NONE)) return GOAL_STATUS.NONE;
+  if (statuses.includes(GOAL_STATUS.MISSED)) return GOAL_STATUS.MISSED;
+  if (statuses.includes(GOAL_STATUS.PENDING)) return GOAL_STATUS.PENDING;
+  return GOAL_STATUS.MET;
+}
+
+// Met days in a row, newest first; today only counts once it's met, and
+// breaks the streak only once it's missed
+function streakOf(statuses) {
+  let streak = 0;
+  for (const [i, status] of statuses.entries()) {
+    if (status === GOAL_STATUS.MET) streak++;
+    else if (i > 0 || status === GOAL_STATUS.MISSED) break;
+  }
+  return streak;
+}
+
+// readings: recent readings from every necklace (today's are picked out)
+// pastDays: day rollups before today, any order
+// → { goals: [{ id, title, kind, from, to, target, value, progress, status, streak }],
+//     status, streak, days: [{ key, start, status }] (oldest first) }
+//   progress: value / target — for an atMost goal, the share of the limit used
+export function buildGoalProgress({ goals, readings, pastDays, now = Date.now(), calendar = getCalendar() }) {
+  const active = goals.filter((goal) => goal.enabled);
+  const today = calendar.period(CALENDAR_PERIOD.DAY, now);
+  const todayReadings = readings.filter((r) => calendar.contains(today, r) && r.sampledAt <= now);
+  const byKey = new Map(pastDays.map((day) => [day.key, day]));
+
+  // newest first: today, then GOAL_HISTORY_DAYS earlier days
+  const days = [];
+  for (let i = 0; i <= GOAL_HISTORY_DAYS; i++) {
+    const day = i ? calendar.period(CALENDAR_PERIOD.DAY, calendar.dayStart(now, -i)) : today;
+    const summary = i
+      ? byKey.get(day.key)
+      : { count: todayReadings.length, hourly: computeExposure(todayReadings, { calendar }).hourly.dose };
+    const hour = i ? null : calendar.hourOf(now);
+
+    const values = active.map((goal) => (summary?.count ? windowDose(summary.hourly, goal.params) : null));
+    const statuses = active.map((goal, g) =>
+      values[g] === null ? GOAL_STATUS.NONE : goalStatus(goal, values[g], hour)
+    );
+    days.push({ key: day.key, start: day.start, values, statuses, status: combineStatus(statuses) });
+  }
+
+  return {
+    goals: active.map((goal, g) => {
+      const value = days[0].values[g] ?? 0;
+      const target = goal.params.target.value;
+      return {
+        id: goal.id,
+        title: goal.title,
+        kind: goal.kind,
+        from: goal.params.from.value,
+        to: goal.params.to.value,
+        target,
+        value,
+        progress: target > 0 ? value / target : value > 0 ? 1 : 0,
+        status: days[0].statuses[g],
+        streak: streakOf(days.map((day) => day.statuses[g])),
+      };
+    }),
+    status: days[0].status,
+    streak: streakOf(days.map((day) => day.status)),
+    days: days
+      .slice(0, GOAL_CALENDAR_DAYS)
+      .reverse()
+      .map(({ key, start, status }) => ({ key, start, status })),
+  };
+}
@@ -0,0 +1,213 @@
+// lib/importReadings.js
+//
+// Backup files → readings, classified against the store before anything is
+// written. Accepts:
+//   • our own exports (CSV or JSON, see lib/exportReadings.js)
+//   • a raw sensor_data.json in either legacy shape (bare array or { readings })
+// Calibrated values in a backup are ignored; the store converts imported
+// readings with this phone's profiles (lib/calibration.js).
+
+import { TIME_CONFIDENCE } from './clockSync';
+import { getStoredSamples, getRawRetainedFrom } from './readingStore';
+import { createSampleIndex } from './readingValidation';
+
+export const IMPORT_FORMAT = {
+  EXPORT_JSON: 'export-json',
+  LEGACY_JSON: 'legacy-json',
+  CSV: 'csv',
+};
+
+const CONFIDENCE_VALUES = Object.values(TIME_CONFIDENCE);
+
+// '' and null are missing, not zero
+function toNumber(value) {
+  if (value == null || value === '') return NaN;
+  return Number(value);
+}
+
+function normalizeReading(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const deviceTimestamp = toNumber(raw.deviceTimestamp);
+  const intensity = toNumber(raw.intensity);
+  const receivedAt = toNumber(raw.receivedAt);
+  const sampledAt = raw.sampledAt == null || raw.sampledAt === '' ? receivedAt : toNumber(raw.sampledAt);
+  const utcOffsetMin = toNumber(raw.utcOffsetMin);
+
+  if (![deviceTimestamp, intensity, receivedAt, sampledAt].every(Number.isFinite)) return null;
+
+  return {
+    deviceId: raw.deviceId || null,
+    deviceTimestamp,
+    intensity,
+    receivedAt,
+    sampledAt,
+    timeConfidence: CONFIDENCE_VALUES.includes(raw.timeConfidence)
+      ? raw.timeConfidence
+      : TIME_CONFIDENCE.LOW,
+    // older backups have none; the store fills in this phone's offset
+    utcOffsetMin: Number.isInteger(utcOffsetMin) ? utcOffsetMin : null,
+  };
+}
+
+// ------------------------------
+// CSV (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+// ------------------------------
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+const CSV_FIELDS = {
+  device_id: 'deviceId',
+  device_timestamp: 'deviceTimestamp',
+  received_at: 'receivedAt',
+  sampled_at: 'sampledAt',
+  time_confidence: 'timeConfidence',
+  intensity: 'intensity',
+  utc_offset_min: 'utcOffsetMin',
+};
+
+function csvToRecords(text) {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = header.map((name) => CSV_FIELDS[name.trim().toLowerCase()]);
+  if (!columns.includes('deviceTimestamp') || !columns.includes('intensity')) {
+    throw new Error('CSV needs device_timestamp and intensity columns');
+  }
+
+  return rows.map((fields) => {
+    const record = {};
+    columns.forEach((key, i) => {
+      if (key) record[key] = fields[i]?.trim();
+    });
+    return record;
+  });
+}
+
+// ------------------------------
+// Parse any supported backup → { format, records }
+// ------------------------------
+export function parseBackup(text) {
+  const body = text.replace(/^\uFEFF/, '').trim();
+  if (!body) throw new Error('File is empty');
+
+  if (body[0] === '[' || body[0] === '{') {
+    let saved;
+    try {
+      saved = JSON.parse(body);
+    } catch (err) {
+      throw new Error(`Not valid JSON: ${err.message}`);
+    }
+
+    if (Array.isArray(saved)) return { format: IMPORT_FORMAT.LEGACY_JSON, records: saved };
+    if (Array.isArray(saved?.readings)) {
+      return {
+        format: saved.exportedAt ? IMPORT_FORMAT.EXPORT_JSON : IMPORT_FORMAT.LEGACY_JSON,
+        records: saved.readings,
+      };
+    }
+    throw new Error('JSON file has no readings');
+  }
+
+  return { format: IMPORT_FORMAT.CSV, records: csvToRecords(body) };
+}
+
+// ------------------------------
+// Classify against the store (and the file itself)
+// Resolves with { format, total, fresh, duplicates, beforeRetention,
+// retainedFrom, invalid, range, deviceIds } where `fresh` are the readings to
+// insert. Readings from days already compacted (lib/retention.js) are skipped
+// and counted as `beforeRetention`: those days keep only aggregates and final
+// rollups, with no raw rows to tell a new reading from one already folded
+// in, and compacting them again would count the old ones twice.
+// ------------------------------
+export async function planImport(text) {
+  const { format, records } = parseBackup(text);
+
+  const valid = [];
+  let invalid = 0;
+  for (const record of records) {
+    const reading = normalizeReading(record);
+    if (reading) valid.push(reading);
+    else invalid++;
+  }
+
+  // stored rows and rows accepted so far (see lib/readingValidation.js)
+  const known = createSampleIndex();
+  (await getStoredSamples(valid.map((r) => r.deviceTimestamp))).forEach(known.remember);
+  const retainedFrom = await getRawRetainedFrom();
+
+  const fresh = [];
+  let duplicates = 0;
+  let beforeRetention = 0;
+  for (const reading of valid) {
+    if (reading.sampledAt < retainedFrom) {
+      beforeRetention++;
+      continue;
+    }
+    // repeated rows within the file count as duplicates too
+    if (known.has(reading)) {
+      duplicates++;
+      continue;
+    }
+    fresh.push(reading);
+    known.remember(reading);
+  }
+
+  // reduce, not Math.min(...): backups can exceed the argument limit
+  const range = fresh.reduce(
+    (acc, r) => ({
+      start: Math.min(acc?.start ?? r.sampledAt, r.sampledAt),
+      end: Math.max(acc?.end ?? r.sampledAt, r.sampledAt),
+    }),
+    null
+  );
+
+  return {
+    format,
+    total: records.length,
+    fresh,
+    duplicates,
+    beforeRetention,
+    retainedFrom,
+    invalid,
+    range,
+    deviceIds: [...new Set(fresh.map((r) => r.deviceId))],
+  };
+}
@@ -0,0 +1,361 @@
+// lib/insightRules.js
+//
+// Declarative insight rules, evaluated against today's stats, recent
+// readings and day rollups. A rule fires when all of its conditions hold;
+// every firing rule is listed, highest priority first. Rules marked
+// `fallback` only show when nothing else does.
+//
+// Conditions (values may be { param: 'name' } to read an editable param):
+//   { type: 'timeWindow', from, to }            calendar hour in [from, to), wraps midnight
+//   { type: 'threshold', metric, op, value }    context metric compared to value
+//   { type: 'duration', above, minutes }        time above `above` today ≥ minutes
+//   { type: 'trend', metric: 'dose', days, op, percent }
+//       today's dose so far vs the same time of day averaged over the last
+//       `days` rollup days (the current hour prorated); needs
+//       MIN_BASELINE_DAYS of history. Rollups cover every necklace, so
+//       today's side does too, whatever the device filter.
+//
+// Messages fill {name} from the rule's params, the context metrics and
+// values the conditions computed (aboveMinutes, changePercent).
+//
+// Only `enabled` and param values are user-editable; they're stored as
+// overrides on top of DEFAULT_RULES so new rules and wording ship normally.
+
+import { CALENDAR_PERIOD, getCalendar } from './calendar';
+import { getMeta, setMeta } from './db';
+import { computeExposure, DAY_WINDOWS } from './exposure';
+
+const RULE_OVERRIDES_KEY = 'insightRules';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_BASELINE_DAYS = 3;
+
+// Longest trend baseline any rule may ask for (the hook fetches this many days)
+export const INSIGHT_BASELINE_DAYS = 28;
+
+export const DEFAULT_RULES = [
+  {
+    id: 'night-screen',
+    title: 'Reduce Blue Light at Night',
+    message: "You've taken in {lateDose} BLU·h since {lateSince}. Reduce screen exposure to improve sleep quality.",
+    priority: 100,
+    cooldownMinutes: 60,
+    params: {
+      from: { label: 'Night starts at (hour)', value: 22, min: 18, max: 23 },
+      to: { label: 'Night ends at (hour)', value: 6, min: 3, max: 10 },
+    },
+    when: [
+      { type: 'timeWindow', from: { param: 'from' }, to: { param: 'to' } },
+      { type: 'threshold', metric: 'latestIntensity', op: '>=', value: 0 },
+    ],
+  },
+  {
+    id: 'sustained-high',
+    title: 'High Exposure Today',
+    message: "You've spent {aboveMinutes} min above {threshold} BLU today. Consider taking short breaks.",
+    priority: 80,
+    cooldownMinutes: 60,
+    params: {
+      threshold: { label: 'Intensity above', value: 70, min: 1, max: 1000, unit: 'BLU' },
+      minutes: { label: 'For at least', value: 30, min: 1, max: 600, unit: 'min' },
+    },
+    when: [{ type: 'duration', above: { param: 'threshold' }, minutes: { param: 'minutes' } }],
+  },
+  {
+    id: 'afternoon-high',
+    title: 'High Afternoon Exposure',
+    message: 'Blue light is at {latestIntensity} BLU this afternoon. Consider taking short breaks.',
+    priority: 70,
+    cooldownMinutes: 30,
+    params: {
+      from: { label: 'From (hour)', value: 14, min: 0, max: 23 },
+      to: { label: 'Until (hour)', value: 17, min: 1, max: 24 },
+      threshold: { label: 'Intensity above', value: 70, min: 1, max: 1000, unit: 'BLU' },
+    },
+    when: [
+      { type: 'timeWindow', from: { param: 'from' }, to: { param: 'to' } },
+      { type: 'threshold', metric: 'latestIntensity', op: '>', value: { param: 'threshold' } },
+    ],
+  },
+  {
+    id: 'low-morning',
+    title: 'Low Morning Light',
+    message: 'Your morning average is {morningAvg} BLU. Natural morning light helps regulate circadian rhythm.',
+    priority: 60,
+    cooldownMinutes: 60,
+    params: {
+      minimum: { label: 'Morning average below', value: 20, min: 1, max: 1000, unit: 'BLU' },
+    },
+    when: [
+      { type: 'timeWindow', from: 6, to: 12 },
+      { type: 'threshold', metric: 'morningAvg', op: '<', value: { param: 'minimum' } },
+    ],
+  },
+  {
+    id: 'above-usual',
+    title: 'More Exposure Than Usual',
+    message: 'Your exposure so far is {changePercent}% above your {days}-day average for this time of day.',
+    priority: 50,
+    cooldownMinutes: 120,
+    params: {
+      percent: { label: 'More than', value: 30, min: 5, max: 500, unit: '%' },
+      days: { label: 'Compared with the last', value: 7, min: MIN_BASELINE_DAYS, max: INSIGHT_BASELINE_DAYS, unit: 'days' },
+    },
+    when: [
+      { type: 'trend', metric: 'dose', days: { param: 'days' }, op: '>', percent: { param: 'percent' } },
+    ],
+  },
+  {
+    id: 'eye-strain',
+    title: 'Eye Strain Relief',
+    message: 'Follow 20-20-20 rule. Adjust your screen settings to minimize glare',
+    priority: 0,
+    cooldownMinutes: 0,
+    fallback: true,
+    params: {},
+    // any reading today
+    when: [{ type: 'threshold', metric: 'latestIntensity', op: '>=', value: 0 }],
+  },
+];
+
+// ------------------------------
+// Persistence — { [ruleId]: { enabled, params: { name: value } } }
+// ------------------------------
+function clamp(value, { min = -Infinity, max = Infinity }) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function applyOverrides(overrides) {
+  return DEFAULT_RULES.map((rule) => {
+    const override = overrides[rule.id] ?? {};
+    const params = {};
+    for (const [name, spec] of Object.entries(rule.params)) {
+      const value = Number(override.params?.[name]);
+      params[name] = { ...spec, value: Number.isFinite(value) ? clamp(value, spec) : spec.value };
+    }
+    return { ...rule, enabled: override.enabled ?? true, params };
+  });
+}
+
+export async function loadInsightRules() {
+  return applyOverrides(await getMeta(RULE_OVERRIDES_KEY, {}));
+}
+
+// changes: { enabled?, params?: { name: value } }
+export async function updateInsightRule(id, changes) {
+  if (!DEFAULT_RULES.some((rule) => rule.id === id)) {
+    throw new Error(`Unknown insight rule: ${id}`);
+  }
+
+  const overrides = await getMeta(RULE_OVERRIDES_KEY, {});
+  const current = overrides[id] ?? {};
+  overrides[id] = {
+    ...current,
+    ...(changes.enabled !== undefined && { enabled: !!changes.enabled }),
+    params: { ...current.params, ...changes.params },
+  };
+
+  await setMeta(RULE_OVERRIDES_KEY, overrides);
+  return applyOverrides(overrides);
+}
+
+export async function resetInsightRules() {
+  await setMeta(RULE_OVERRIDES_KEY, {});
+  return applyOverrides({});
+}
+
+// What the settings screen needs: no conditions, just editable values
+export function describeRules(rules) {
+  return rules.map(({ id, title, priority, enabled, params }) => ({
+    id,
+    title,
+    priority,
+    enabled,
+    params: Object.fromEntries(
+      Object.entries(params).map(([name, { label, value, min, max, unit }]) => [
+        name,
+        { label, value, min: min ?? null, max: max ?? null, unit: unit ?? null },
+      ])
+    ),
+  }));
+}
+
+// ------------------------------
+// Context
+// ------------------------------
+function hourLabel(hour) {
+  return `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+// readings: the visible (device-filtered) recent readings
+// allReadings: the same from every necklace, for comparisons with rollups
+// baselineDays: day rollups before today, oldest first
+export function buildInsightContext({
+  now = Date.now(),
+  stats,
+  readings,
+  allReadings = readings,
+  baselineDays,
+  calendar = getCalendar(),
+}) {
+  const today = calendar.period(CALENDAR_PERIOD.DAY, now);
+  const isToday = (r) => calendar.contains(today, r) && r.sampledAt <= now;
+  const todayReadings = readings.filter(isToday);
+
+  const windows = stats.exposureByWindow ?? {};
+  const windowDose = (name) => windows[name]?.dose ?? 0;
+  const windowAvg = (name) =>
+    windows[name]?.coveredMs ? windows[name].dose / (windows[name].coveredMs / HOUR_MS) : null;
+
+  const hour = calendar.hourOf(now);
+
+  return {
+    now,
+    hour,
+    // share of the current hour gone by
+    hourFraction: 1 - (calendar.nextHourBoundary(now) - now) / HOUR_MS,
+    todayReadings,
+    // raw counts like the rollups, even when stats show calibrated units
+    allDevicesDose: computeExposure(allReadings.filter(isToday), { calendar }).dose,
+    baselineDays: baselineDays ?? [],
+    metrics: {
+      latestIntensity: stats.numberReadings ? stats.latestIntensity : null,
+      dose: stats.totalExposure ?? 0,
+      avgIntensity: stats.numberReadings ? stats.avgIntensity : null,
+      maxIntensity: stats.numberReadings ? stats.maxIntensity : null,
+      wornMinutes: (stats.wornMs ?? 0) / 60000,
+      morningDose: windowDose('morning'),
+      daytimeDose: windowDose('daytime'),
+      eveningDose: windowDose('evening'),
+      nightDose: windowDose('night'),
+      // today's evening and night: after midnight that's only the night so far
+      lateDose: windowDose('evening') + windowDose('night'),
+      lateSince: hour >= DAY_WINDOWS.evening[0] ? hourLabel(DAY_WINDOWS.evening[0]) : 'midnight',
+      morningAvg: windowAvg('morning'),
+    },
+  };
+}
+
+// ------------------------------
+// Evaluation
+// ------------------------------
+const COMPARE = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+};
+
+function resolve(value, params) {
+  return value && typeof value === 'object' && 'param' in value ? params[value.param]?.value : value;
+}
+
+// Each returns computed values when the condition holds, null otherwise
+const CONDITIONS = {
+  timeWindow({ from, to }, ctx) {
+    const inside = from <= to ? ctx.hour >= from && ctx.hour < to : ctx.hour >= from || ctx.hour < to;
+    return inside ? {} : null;
+  },
+
+  threshold({ metric, op, value }, ctx) {
+    const actual = ctx.metrics[metric];
+    return actual != null && COMPARE[op]?.(actual, value) ? {} : null;
+  },
+
+  duration({ above, minutes }, ctx) {
+    const { aboveThresholdMs } = computeExposure(ctx.todayReadings, { threshold: above });
+    return aboveThresholdMs >= minutes * 60000
+      ? { aboveMinutes: Math.round(aboveThresholdMs / 60000) }
+      : null;
+  },
+
+  trend({ metric, days, op, percent }, ctx) {
+    if (metric !== 'dose') return null;
+
+    // same time of day, so a partial today compares fairly: whole hours
+    // before this one, plus the part of this one gone by
+    const history = ctx.baselineDays.slice(-days).filter((d) => d.coveredMs > 0);
+    if (history.length < MIN_BASELINE_DAYS) return null;
+
+    const soFar = (day) =>
+      day.hourly.slice(0, ctx.hour).reduce((a, b) => a + b, 0) + day.hourly[ctx.hour] * ctx.hourFraction;
+    const baseline = history.reduce((acc, day) => acc + soFar(day), 0) / history.length;
+    if (baseline <= 0) return null;
+
+    const change = ((ctx.allDevicesDose - baseline) / baseline) * 100;
+    const target = op === '<' || op === '<=' ? -percent : percent;
+    return COMPARE[op]?.(change, target) ? { changePercent: Math.round(Math.abs(change)) } : null;
+  },
+};
+
+function formatValue(value) {
+  if (typeof value !== 'number') return value;
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+function fillMessage(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    values[name] == null ? match : formatValue(values[name])
+  );
+}
+
+function matchRule(rule, ctx) {
+  const params = rule.params;
+  const computed = {};
+
+  for (const condition of rule.when) {
+    const evaluate = CONDITIONS[condition.type];
+    if (!evaluate) return null;
+
+    const resolved = Object.fromEntries(
+      Object.entries(condition).map(([key, value]) => [key, resolve(value, params)])
+    );
+    const result = evaluate(resolved, ctx);
+    if (!result) return null;
+    Object.assign(computed, result);
+  }
+
+  const paramValues = Object.fromEntries(Object.entries(params).map(([name, p]) => [name, p.value]));
+  return fillMessage(rule.message, { ...ctx.metrics, ...paramValues, ...computed });
+}
+
+// state: { [ruleId]: { shownAt, hiddenAt } } carried between evaluations.
+// Cooldown keeps a shown insight up for at least cooldownMinutes, and keeps
+// a hidden one from coming back until cooldownMinutes have passed, so a
+// value hovering around a threshold doesn't make the tip flash every poll.
+// → { insights: [{ id, title, message, priority, since }], state }
+export function evaluateRules(rules, ctx, state = {}) {
+  const next = {};
+  const shown = [];
+  const fallbacks = [];
+
+  for (const rule of [...rules].sort((a, b) => b.priority - a.priority)) {
+    if (!rule.enabled) continue;
+
+    const previous = state[rule.id] ?? {};
+    const cooldownMs = (rule.cooldownMinutes ?? 0) * 60000;
+    const message = matchRule(rule, ctx);
+    const wasShown = previous.shownAt != null && previous.hiddenAt == null;
+
+    let visible;
+    if (wasShown) {
+      visible = message != null || ctx.now - previous.shownAt < cooldownMs;
+    } else {
+      visible = message != null && (previous.hiddenAt == null || ctx.now - previous.hiddenAt >= cooldownMs);
+    }
+
+    if (!visible) {
+      next[rule.id] = wasShown ? { ...previous, hiddenAt: ctx.now } : previous;
+      continue;
+    }
+
+    const since = wasShown ? previous.shownAt : ctx.now;
+    next[rule.id] = { shownAt: since, hiddenAt: null, message: message ?? previous.message };
+
+    const insight = { id: rule.id, title: rule.title, message: next[rule.id].message, priority: rule.priority, since };
+    if (rule.fallback) fallbacks.push(insight);
+    else shown.push(insight);
+  }
+
+  return { insights: shown.length ? shown : fallbacks, state: next };
+}
@@ -0,0 +1,54 @@
+// lib/notifications.js
+//
+// Local notifications (expo-notifications). Nothing here talks to a push
+// service; alerts are raised on the device as readings arrive.
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+
+const ANDROID_CHANNEL_ID = 'exposure-alerts';
+
+// Show alerts even while the app is in the foreground
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+let channelReady = null;
+function ensureChannel() {
+  if (Platform.OS !== 'android') return Promise.resolve();
+  if (!channelReady) {
+    channelReady = Notifications.setNotificationChannelAsync(ANDROID_CHANNEL_ID, {
+      name: 'Exposure alerts',
+      importance: Notifications.AndroidImportance.DEFAULT,
+    });
+    channelReady.catch(() => {
+      channelReady = null;
+    });
+  }
+  return channelReady;
+}
+
+// Resolves true when notifications may be shown; asks at most once per install
+export async function ensureNotificationPermission() {
+  await ensureChannel();
+
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  if (!current.canAskAgain) return false;
+
+  const requested = await Notifications.requestPermissionsAsync();
+  return requested.granted;
+}
+
+export async function presentNotification({ title, body, data = {} }) {
+  await ensureChannel();
+  await Notifications.scheduleNotificationAsync({
+    content: { title, body, data },
+    trigger: Platform.OS === 'android' ? { channelId: ANDROID_CHANNEL_ID } : null,
+  });
+}
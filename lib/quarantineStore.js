@@ -0,0 +1,95 @@
+// lib/quarantineStore.js
+//
+// Lines rejected by validation (lib/readingValidation.js), kept with their
+// reason so a misbehaving necklace can be diagnosed, plus running totals of
+// accepted / duplicate / rejected readings since the last clear.
+
+import { getDatabase, getMeta, setMeta } from './db';
+
+const VALIDATION_COUNTS_KEY = 'validationCounts';
+
+// Oldest entries beyond this are dropped on insert
+const MAX_QUARANTINE_ROWS = 1000;
+
+const INSERT_CHUNK_SIZE = 150;
+
+function emptyCounts() {
+  return { accepted: 0, duplicates: 0, rejected: 0, byReason: {}, since: Date.now() };
+}
+
+function rowToEntry(row) {
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    receivedAt: row.received_at,
+    line: row.line,
+    reason: row.reason,
+    detail: row.detail,
+  };
+}
+
+// Inside a caller's transaction — a sync commits its rejected lines together
+// with its readings (lib/readingStore.js → commitSyncBatch)
+export async function insertQuarantineRows(db, entries, { deviceId = null, receivedAt = Date.now() } = {}) {
+  if (!entries.length) return;
+
+  for (let i = 0; i < entries.length; i += INSERT_CHUNK_SIZE) {
+    const chunk = entries.slice(i, i + INSERT_CHUNK_SIZE);
+    await db.runAsync(
+      `INSERT INTO quarantine (device_id, received_at, line, reason, detail)
+       VALUES ${chunk.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+      chunk.flatMap((e) => [deviceId, receivedAt, e.line, e.reason, e.detail ?? null])
+    );
+  }
+  await db.runAsync(
+    'DELETE FROM quarantine WHERE id <= (SELECT MAX(id) FROM quarantine) - ?',
+    [MAX_QUARANTINE_ROWS]
+  );
+}
+
+// entries: [{ line, reason, detail }] from one batch
+export async function quarantineLines(entries, options = {}) {
+  if (!entries.length) return;
+
+  const db = await getDatabase();
+  await db.withTransactionAsync(() => insertQuarantineRows(db, entries, options));
+}
+
+// Newest first
+export async function getQuarantine(limit = 50) {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync('SELECT * FROM quarantine ORDER BY id DESC LIMIT ?', [limit]);
+  return rows.map(rowToEntry);
+}
+
+export async function getValidationCounts() {
+  return { ...emptyCounts(), ...(await getMeta(VALIDATION_COUNTS_KEY, null)) };
+}
+
+// Flushes and syncs can finish together; read-modify-write one at a time
+let pending = Promise.resolve();
+
+// Add one batch's outcome; resolves with the new totals
+export function countValidation({ accepted = 0, duplicates = 0, rejected = [] }) {
+  const run = pending.then(async () => {
+    const counts = await getValidationCounts();
+    counts.accepted += accepted;
+    counts.duplicates += duplicates;
+    counts.rejected += rejected.length;
+    counts.byReason = { ...counts.byReason };
+    for (const { reason } of rejected) counts.byReason[reason] = (counts.byReason[reason] ?? 0) + 1;
+
+    await setMeta(VALIDATION_COUNTS_KEY, counts);
+    return counts;
+  });
+  pending = run.catch(() => {});
+  return run;
+}
+
+export async function clearQuarantine() {
+  const db = await getDatabase();
+  await db.runAsync('DELETE FROM quarantine');
+  const counts = emptyCounts();
+  await setMeta(VALIDATION_COUNTS_KEY, counts);
+  return counts;
+}
@@ -0,0 +1,329 @@
+// lib/rangeStats.js
+//
+// Aggregates for an arbitrary range, grouped by hour, day or week, plus a
+// comparison against an earlier equivalent range:
+//   previous  the range just before — the previous week or month when the
+//             range is one, otherwise as many days (or ms) earlier
+//   weekday   the same days of the week, averaged over the last
+//             WEEKDAY_COMPARE_WEEKS weeks ("this Tuesday vs. the average
+//             Tuesday"); ranges of up to a week
+// A range that runs past now is compared with the same elapsed time of the
+// earlier ones, so a Wednesday isn't measured against a whole week.
+//
+//   stats: { dose, avg, max, peakAt, aboveMs, coveredMs, count }
+//          dose in BLU·h, avg = dose / covered hours (lib/exposure.js)
+//
+// Whole days without a device filter come from the day rollups
+// (lib/rollupStore.js); partial days, hours and single necklaces are worked
+// out from raw readings, so they can't reach into compacted days.
+//
+// Activities: exposure during each category of logged span
+// (lib/annotationStore.js), from the raw readings inside them. Overlapping
+// spans count once per category; a reading may count for two categories.
+
+import { getAnnotationsInRange } from './annotationStore';
+import { CALENDAR_PERIOD, getCalendar } from './calendar';
+import { getReadingsInRange, getRawRetainedFrom } from './readingStore';
+import { combineRollups, getRollups, summarizeReadings } from './rollupStore';
+
+export const RANGE_GROUP = { HOUR: 'hour', DAY: 'day', WEEK: 'week' };
+export const RANGE_COMPARE = { PREVIOUS: 'previous', WEEKDAY: 'weekday', NONE: 'none' };
+
+export const WEEKDAY_COMPARE_WEEKS = 4;
+
+// Hourly groups come from raw readings; keep them to about a month
+const MAX_HOUR_GROUPS = 31 * 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Compared metrics; the rest of stats is context
+const DELTA_METRICS = ['dose', 'avg', 'max', 'aboveMs'];
+
+function toStats({ dose, coveredMs, aboveMs, count, max, peakAt }) {
+  return {
+    dose,
+    avg: coveredMs ? dose / (coveredMs / HOUR_MS) : 0,
+    max,
+    peakAt,
+    aboveMs,
+    coveredMs,
+    count,
+  };
+}
+
+// '2025-03-07T14' for a wall-clock instant
+function hourKey(wall) {
+  return new Date(wall).toISOString().slice(0, 13);
+}
+
+// ------------------------------
+// Range → [start, end) in ms. Either instants or day keys ('2025-03-07'),
+// `to` inclusive, resolved on the calendar.
+// ------------------------------
+function resolveRange({ start, end, from, to }, calendar) {
+  if (from != null) {
+    const last = to ?? from;
+    if (!DAY_KEY.test(from) || !DAY_KEY.test(last)) throw new Error('Range days must look like 2025-03-07');
+    start = calendar.dayOfKey(from).start;
+    end = calendar.dayOfKey(last).end;
+  }
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+    throw new Error('Range needs a start before its end');
+  }
+  return { start, end };
+}
+
+// ------------------------------
+// Grouping
+// ------------------------------
+
+// Empty groups for the whole range, so series have no holes
+function emptyGroups(groupBy, start, end, calendar) {
+  const groups = new Map();
+  if (groupBy === RANGE_GROUP.HOUR) {
+    for (let t = start; t < end; t = calendar.nextHourBoundary(t)) {
+      groups.set(hourKey(calendar.wallTime(t)), { start: t, end: Math.min(calendar.nextHourBoundary(t), end), parts: [] });
+    }
+  } else {
+    for (const p of calendar.periodsBetween(groupBy, start, end)) {
+      groups.set(p.key, { start: Math.max(p.start, start), end: Math.min(p.end, end), parts: [] });
+    }
+  }
+  return groups;
+}
+
+function groupKey(groupBy, r, calendar) {
+  return groupBy === RANGE_GROUP.HOUR
+    ? hourKey(calendar.readingWallTime(r))
+    : calendar.period(groupBy, r.sampledAt, r.utcOffsetMin).key;
+}
+
+function listGroups(groups) {
+  return [...groups.entries()]
+    .map(([key, { start, end, parts }]) => ({ key, start, end, ...toStats(combineRollups(parts)) }))
+    .sort((a, b) => a.start - b.start);
+}
+
+// Whole days from rollups, the partial days at either end from raw readings
+async function summarizeFromRollups(start, end, groupBy, calendar) {
+  const groups = emptyGroups(groupBy, start, end, calendar);
+  const rollups = new Map((await getRollups(CALENDAR_PERIOD.DAY, start, end)).map((r) => [r.key, r]));
+  const days = [];
+
+  for (const day of calendar.periodsBetween(CALENDAR_PERIOD.DAY, start, end)) {
+    const whole = day.start >= start && day.end <= end;
+    const summary = whole
+      ? rollups.get(day.key)
+      : summarizeReadings(await getReadingsInRange(Math.max(day.start, start), Math.min(day.end, end)), calendar);
+    if (!summary) continue;
+
+    days.push(summary);
+    const key = groupBy === RANGE_GROUP.DAY ? day.key : calendar.parentOf(groupBy, day).key;
+    groups.get(key)?.parts.push(summary);
+  }
+
+  return { summary: combineRollups(days), groups: listGroups(groups) };
+}
+
+async function summarizeFromReadings(start, end, groupBy, deviceId, calendar) {
+  const groups = emptyGroups(groupBy, start, end, calendar);
+  const readings = await getReadingsInRange(start, end, deviceId);
+
+  const byKey = new Map();
+  for (const r of readings) {
+    const key = groupKey(groupBy, r, calendar);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(r);
+  }
+  // in local mode a reading may fall on a day the range doesn't list
+  for (const [key, list] of byKey) {
+    if (!groups.has(key)) {
+      groups.set(key, { start: list[0].sampledAt, end: list[list.length - 1].sampledAt + 1, parts: [] });
+    }
+    groups.get(key).parts.push(summarizeReadings(list, calendar));
+  }
+
+  return { summary: summarizeReadings(readings, calendar), groups: listGroups(groups) };
+}
+
+async function summarizeRange(start, end, { groupBy = RANGE_GROUP.DAY, deviceId = null, calendar }) {
+  const fromRollups = !deviceId && groupBy !== RANGE_GROUP.HOUR;
+  const result = fromRollups
+    ? await summarizeFromRollups(start, end, groupBy, calendar)
+    : await summarizeFromReadings(start, end, groupBy, deviceId, calendar);
+
+  // raw readings before this were compacted; only rollups still cover them
+  const retainedFrom = await getRawRetainedFrom();
+  return {
+    summary: toStats(result.summary),
+    groups: result.groups,
+    partial: start < retainedFrom && (!fromRollups || calendar.dayStart(start) !== start),
+  };
+}
+
+// ------------------------------
+// Activities
+// ------------------------------
+
+// Spans → sorted, overlapping ones joined
+function mergeSpans(spans) {
+  const merged = [];
+  for (const [a, b] of [...spans].sort((x, y) => x[0] - y[0])) {
+    const last = merged[merged.length - 1];
+    if (last && a <= last[1]) last[1] = Math.max(last[1], b);
+    else merged.push([a, b]);
+  }
+  return merged;
+}
+
+async function activityBreakdown(start, end, deviceId, calendar) {
+  const byCategory = new Map();
+  for (const a of await getAnnotationsInRange(start, end)) {
+    if (a.end == null) continue;
+    const entry = byCategory.get(a.category) ?? { spans: [], annotations: 0 };
+    entry.spans.push([Math.max(a.start, start), Math.min(a.end, end)]);
+    entry.annotations++;
+    byCategory.set(a.category, entry);
+  }
+
+  const activities = [];
+  for (const [category, { spans, annotations }] of byCategory) {
+    const merged = mergeSpans(spans);
+    const parts = [];
+    for (const [a, b] of merged) parts.push(summarizeReadings(await getReadingsInRange(a, b, deviceId), calendar));
+
+    activities.push({
+      category,
+      annotations,
+      durationMs: merged.reduce((acc, [a, b]) => acc + (b - a), 0),
+      ...toStats(combineRollups(parts)),
+    });
+  }
+  return activities.sort((a, b) => b.dose - a.dose);
+}
+
+// ------------------------------
+// Comparison ranges
+// ------------------------------
+
+// ms moved by whole calendar days, keeping its time of day
+function shiftDays(ms, days, calendar) {
+  return calendar.dayStart(ms, days) + (ms - calendar.dayStart(ms));
+}
+
+function previousRanges(start, end, calendar) {
+  for (const period of [CALENDAR_PERIOD.WEEK, CALENDAR_PERIOD.MONTH]) {
+    const p = calendar.period(period, start);
+    if (p.start === start && p.end === end) {
+      const previous = calendar.period(period, start - 1);
+      return [{ start: previous.start, end: previous.end }];
+    }
+  }
+
+  if (calendar.dayStart(start) === start && calendar.dayStart(end) === end) {
+    const days = calendar.periodsBetween(CALENDAR_PERIOD.DAY, start, end).length;
+    return [{ start: calendar.dayStart(start, -days), end: start }];
+  }
+  return [{ start: start - (end - start), end: start }];
+}
+
+function weekdayRanges(start, end, calendar) {
+  if (end - start > WEEK_MS + HOUR_MS) throw new Error('Weekday comparison needs a range of a week or less');
+  return Array.from({ length: WEEKDAY_COMPARE_WEEKS }, (_, i) => ({
+    start: shiftDays(start, -7 * (i + 1), calendar),
+    end: shiftDays(end, -7 * (i + 1), calendar),
+  }));
+}
+
+// Mean of the ranges that have data; null when none do
+function averageStats(list) {
+  const withData = list.filter((s) => s.count > 0);
+  if (!withData.length) return null;
+
+  const mean = (key) => withData.reduce((acc, s) => acc + (s[key] ?? 0), 0) / withData.length;
+  const dose = mean('dose');
+  const coveredMs = mean('coveredMs');
+  return {
+    dose,
+    avg: coveredMs ? dose / (coveredMs / HOUR_MS) : 0,
+    max: mean('max'),
+    peakAt: withData.length === 1 ? withData[0].peakAt : null,
+    aboveMs: mean('aboveMs'),
+    coveredMs,
+    count: mean('count'),
+  };
+}
+
+// { metric: { change, ratio } }; ratio null against a zero baseline
+function statsDelta(current, baseline) {
+  const delta = {};
+  for (const metric of DELTA_METRICS) {
+    const change = (current[metric] ?? 0) - (baseline[metric] ?? 0);
+    delta[metric] = { change, ratio: baseline[metric] ? change / baseline[metric] : null };
+  }
+  return delta;
+}
+
+async function compareRange(start, end, { compare, deviceId, calendar, now }) {
+  const ranges = (compare === RANGE_COMPARE.WEEKDAY ? weekdayRanges : previousRanges)(start, end, calendar)
+    .map((range) =>
+      end > now ? { start: range.start, end: Math.min(range.end, range.start + Math.max(0, now - start)) } : range
+    );
+
+  const summaries = [];
+  for (const range of ranges) {
+    if (range.end <= range.start) continue;
+    summaries.push((await summarizeRange(range.start, range.end, { deviceId, calendar })).summary);
+  }
+  return { ranges, occurrences: summaries.filter((s) => s.count > 0).length, summary: averageStats(summaries) };
+}
+
+// ------------------------------
+// Query
+//   { start, end } in ms or { from, to } day keys; groupBy: RANGE_GROUP;
+//   compare: RANGE_COMPARE
+// → { start, end, groupBy, deviceId, summary, groups: [{ key, start, end, ...stats }],
+//     activities: [{ category, annotations, durationMs, ...stats }] (highest dose first),
+//     partial, comparison: { mode, ranges, occurrences, summary, delta } | null }
+// partial: part of the range is compacted and missing from these figures.
+// ------------------------------
+export async function getRangeStats({
+  start,
+  end,
+  from,
+  to,
+  groupBy = RANGE_GROUP.DAY,
+  deviceId = null,
+  compare = RANGE_COMPARE.PREVIOUS,
+} = {}) {
+  if (!Object.values(RANGE_GROUP).includes(groupBy)) {
+    throw new Error(`Group by must be one of ${Object.values(RANGE_GROUP).join(', ')}`);
+  }
+  if (!Object.values(RANGE_COMPARE).includes(compare)) {
+    throw new Error(`Compare must be one of ${Object.values(RANGE_COMPARE).join(', ')}`);
+  }
+
+  const calendar = getCalendar();
+  const range = resolveRange({ start, end, from, to }, calendar);
+  if (groupBy === RANGE_GROUP.HOUR && range.end - range.start > MAX_HOUR_GROUPS * HOUR_MS) {
+    throw new Error('Hourly groups need a range of 31 days or less');
+  }
+
+  const current = await summarizeRange(range.start, range.end, { groupBy, deviceId, calendar });
+  const activities = await activityBreakdown(range.start, range.end, deviceId, calendar);
+
+  let comparison = null;
+  if (compare !== RANGE_COMPARE.NONE) {
+    const baseline = await compareRange(range.start, range.end, { compare, deviceId, calendar, now: Date.now() });
+    comparison = {
+      mode: compare,
+      ...baseline,
+      delta: baseline.summary ? statsDelta(current.summary, baseline.summary) : null,
+    };
+  }
+
+  return { ...range, groupBy, deviceId, ...current, activities, comparison };
+}
@@ -0,0 +1,347 @@
+// lib/readingStore.js
+import * as FileSystem from 'expo-file-system/legacy';
+import { getDatabase, getMeta, setMeta } from './db';
+import { TIME_CONFIDENCE } from './clockSync';
+import { MAX_UTC_OFFSET_MS, zoneOffsetMinutes } from './calendar';
+import { calibrateReading, calibrationUnit } from './calibration';
+import { insertQuarantineRows } from './quarantineStore';
+
+// Pre-SQLite storage (whole log rewritten as one JSON document); a file that
+// doesn't parse is moved aside so it can't block every launch
+const LEGACY_DATA_FILE = FileSystem.documentDirectory + 'sensor_data.json';
+const LEGACY_CORRUPT_FILE = LEGACY_DATA_FILE + '.corrupt';
+const LEGACY_MIGRATED_KEY = 'legacyJsonMigrated';
+
+// Raw readings before this time have been compacted (lib/retention.js)
+export const RAW_RETAINED_FROM_KEY = 'rawRetainedFrom';
+
+// Rough on-disk bytes per row, table + indexes; only used when SQLite was
+// built without the dbstat table
+const RAW_ROW_BYTES = 96;
+const AGGREGATE_ROW_BYTES = 64;
+
+// 9 bound params per row — stays under SQLite's 999 variable limit
+const INSERT_CHUNK_SIZE = 110;
+const LOOKUP_CHUNK_SIZE = 500;
+
+function rowToReading(row) {
+  return {
+    id: row.id,
+    deviceTimestamp: row.device_timestamp,
+    intensity: row.intensity,
+    receivedAt: row.received_at,
+    sampledAt: row.sampled_at,
+    timeConfidence: row.time_confidence,
+    deviceId: row.device_id,
+    utcOffsetMin: row.utc_offset_min,
+    calibrated: row.calibrated,
+    calibrationId: row.calibration_id,
+    calibrationUnit: row.calibration_id == null ? null : calibrationUnit(row.calibration_id),
+  };
+}
+
+// Optional device filter; null/undefined means every device
+function deviceClause(deviceId) {
+  return deviceId == null
+    ? { sql: '', params: [] }
+    : { sql: ' AND device_id = ?', params: [deviceId] };
+}
+
+// Readings in a calendar period (lib/calendar.js). Local-time periods are
+// matched on each reading's own wall clock; the instant range around them
+// keeps the sampled_at index in play.
+function periodClause(period) {
+  if (!period.local) {
+    return { sql: 'sampled_at >= ? AND sampled_at < ?', params: [period.start, period.end] };
+  }
+  return {
+    sql: `sampled_at >= ? AND sampled_at < ?
+      AND sampled_at + COALESCE(utc_offset_min, 0) * 60000 >= ?
+      AND sampled_at + COALESCE(utc_offset_min, 0) * 60000 < ?`,
+    params: [
+      period.wallStart - MAX_UTC_OFFSET_MS,
+      period.wallEnd + MAX_UTC_OFFSET_MS,
+      period.wallStart,
+      period.wallEnd,
+    ],
+  };
+}
+
+function isStorableReading(r) {
+  return (
+    r &&
+    Number.isFinite(Number(r.deviceTimestamp)) &&
+    Number.isFinite(Number(r.intensity)) &&
+    Number.isFinite(Number(r.receivedAt))
+  );
+}
+
+// Returns the rowid span of the inserted rows (ids are consecutive per statement)
+async function insertChunks(db, readings) {
+  let firstId = null;
+  let lastId = null;
+
+  for (let i = 0; i < readings.length; i += INSERT_CHUNK_SIZE) {
+    const chunk = readings.slice(i, i + INSERT_CHUNK_SIZE);
+    const placeholders = chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+    const params = chunk.flatMap((r) => {
+      // readings without a reconstructed time fall back to when they arrived
+      const sampledAt = Number.isFinite(Number(r.sampledAt)) ? Number(r.sampledAt) : Number(r.receivedAt);
+      // converted at ingest unless the caller already did (lib/calibration.js)
+      const { calibrated, calibrationId } = r.calibrationId != null ? r : calibrateReading(r);
+      return [
+        Number(r.deviceTimestamp),
+        Number(r.intensity),
+        Number(r.receivedAt),
+        sampledAt,
+        r.timeConfidence ?? TIME_CONFIDENCE.LOW,
+        r.deviceId ?? null,
+        // imports carry the offset they were recorded with; new samples get the phone's
+        r.utcOffsetMin != null && Number.isFinite(Number(r.utcOffsetMin))
+          ? Math.round(Number(r.utcOffsetMin))
+          : zoneOffsetMinutes(sampledAt),
+        calibrated,
+        calibrationId,
+      ];
+    });
+
+    const result = await db.runAsync(
+      `INSERT INTO readings
+         (device_timestamp, intensity, received_at, sampled_at, time_confidence, device_id, utc_offset_min,
+          calibrated, calibration_id)
+       VALUES ${placeholders}`,
+      params
+    );
+
+    if (firstId === null) firstId = result.lastInsertRowId - result.changes + 1;
+    lastId = result.lastInsertRowId;
+  }
+
+  return { firstId, lastId };
+}
+
+// ------------------------------
+// Writes
+// ------------------------------
+export async function insertReadings(readings) {
+  const valid = readings.filter(isStorableReading);
+  if (!valid.length) return 0;
+
+  const db = await getDatabase();
+  await db.withTransactionAsync(() => insertChunks(db, valid));
+  return valid.length;
+}
+
+// Insert a synced batch, its quarantined lines ({ entries, deviceId }) and
+// the sync cursor in one transaction, then read the rows back. Resolves only
+// once the batch is confirmed on disk.
+export async function commitSyncBatch(readings, cursorKey, cursor, { quarantine = null } = {}) {
+  const valid = readings.filter(isStorableReading);
+  const db = await getDatabase();
+  let span = { firstId: null, lastId: null };
+
+  await db.withTransactionAsync(async () => {
+    if (valid.length) span = await insertChunks(db, valid);
+    if (quarantine?.entries.length) {
+      await insertQuarantineRows(db, quarantine.entries, { deviceId: quarantine.deviceId });
+    }
+    await setMeta(cursorKey, cursor);
+  });
+
+  if (valid.length) {
+    const row = await db.getFirstAsync(
+      'SELECT COUNT(*) AS n FROM readings WHERE id BETWEEN ? AND ?',
+      [span.firstId, span.lastId]
+    );
+    if ((row?.n ?? 0) !== valid.length) {
+      throw new Error(`Commit check failed: expected ${valid.length} rows, found ${row?.n ?? 0}`);
+    }
+  }
+
+  return valid.length;
+}
+
+export async function clearReadings() {
+  const db = await getDatabase();
+  await db.runAsync('DELETE FROM readings');
+  await db.execAsync('VACUUM');
+}
+
+// ------------------------------
+// Range queries ([start, end) on sampledAt, or a calendar period; oldest first)
+// Pass a deviceId to restrict to one necklace.
+// ------------------------------
+export async function getReadingsInRange(start, end, deviceId = null) {
+  const db = await getDatabase();
+  const device = deviceClause(deviceId);
+  const rows = await db.getAllAsync(
+    `SELECT * FROM readings WHERE sampled_at >= ? AND sampled_at < ?${device.sql}
+     ORDER BY sampled_at ASC, id ASC`,
+    [start, end, ...device.params]
+  );
+  return rows.map(rowToReading);
+}
+
+export async function countReadingsInRange(start, end, deviceId = null) {
+  const db = await getDatabase();
+  const device = deviceClause(deviceId);
+  const row = await db.getFirstAsync(
+    `SELECT COUNT(*) AS n FROM readings WHERE sampled_at >= ? AND sampled_at < ?${device.sql}`,
+    [start, end, ...device.params]
+  );
+  return row?.n ?? 0;
+}
+
+export async function getReadingsInPeriod(period, deviceId = null) {
+  const db = await getDatabase();
+  const range = periodClause(period);
+  const device = deviceClause(deviceId);
+  const rows = await db.getAllAsync(
+    `SELECT * FROM readings WHERE ${range.sql}${device.sql} ORDER BY sampled_at ASC, id ASC`,
+    [...range.params, ...device.params]
+  );
+  return rows.map(rowToReading);
+}
+
+export async function countReadingsInPeriod(period, deviceId = null) {
+  const db = await getDatabase();
+  const range = periodClause(period);
+  const device = deviceClause(deviceId);
+  const row = await db.getFirstAsync(
+    `SELECT COUNT(*) AS n FROM readings WHERE ${range.sql}${device.sql}`,
+    [...range.params, ...device.params]
+  );
+  return row?.n ?? 0;
+}
+
+export async function getSortedReadings(limit = -1, deviceId = null) {
+  const db = await getDatabase();
+  const device = deviceClause(deviceId);
+  const rows = await db.getAllAsync(
+    `SELECT * FROM readings WHERE 1 = 1${device.sql} ORDER BY sampled_at DESC, id DESC LIMIT ?`,
+    [...device.params, limit]
+  );
+  return rows.map(rowToReading);
+}
+
+// ------------------------------
+// Duplicate lookups
+// Stored { deviceId, deviceTimestamp, sampledAt } for the given device counters
+// ------------------------------
+export async function getStoredSamples(deviceTimestamps) {
+  const db = await getDatabase();
+  const timestamps = [...new Set(deviceTimestamps.map(Number))];
+  const samples = [];
+
+  for (let i = 0; i < timestamps.length; i += LOOKUP_CHUNK_SIZE) {
+    const chunk = timestamps.slice(i, i + LOOKUP_CHUNK_SIZE);
+    const rows = await db.getAllAsync(
+      `SELECT device_id, device_timestamp, sampled_at FROM readings
+       WHERE device_timestamp IN (${chunk.map(() => '?').join(', ')})`,
+      chunk
+    );
+    rows.forEach((row) =>
+      samples.push({
+        deviceId: row.device_id,
+        deviceTimestamp: row.device_timestamp,
+        sampledAt: row.sampled_at,
+      })
+    );
+  }
+
+  return samples;
+}
+
+export async function getRawRetainedFrom() {
+  return getMeta(RAW_RETAINED_FROM_KEY, 0);
+}
+
+// ------------------------------
+// Storage metrics
+// sizeKB is the database file; rawKB / aggregateKB are the pages held by
+// each table and its indexes; freeKB is reusable space a VACUUM would return.
+// ------------------------------
+
+// table → bytes, or null without dbstat
+async function tableBytes(db) {
+  try {
+    const rows = await db.getAllAsync(
+      `SELECT m.tbl_name AS tbl, SUM(s.pgsize) AS bytes
+       FROM dbstat s JOIN sqlite_master m ON m.name = s.name
+       GROUP BY m.tbl_name`
+    );
+    return Object.fromEntries(rows.map((row) => [row.tbl, row.bytes]));
+  } catch {
+    return null;
+  }
+}
+
+export async function getStorageStats() {
+  const db = await getDatabase();
+  const count = await db.getFirstAsync('SELECT COUNT(*) AS n FROM readings');
+  const buckets = await db.getFirstAsync('SELECT COUNT(*) AS n FROM reading_aggregates');
+  const pages = await db.getFirstAsync('PRAGMA page_count');
+  const free = await db.getFirstAsync('PRAGMA freelist_count');
+  const pageSize = await db.getFirstAsync('PRAGMA page_size');
+
+  const totalReadings = count?.n ?? 0;
+  const aggregateBuckets = buckets?.n ?? 0;
+  const bytes = await tableBytes(db);
+
+  return {
+    sizeKB: ((pages?.page_count ?? 0) * (pageSize?.page_size ?? 0)) / 1024,
+    freeKB: ((free?.freelist_count ?? 0) * (pageSize?.page_size ?? 0)) / 1024,
+    rawKB: (bytes ? bytes.readings ?? 0 : totalReadings * RAW_ROW_BYTES) / 1024,
+    aggregateKB: (bytes ? bytes.reading_aggregates ?? 0 : aggregateBuckets * AGGREGATE_ROW_BYTES) / 1024,
+    sizesEstimated: !bytes,
+    totalReadings,
+    aggregateBuckets,
+  };
+}
+
+// ------------------------------
+// One-time import of sensor_data.json
+// Accepts both shapes the old loader understood:
+//   [ reading, ... ]                  (legacy bare array)
+//   { readings: [...], stats: {...} } (stats are recomputed, not imported)
+// ------------------------------
+export async function migrateLegacyJson() {
+  const info = await FileSystem.getInfoAsync(LEGACY_DATA_FILE);
+  if (!info.exists) return 0;
+
+  // A previous run committed the rows but was killed before deleting the file
+  if (await getMeta(LEGACY_MIGRATED_KEY, false)) {
+    await FileSystem.deleteAsync(LEGACY_DATA_FILE, { idempotent: true });
+    return 0;
+  }
+
+  let saved;
+  try {
+    saved = JSON.parse(await FileSystem.readAsStringAsync(LEGACY_DATA_FILE));
+  } catch (err) {
+    console.warn('[ERROR] sensor_data.json is unreadable, moving it to sensor_data.json.corrupt:', err);
+    try {
+      await FileSystem.deleteAsync(LEGACY_CORRUPT_FILE, { idempotent: true });
+      await FileSystem.moveAsync({ from: LEGACY_DATA_FILE, to: LEGACY_CORRUPT_FILE });
+    } catch (moveErr) {
+      console.warn('[ERROR] Failed to move sensor_data.json aside:', moveErr);
+    }
+    return 0;
+  }
+
+  const readings = Array.isArray(saved) ? saved : saved?.readings ?? [];
+  const valid = readings.filter(isStorableReading);
+
+  const db = await getDatabase();
+  await db.withTransactionAsync(async () => {
+    await insertChunks(db, valid);
+    await setMeta(LEGACY_MIGRATED_KEY, true);
+  });
+
+  await FileSystem.deleteAsync(LEGACY_DATA_FILE, { idempotent: true });
+  console.log(
+    `[MIGRATE] Imported ${valid.length} readings from sensor_data.json` +
+      (valid.length < readings.length ? ` (${readings.length - valid.length} skipped)` : '')
+  );
+  return valid.length;
+}
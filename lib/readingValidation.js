@@ -0,0 +1,170 @@
+// lib/readingValidation.js
+//
+// Every reading line from the necklace passes through here before it is
+// stored:
+//   1. shape    exactly "<deviceTimestamp>,<intensity>", both plain numbers
+//   2. range    counter a non-negative integer, intensity within sensor range
+//   3. order    within a dump, a lone step backwards is a glitch (quarantined);
+//               a lasting one is a reboot (kept, see lib/clockSync.js)
+//   4. dedupe   same device + counter already stored (or earlier in the batch)
+//               at about the same time — repeated GETs before a CLEAR
+//
+// Rejected lines go to the quarantine log (lib/quarantineStore.js) with a
+// reason; duplicates are only counted.
+
+import { getStoredSamples } from './readingStore';
+
+export const REJECT_REASON = {
+  COLUMN_COUNT: 'column_count',
+  NOT_NUMERIC: 'not_numeric',
+  OUT_OF_RANGE: 'out_of_range',
+  NON_MONOTONIC: 'non_monotonic',
+};
+
+// 16-bit light sensor
+export const INTENSITY_RANGE = { min: 0, max: 65535 };
+
+// Same device + counter within this window is the same sample. Anything
+// further apart is a later boot that happened to reuse the counter.
+export const DUPLICATE_TOLERANCE_MS = 2 * 60 * 1000;
+
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+// Status replies and prompts aren't readings; anything starting with a
+// counter and a comma (or just a counter) is meant to be one
+export function looksLikeReading(line) {
+  return /^\s*\d+\s*(,|$)/.test(line);
+}
+
+// ------------------------------
+// 1 + 2. One line → { reading } | { rejected: { line, reason, detail } }
+// ------------------------------
+function reject(line, reason, detail) {
+  return { rejected: { line, reason, detail } };
+}
+
+function validateLine(line, receivedAt) {
+  const fields = line.split(',').map((f) => f.trim());
+  if (fields.length !== 2) {
+    return reject(line, REJECT_REASON.COLUMN_COUNT, `${fields.length} column(s), expected 2`);
+  }
+
+  const [ts, val] = fields;
+  if (!NUMBER.test(ts) || !NUMBER.test(val)) {
+    return reject(line, REJECT_REASON.NOT_NUMERIC, 'timestamp and intensity must be numbers');
+  }
+
+  const deviceTimestamp = Number(ts);
+  const intensity = Number(val);
+  if (!Number.isSafeInteger(deviceTimestamp) || deviceTimestamp < 0) {
+    return reject(line, REJECT_REASON.OUT_OF_RANGE, `timestamp ${ts} is not a counter value`);
+  }
+  if (intensity < INTENSITY_RANGE.min || intensity > INTENSITY_RANGE.max) {
+    return reject(
+      line,
+      REJECT_REASON.OUT_OF_RANGE,
+      `intensity ${val} outside ${INTENSITY_RANGE.min}–${INTENSITY_RANGE.max}`
+    );
+  }
+
+  return { reading: { deviceTimestamp, intensity, receivedAt } };
+}
+
+// ------------------------------
+// 3. Order within a dump (device order). r is a glitch when it steps back
+// but the next reading picks up where the previous one left off.
+// ------------------------------
+function checkOrder(entries) {
+  const readings = [];
+  const rejected = [];
+  let duplicates = 0;
+
+  entries.forEach(({ line, reading }, i) => {
+    const prev = readings[readings.length - 1];
+    if (prev && reading.deviceTimestamp === prev.deviceTimestamp) {
+      duplicates++;
+      return;
+    }
+
+    const next = entries[i + 1]?.reading;
+    const stepsBack = prev && reading.deviceTimestamp < prev.deviceTimestamp;
+    if (stepsBack && next && next.deviceTimestamp > prev.deviceTimestamp) {
+      rejected.push({
+        line,
+        reason: REJECT_REASON.NON_MONOTONIC,
+        detail: `counter ${reading.deviceTimestamp} between ${prev.deviceTimestamp} and ${next.deviceTimestamp}`,
+      });
+      return;
+    }
+
+    readings.push(reading);
+  });
+
+  return { readings, rejected, duplicates };
+}
+
+// Lines → { readings, rejected: [{ line, reason, detail }], duplicates }
+export function validateReadingLines(lines, receivedAt) {
+  const entries = [];
+  const rejected = [];
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    const result = validateLine(line, receivedAt);
+    if (result.rejected) rejected.push(result.rejected);
+    else entries.push({ line, reading: result.reading });
+  }
+
+  const ordered = checkOrder(entries);
+  return {
+    readings: ordered.readings,
+    rejected: [...rejected, ...ordered.rejected],
+    duplicates: ordered.duplicates,
+  };
+}
+
+// ------------------------------
+// 4. Known samples — device + counter + approximate sample time.
+// Untagged readings (legacy files, pre-pairing rows) match any device.
+// ------------------------------
+const ANY_DEVICE = '*';
+const sampleKey = (deviceId, deviceTimestamp) => `${deviceId ?? ''}|${deviceTimestamp}`;
+
+export function createSampleIndex() {
+  const seen = new Map(); // sampleKey → sampledAt values
+
+  return {
+    remember({ deviceId, deviceTimestamp, sampledAt }) {
+      for (const key of [sampleKey(deviceId, deviceTimestamp), sampleKey(ANY_DEVICE, deviceTimestamp)]) {
+        if (!seen.has(key)) seen.set(key, []);
+        seen.get(key).push(sampledAt);
+      }
+    },
+    has({ deviceId, deviceTimestamp, sampledAt }) {
+      const keys = deviceId
+        ? [sampleKey(deviceId, deviceTimestamp), sampleKey(null, deviceTimestamp)]
+        : [sampleKey(ANY_DEVICE, deviceTimestamp)];
+      return keys.some((key) =>
+        (seen.get(key) ?? []).some((t) => Math.abs(t - sampledAt) <= DUPLICATE_TOLERANCE_MS)
+      );
+    },
+  };
+}
+
+// Aligned readings (with sampledAt) → { fresh, duplicates }
+export async function dropStoredDuplicates(readings) {
+  if (!readings.length) return { fresh: [], duplicates: 0 };
+
+  const index = createSampleIndex();
+  (await getStoredSamples(readings.map((r) => r.deviceTimestamp))).forEach(index.remember);
+
+  const fresh = [];
+  for (const reading of readings) {
+    if (index.has(reading)) continue;
+    fresh.push(reading);
+    index.remember(reading);
+  }
+  return { fresh, duplicates: readings.length - fresh.length };
+}
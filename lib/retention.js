@@ -0,0 +1,328 @@
+// lib/retention.js
+//
+// Retention policy for raw readings. Raw rows older than `rawDays` are
+// folded into per-minute or per-hour aggregates (reading_aggregates) and
+// deleted; aggregates older than `aggregateDays` are dropped. With a size
+// cap, older raw days are compacted early (today and yesterday always stay
+// raw) and then the oldest aggregates go.
+//
+//   { rawDays, aggregate: 'minute' | 'hour' | 'none', aggregateDays, maxSizeMB }
+//   aggregateDays / maxSizeMB: 0 = no limit
+//
+// Compaction works one calendar day per transaction and yields in between, so
+// inserts and queries from the UI interleave with it. The rollup of every day
+// a compacted reading counts on is brought up to date before its raw readings
+// go (see lib/rollupStore.js).
+
+import { getCalendar } from './calendar';
+import { getDatabase, getMeta, setMeta } from './db';
+import { getRawRetainedFrom, getStorageStats, RAW_RETAINED_FROM_KEY } from './readingStore';
+import { updateRollups } from './rollupStore';
+
+const RETENTION_POLICY_KEY = 'retentionPolicy';
+const LAST_COMPACTION_KEY = 'lastCompaction';
+
+export const AGGREGATE_RESOLUTION = { MINUTE: 'minute', HOUR: 'hour', NONE: 'none' };
+
+const BUCKET_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000 };
+
+export const DEFAULT_RETENTION_POLICY = {
+  rawDays: 90,
+  aggregate: AGGREGATE_RESOLUTION.MINUTE,
+  aggregateDays: 0,
+  maxSizeMB: 0,
+};
+
+// The live chart and stats read raw readings from yesterday onwards
+const MIN_RAW_DAYS = 2;
+
+// Only rewrite the file when at least this much of it is free pages
+const VACUUM_MIN_FREE_BYTES = 1024 * 1024;
+
+function sanitize(saved) {
+  const policy = { ...DEFAULT_RETENTION_POLICY };
+  const { rawDays, aggregate, aggregateDays, maxSizeMB } = saved ?? {};
+
+  if (Number.isInteger(rawDays) && rawDays >= MIN_RAW_DAYS) policy.rawDays = rawDays;
+  if (Object.values(AGGREGATE_RESOLUTION).includes(aggregate)) policy.aggregate = aggregate;
+  if (Number.isInteger(aggregateDays) && aggregateDays >= 0) policy.aggregateDays = aggregateDays;
+  if (Number.isFinite(maxSizeMB) && maxSizeMB >= 0) policy.maxSizeMB = maxSizeMB;
+
+  // aggregates can't expire before the raw readings they summarize
+  if (policy.aggregateDays && policy.aggregateDays < policy.rawDays) policy.aggregateDays = policy.rawDays;
+  return policy;
+}
+
+export async function loadRetentionPolicy() {
+  return sanitize(await getMeta(RETENTION_POLICY_KEY, {}));
+}
+
+export async function updateRetentionPolicy(changes) {
+  const policy = sanitize({ ...(await loadRetentionPolicy()), ...changes });
+  await setMeta(RETENTION_POLICY_KEY, policy);
+  return policy;
+}
+
+export function getLastCompaction() {
+  return getMeta(LAST_COMPACTION_KEY, null);
+}
+
+function rawCutoff(policy, now) {
+  return getCalendar().dayStart(now, -policy.rawDays);
+}
+
+function aggregateCutoff(policy, now) {
+  return policy.aggregateDays ? getCalendar().dayStart(now, -policy.aggregateDays) : 0;
+}
+
+// Size cap never compacts past this
+function capFloor(now) {
+  return getCalendar().dayStart(now, -(MIN_RAW_DAYS - 1));
+}
+
+async function usedBytes(db) {
+  const pages = await db.getFirstAsync('PRAGMA page_count');
+  const free = await db.getFirstAsync('PRAGMA freelist_count');
+  const pageSize = await db.getFirstAsync('PRAGMA page_size');
+  return ((pages?.page_count ?? 0) - (free?.freelist_count ?? 0)) * (pageSize?.page_size ?? 0);
+}
+
+function yieldToUI() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// ------------------------------
+// Compaction steps
+// ------------------------------
+
+// Fold one calendar day of raw readings into aggregates, then delete them.
+// Resolves with the number of raw readings removed.
+async function compactDay(db, dayStart, resolution) {
+  const dayEnd = getCalendar().dayStart(dayStart, 1);
+
+  // final rollups while every raw reading is still there; in local-time mode
+  // the first and last reading per offset find every day this one touches
+  const touched = await db.getAllAsync(
+    `SELECT MIN(sampled_at) AS first, MAX(sampled_at) AS last, utc_offset_min
+     FROM readings WHERE sampled_at >= ? AND sampled_at < ? GROUP BY utc_offset_min`,
+    [dayStart, dayEnd]
+  );
+  await updateRollups(
+    touched.flatMap((row) => [
+      { sampledAt: row.first, utcOffsetMin: row.utc_offset_min },
+      { sampledAt: row.last, utcOffsetMin: row.utc_offset_min },
+    ])
+  );
+
+  let removed = 0;
+  await db.withTransactionAsync(async () => {
+    if (resolution !== AGGREGATE_RESOLUTION.NONE) {
+      const bucketMs = BUCKET_MS[resolution];
+      await db.runAsync(
+        `INSERT INTO reading_aggregates (resolution, device_id, bucket_start, count, sum, min, max)
+         SELECT ?, IFNULL(device_id, ''), (sampled_at / ${bucketMs}) * ${bucketMs},
+                COUNT(*), SUM(intensity), MIN(intensity), MAX(intensity)
+         FROM readings WHERE sampled_at >= ? AND sampled_at < ?
+         GROUP BY 2, 3
+         ON CONFLICT (resolution, device_id, bucket_start) DO UPDATE SET
+           count = count + excluded.count,
+           sum = sum + excluded.sum,
+           min = MIN(min, excluded.min),
+           max = MAX(max, excluded.max)`,
+        [resolution, dayStart, dayEnd]
+      );
+    }
+
+    const result = await db.runAsync(
+      'DELETE FROM readings WHERE sampled_at >= ? AND sampled_at < ?',
+      [dayStart, dayEnd]
+    );
+    removed = result.changes;
+
+    const retainedFrom = await getRawRetainedFrom();
+    if (dayEnd > retainedFrom) await setMeta(RAW_RETAINED_FROM_KEY, dayEnd);
+  });
+  return removed;
+}
+
+// Per-minute buckets become per-hour ones after switching to 'hour'
+async function foldMinuteAggregates(db) {
+  const hourMs = BUCKET_MS.hour;
+  await db.withTransactionAsync(async () => {
+    await db.runAsync(
+      `INSERT INTO reading_aggregates (resolution, device_id, bucket_start, count, sum, min, max)
+       SELECT ?, device_id, (bucket_start / ${hourMs}) * ${hourMs},
+              SUM(count), SUM(sum), MIN(min), MAX(max)
+       FROM reading_aggregates WHERE resolution = ?
+       GROUP BY 2, 3
+       ON CONFLICT (resolution, device_id, bucket_start) DO UPDATE SET
+         count = count + excluded.count,
+         sum = sum + excluded.sum,
+         min = MIN(min, excluded.min),
+         max = MAX(max, excluded.max)`,
+      [AGGREGATE_RESOLUTION.HOUR, AGGREGATE_RESOLUTION.MINUTE]
+    );
+    await db.runAsync('DELETE FROM reading_aggregates WHERE resolution = ?', [AGGREGATE_RESOLUTION.MINUTE]);
+  });
+}
+
+async function oldestRawDay(db, before) {
+  const row = await db.getFirstAsync('SELECT MIN(sampled_at) AS first FROM readings WHERE sampled_at < ?', [before]);
+  return row?.first == null ? null : getCalendar().dayStart(row.first);
+}
+
+async function oldestAggregateDay(db) {
+  const row = await db.getFirstAsync('SELECT MIN(bucket_start) AS first FROM reading_aggregates');
+  return row?.first == null ? null : getCalendar().dayStart(row.first);
+}
+
+async function dropAggregatesBefore(db, before) {
+  const result = await db.runAsync('DELETE FROM reading_aggregates WHERE bucket_start < ?', [before]);
+  return result.changes;
+}
+
+// ------------------------------
+// Compaction run — one at a time
+// Resolves with { at, compactedReadings, removedBuckets, reclaimedKB, vacuumed }
+// ------------------------------
+let running = null;
+
+export function runCompaction(policy, now = Date.now()) {
+  if (!running) {
+    running = compact(policy, now).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+async function compact(policy, now) {
+  const db = await getDatabase();
+  const before = (await getStorageStats()).sizeKB;
+  let compactedReadings = 0;
+  let removedBuckets = 0;
+
+  // 1. raw readings past the retention window
+  const cutoff = rawCutoff(policy, now);
+  for (let day = await oldestRawDay(db, cutoff); day !== null; day = await oldestRawDay(db, cutoff)) {
+    compactedReadings += await compactDay(db, day, policy.aggregate);
+    await yieldToUI();
+  }
+
+  if (policy.aggregate === AGGREGATE_RESOLUTION.HOUR) await foldMinuteAggregates(db);
+
+  // 2. aggregates past theirs
+  const expired = aggregateCutoff(policy, now);
+  if (expired) removedBuckets += await dropAggregatesBefore(db, expired);
+
+  // 3. size cap: compact raw days early, then drop the oldest aggregates
+  if (policy.maxSizeMB) {
+    const capBytes = policy.maxSizeMB * 1024 * 1024;
+    const floor = capFloor(now);
+
+    while ((await usedBytes(db)) > capBytes) {
+      const day = await oldestRawDay(db, floor);
+      if (day === null) break;
+      compactedReadings += await compactDay(db, day, policy.aggregate);
+      await yieldToUI();
+    }
+
+    while ((await usedBytes(db)) > capBytes) {
+      const day = await oldestAggregateDay(db);
+      if (day === null) break;
+      removedBuckets += await dropAggregatesBefore(db, getCalendar().dayStart(day, 1));
+      await yieldToUI();
+    }
+  }
+
+  // deleted rows only free pages inside the file; give them back when it's worth it
+  const { freeKB } = await getStorageStats();
+  const vacuumed = freeKB * 1024 >= VACUUM_MIN_FREE_BYTES;
+  if (vacuumed) {
+    await db.execAsync('VACUUM');
+    await db.execAsync('PRAGMA wal_checkpoint(TRUNCATE)');
+  }
+
+  const report = {
+    at: Date.now(),
+    compactedReadings,
+    removedBuckets,
+    reclaimedKB: Math.max(0, before - (await getStorageStats()).sizeKB),
+    vacuumed,
+  };
+  await setMeta(LAST_COMPACTION_KEY, report);
+  return report;
+}
+
+// ------------------------------
+// Preview — what the next run would remove, and roughly how much space that
+// returns (raw rows out, aggregate rows in). Size-cap work is included as
+// the amount over the cap.
+// ------------------------------
+export async function previewCompaction(policy, now = Date.now()) {
+  const db = await getDatabase();
+  const stats = await getStorageStats();
+  const cutoff = rawCutoff(policy, now);
+
+  const raw = await db.getFirstAsync('SELECT COUNT(*) AS n FROM readings WHERE sampled_at < ?', [cutoff]);
+  const rawReadings = raw?.n ?? 0;
+
+  let newBuckets = 0;
+  if (rawReadings && policy.aggregate !== AGGREGATE_RESOLUTION.NONE) {
+    const bucketMs = BUCKET_MS[policy.aggregate];
+    const row = await db.getFirstAsync(
+      `SELECT COUNT(*) AS n FROM (
+         SELECT 1 FROM readings WHERE sampled_at < ?
+         GROUP BY IFNULL(device_id, ''), sampled_at / ${bucketMs}
+       )`,
+      [cutoff]
+    );
+    newBuckets = row?.n ?? 0;
+  }
+
+  const expired = aggregateCutoff(policy, now);
+  const old = expired
+    ? await db.getFirstAsync('SELECT COUNT(*) AS n FROM reading_aggregates WHERE bucket_start < ?', [expired])
+    : null;
+  const expiredBuckets = old?.n ?? 0;
+
+  const rawRowKB = stats.totalReadings ? stats.rawKB / stats.totalReadings : 0;
+  const bucketKB = stats.aggregateBuckets ? stats.aggregateKB / stats.aggregateBuckets : rawRowKB;
+  let reclaimableKB = Math.max(0, rawReadings * rawRowKB - newBuckets * bucketKB) + expiredBuckets * bucketKB;
+
+  if (policy.maxSizeMB) {
+    const overKB = stats.sizeKB - stats.freeKB - reclaimableKB - policy.maxSizeMB * 1024;
+    if (overKB > 0) reclaimableKB += overKB;
+  }
+
+  return { rawReadings, expiredBuckets, reclaimableKB: reclaimableKB + stats.freeKB };
+}
+
+// ------------------------------
+// Queries — aggregates in [start, end), oldest first
+// ------------------------------
+export async function getAggregatesInRange(start, end, deviceId = null) {
+  const db = await getDatabase();
+  const device = deviceId == null ? { sql: '', params: [] } : { sql: ' AND device_id = ?', params: [deviceId] };
+  const rows = await db.getAllAsync(
+    `SELECT * FROM reading_aggregates WHERE bucket_start >= ? AND bucket_start < ?${device.sql}
+     ORDER BY bucket_start ASC`,
+    [start, end, ...device.params]
+  );
+  return rows.map((row) => ({
+    deviceId: row.device_id || null,
+    resolution: row.resolution,
+    start: row.bucket_start,
+    end: row.bucket_start + BUCKET_MS[row.resolution],
+    count: row.count,
+    avg: row.sum / row.count,
+    min: row.min,
+    max: row.max,
+  }));
+}
+
+export async function clearAggregates() {
+  const db = await getDatabase();
+  await db.runAsync('DELETE FROM reading_aggregates');
+  await setMeta(RAW_RETAINED_FROM_KEY, 0);
+}
@@ -0,0 +1,269 @@
+// lib/rollupStore.js
+//
+// Per-day, per-ISO-week and per-month aggregates of the readings table, so
+// history views never scan raw rows. Days are recomputed from their readings;
+// weeks and months are summed from their days. Boundaries come from the
+// calendar (lib/calendar.js): the home time zone, or each reading's own
+// local time.
+//
+//   { period, key, start, end, dose, coveredMs, aboveMs, avg, total, count,
+//     max, peakAt, hourly }
+//   key:    '2025-03-07' | '2025-W10' | '2025-03'
+//   dose:   time-weighted exposure in BLU·h (lib/exposure.js); avg is
+//           dose / covered hours
+//   total:  plain sum of intensities (kept for reference, not comparable)
+//   hourly: dose per wall-clock hour of day (24 entries)
+//
+// Days whose raw readings were compacted (lib/retention.js) keep the rollup
+// computed just before compaction; they are never recomputed, not even when
+// the calendar settings change.
+
+import * as FileSystem from 'expo-file-system/legacy';
+
+import { getDatabase } from './db';
+import { getReadingsInPeriod, getRawRetainedFrom } from './readingStore';
+import { computeExposure } from './exposure';
+import { CALENDAR_PERIOD, getCalendar } from './calendar';
+
+// Today-only summaries written before the rollups table; removed on backfill
+const LEGACY_DAILY_STATS_FILE = FileSystem.documentDirectory + 'daily_stats.json';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Offsets are whole quarter hours, so a quarter never straddles two days
+const QUARTER_HOUR_MS = 15 * 60 * 1000;
+
+export const ROLLUP_PERIOD = CALENDAR_PERIOD;
+
+// Day key of a wall-clock instant (calendar periods carry wallStart/wallEnd)
+function wallDayKey(wall) {
+  return new Date(wall).toISOString().slice(0, 10);
+}
+
+function rowToRollup(row) {
+  return {
+    period: row.period,
+    key: row.period_key,
+    start: row.start,
+    end: row.end,
+    dose: row.dose,
+    coveredMs: row.covered_ms,
+    aboveMs: row.above_ms,
+    avg: row.covered_ms ? row.dose / (row.covered_ms / HOUR_MS) : 0,
+    total: row.total,
+    count: row.count,
+    max: row.max,
+    peakAt: row.peak_at,
+    hourly: JSON.parse(row.hourly),
+  };
+}
+
+// ------------------------------
+// Aggregation (also used by range queries, lib/rangeStats.js)
+// ------------------------------
+export function summarizeReadings(readings, calendar) {
+  const exposure = computeExposure(readings, { calendar });
+  return {
+    dose: exposure.dose,
+    coveredMs: exposure.coveredMs,
+    aboveMs: exposure.aboveThresholdMs,
+    total: readings.reduce((acc, r) => acc + r.intensity, 0),
+    count: exposure.count,
+    max: exposure.maxIntensity,
+    peakAt: exposure.peakTime,
+    hourly: exposure.hourly.dose,
+  };
+}
+
+export function combineRollups(rollups) {
+  const hourly = new Array(24).fill(0);
+  let dose = 0;
+  let coveredMs = 0;
+  let aboveMs = 0;
+  let total = 0;
+  let count = 0;
+  let max = null;
+  let peakAt = null;
+
+  for (const r of rollups) {
+    dose += r.dose;
+    coveredMs += r.coveredMs;
+    aboveMs += r.aboveMs;
+    total += r.total;
+    count += r.count;
+    r.hourly.forEach((value, hour) => {
+      hourly[hour] += value;
+    });
+    if (r.max !== null && (max === null || r.max > max)) {
+      max = r.max;
+      peakAt = r.peakAt;
+    }
+  }
+
+  return { dose, coveredMs, aboveMs, total, count, max, peakAt, hourly };
+}
+
+async function saveRollup(db, period, bounds, summary) {
+  await db.runAsync(
+    `INSERT OR REPLACE INTO rollups
+       (period, period_key, start, end, dose, covered_ms, above_ms,
+        total, count, max, peak_at, hourly, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      period,
+      bounds.key,
+      bounds.start,
+      bounds.end,
+      summary.dose,
+      summary.coveredMs,
+      summary.aboveMs,
+      summary.total,
+      summary.count,
+      summary.max,
+      summary.peakAt,
+      JSON.stringify(summary.hourly),
+      Date.now(),
+    ]
+  );
+}
+
+// Batches, imports and clears can overlap; each recompute reads what the
+// previous one wrote, so run them one at a time
+let pending = Promise.resolve();
+function serialized(task) {
+  const run = pending.then(task);
+  pending = run.catch(() => {});
+  return run;
+}
+
+// ------------------------------
+// Updates
+// ------------------------------
+
+// Recompute the given calendar days (key → day period), then the weeks and
+// months they fall in. Resolves with the number of days touched.
+function recomputeDays(days, calendar) {
+  return serialized(async () => {
+    if (!days.size) return 0;
+
+    const db = await getDatabase();
+    const parents = { week: new Map(), month: new Map() };
+
+    for (const day of days.values()) {
+      await saveRollup(db, ROLLUP_PERIOD.DAY, day, summarizeReadings(await getReadingsInPeriod(day), calendar));
+
+      for (const period of [ROLLUP_PERIOD.WEEK, ROLLUP_PERIOD.MONTH]) {
+        const bounds = calendar.parentOf(period, day);
+        parents[period].set(bounds.key, bounds);
+      }
+    }
+
+    // day rows by key, so local-time days count wherever their instants fall
+    for (const [period, touched] of Object.entries(parents)) {
+      for (const bounds of touched.values()) {
+        const rows = await db.getAllAsync(
+          'SELECT * FROM rollups WHERE period = ? AND period_key >= ? AND period_key < ?',
+          [ROLLUP_PERIOD.DAY, wallDayKey(bounds.wallStart), wallDayKey(bounds.wallEnd)]
+        );
+        await saveRollup(db, period, bounds, combineRollups(rows.map(rowToRollup)));
+      }
+    }
+
+    return days.size;
+  });
+}
+
+// Recompute every calendar day containing one of `samples` — readings
+// ({ sampledAt, utcOffsetMin }) or plain timestamps — then their weeks and
+// months. Days already compacted are left alone.
+export async function updateRollups(samples) {
+  const calendar = getCalendar();
+  const retainedFrom = await getRawRetainedFrom();
+  const days = new Map();
+
+  for (const sample of samples) {
+    const ms = typeof sample === 'number' ? sample : sample?.sampledAt;
+    if (!Number.isFinite(ms) || ms < retainedFrom) continue;
+    const day = calendar.period(ROLLUP_PERIOD.DAY, ms, sample?.utcOffsetMin);
+    days.set(day.key, day);
+  }
+
+  return recomputeDays(days, calendar);
+}
+
+// Bring rollups in line with the readings table: days that have readings but
+// no rollup (or a different count), and rollups whose readings are gone.
+// Run on startup; cheap when nothing is stale.
+export async function backfillRollups() {
+  await FileSystem.deleteAsync(LEGACY_DAILY_STATS_FILE, { idempotent: true });
+
+  // compacted days have no (or only late-arriving) raw readings left
+  const calendar = getCalendar();
+  const retainedFrom = await getRawRetainedFrom();
+  const db = await getDatabase();
+
+  // SQLite can't place readings on the calendar; count them per quarter
+  // hour and offset, then per day here
+  const quarters = await db.getAllAsync(
+    `SELECT sampled_at / ${QUARTER_HOUR_MS} AS quarter, utc_offset_min,
+            MIN(sampled_at) AS first, COUNT(*) AS n
+     FROM readings WHERE sampled_at >= ? GROUP BY quarter, utc_offset_min`,
+    [retainedFrom]
+  );
+  const actual = new Map();
+  for (const row of quarters) {
+    const day = calendar.period(ROLLUP_PERIOD.DAY, row.first, row.utc_offset_min);
+    const entry = actual.get(day.key) ?? { day, n: 0 };
+    entry.n += row.n;
+    actual.set(day.key, entry);
+  }
+
+  const stored = await db.getAllAsync(
+    'SELECT period_key, count FROM rollups WHERE period = ? AND start >= ?',
+    [ROLLUP_PERIOD.DAY, retainedFrom]
+  );
+
+  const storedByDay = new Map(stored.map((row) => [row.period_key, row]));
+  const stale = new Map();
+  for (const [key, { day, n }] of actual) {
+    if (storedByDay.get(key)?.count !== n) stale.set(key, day);
+    storedByDay.delete(key);
+  }
+  for (const row of storedByDay.values()) {
+    if (row.count > 0) stale.set(row.period_key, calendar.dayOfKey(row.period_key));
+  }
+
+  return recomputeDays(stale, calendar);
+}
+
+// Calendar settings changed: drop every rollup that can still be recomputed
+// from raw readings and build them again on the new boundaries
+export async function rebuildRollups() {
+  const retainedFrom = await getRawRetainedFrom();
+  await serialized(async () => {
+    const db = await getDatabase();
+    await db.runAsync('DELETE FROM rollups WHERE end > ?', [retainedFrom]);
+  });
+  return backfillRollups();
+}
+
+export function clearRollups() {
+  return serialized(async () => {
+    const db = await getDatabase();
+    await db.runAsync('DELETE FROM rollups');
+  });
+}
+
+// ------------------------------
+// Queries — rollups of one period starting in [start, end), oldest first
+// ------------------------------
+export async function getRollups(period, start, end) {
+  if (!Object.values(ROLLUP_PERIOD).includes(period)) throw new Error(`Unknown rollup period: ${period}`);
+
+  const db = await getDatabase();
+  const rows = await db.getAllAsync(
+    'SELECT * FROM rollups WHERE period = ? AND start >= ? AND start < ? ORDER BY start ASC',
+    [period, start, end]
+  );
+  return rows.map(rowToRollup);
+}
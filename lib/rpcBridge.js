@@ -0,0 +1,101 @@
+// lib/rpcBridge.js
+//
+// Native end of the dashboard bridge (protocol in lib/bridgeProtocol.js).
+// Every request gets exactly one response; handler failures become error
+// replies instead of exceptions.
+
+import {
+  BRIDGE_VERSION,
+  METHODS,
+  EVENTS,
+  RPC_ERROR,
+  validateSchema,
+} from './bridgeProtocol';
+
+function rpcError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+//   getHandler(method) → (params) => result | Promise<result>
+//   post(message)      → deliver an envelope to the WebView
+//   onReady()          → after each successful handshake (replay current state)
+export function createRpcServer({ getHandler, post, onReady }) {
+  const respond = (id, body) => post({ type: 'response', v: BRIDGE_VERSION, id, ...body });
+
+  async function dispatch(msg) {
+    if (msg.v !== BRIDGE_VERSION) {
+      throw rpcError(
+        RPC_ERROR.VERSION_MISMATCH,
+        `Dashboard speaks bridge v${msg.v}, app speaks v${BRIDGE_VERSION}`
+      );
+    }
+
+    const spec = METHODS[msg.method];
+    if (!spec) throw rpcError(RPC_ERROR.UNKNOWN_METHOD, `Unknown method: ${msg.method}`);
+
+    const params = msg.params ?? {};
+    const paramsError = validateSchema(spec.params, params, 'params');
+    if (paramsError) throw rpcError(RPC_ERROR.INVALID_PARAMS, paramsError);
+
+    if (msg.method === 'hello') {
+      return { v: BRIDGE_VERSION, methods: Object.keys(METHODS), events: Object.keys(EVENTS) };
+    }
+
+    const handler = getHandler(msg.method);
+    if (!handler) throw rpcError(RPC_ERROR.UNKNOWN_METHOD, `No handler for ${msg.method}`);
+
+    let result;
+    try {
+      result = (await handler(params)) ?? null;
+    } catch (err) {
+      throw rpcError(err.code ?? RPC_ERROR.HANDLER_FAILED, err.message ?? String(err));
+    }
+
+    const resultError = validateSchema(spec.result, result, 'result');
+    if (resultError) throw rpcError(RPC_ERROR.INVALID_RESULT, resultError);
+    return result;
+  }
+
+  // Returns false for anything that isn't a bridge request (e.g. console logs)
+  function handleMessage(msg) {
+    if (msg?.type !== 'request') return false;
+
+    if (msg.id == null || typeof msg.method !== 'string') {
+      respond(msg.id ?? null, {
+        ok: false,
+        error: { code: RPC_ERROR.BAD_REQUEST, message: 'Request needs an id and a method' },
+      });
+      return true;
+    }
+
+    dispatch(msg)
+      .then((result) => {
+        respond(msg.id, { ok: true, result });
+        if (msg.method === 'hello') onReady?.();
+      })
+      .catch((err) => {
+        console.warn(`[BRIDGE] ${msg.method} failed (${err.code}): ${err.message}`);
+        respond(msg.id, {
+          ok: false,
+          error: { code: err.code ?? RPC_ERROR.HANDLER_FAILED, message: err.message },
+        });
+      });
+    return true;
+  }
+
+  // Broadcast; payloads that don't match the event schema are dropped
+  function emit(event, payload) {
+    const error = EVENTS[event]
+      ? validateSchema(EVENTS[event], payload, event)
+      : `Unknown event: ${event}`;
+    if (error) {
+      console.warn(`[BRIDGE] Not sending ${event}: ${error}`);
+      return;
+    }
+    post({ type: 'event', v: BRIDGE_VERSION, event, payload });
+  }
+
+  return { handleMessage, emit };
+}
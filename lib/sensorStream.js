@@ -0,0 +1,47 @@
+// lib/sensorStream.js
+//
+// Turns successive sensorLogData arrays into bridge events. The hook only ever
+// appends with [...prev, ...new], so an append keeps the old last element at
+// the same index; that becomes a `sensorDelta` carrying just the new readings.
+// Anything else (initial load, import, clear) becomes a `sensorReset` and the
+// dashboard refetches what it needs. Every event bumps `seq` so the dashboard
+// can spot a missed delta.
+
+export function createSensorStream() {
+  let seq = 0;
+  let previous = [];
+
+  return {
+    get seq() {
+      return seq;
+    },
+
+    // → { event, payload } to emit, or null when nothing changed
+    next(readings) {
+      const last = previous.length - 1;
+      const appended =
+        previous.length > 0 &&
+        readings.length >= previous.length &&
+        readings[last] === previous[last];
+
+      const added = appended ? readings.slice(previous.length) : null;
+      const changed = readings !== previous && !(appended && !added.length);
+      previous = readings;
+      if (!changed) return null;
+
+      seq += 1;
+      return appended
+        ? { event: 'sensorDelta', payload: { seq, readings: added } }
+        : { event: 'sensorReset', payload: { seq } };
+    },
+
+    // Readings sampled at or after `since`, as of `seq`: the dashboard applies
+    // deltas numbered seq + 1 onwards on top of this
+    snapshot(since) {
+      return {
+        seq,
+        readings: previous.filter((r) => (r.sampledAt ?? r.receivedAt) >= since),
+      };
+    },
+  };
+}
@@ -0,0 +1,180 @@
+// lib/syncCycle.js
+//
+// One transactional sync with the necklace:
+//   fetch → validate → align → dedupe → commit (+ cursor) → confirm → CLEAR
+//
+// The device log is only cleared once the readings are confirmed on disk,
+// together with the lines quarantined from the same dump; a dump that stored
+// nothing is never cleared. If the app dies or the link drops anywhere before
+// CLEARED, the cursor still says "pendingClear", so the next cycle resumes
+// with GET SINCE <ts> and nothing is lost or stored twice.
+//
+// A necklace that rebooted since then restarted its counter below the
+// cursor. INFO's clock (or SINCE coming back empty from a non-empty log)
+// gives that away; the cycle then reads the whole log and dedupes against
+// the store instead of trusting the cursor.
+
+import { getMeta } from './db';
+import { commitSyncBatch } from './readingStore';
+import { splitAtCounterResets } from './clockSync';
+import { COMMAND_ERROR } from './commandQueue';
+import { parseInfo } from './deviceInfo';
+import { validateReadingLines, dropStoredDuplicates } from './readingValidation';
+
+export const SYNC_CURSOR_KEY = 'syncCursor';
+
+export const SYNC_OUTCOME = {
+  SYNCED: 'synced',               // committed and device cleared
+  EMPTY: 'empty',                 // nothing on the device
+  CLEAR_PENDING: 'clear_pending', // committed, CLEAR failed — resume next cycle
+  FAILED: 'failed',               // nothing committed, device untouched
+};
+
+// Plain GET fallback: drop what the last commit already covered. Only the
+// first boot segment can overlap — after a counter reset everything is new.
+function dropAlreadySynced(readings, lastDeviceTimestamp) {
+  const [first = [], ...rest] = splitAtCounterResets(readings);
+  return [...first.filter((r) => r.deviceTimestamp > lastDeviceTimestamp), ...rest.flat()];
+}
+
+// Device counter and log fill right now; null on firmware without INFO
+async function readLogState(sendCommand) {
+  try {
+    const { clock, log } = parseInfo(await sendCommand('INFO'));
+    return { counter: clock?.counter ?? null, used: log?.used ?? null };
+  } catch (err) {
+    if (err.code !== COMMAND_ERROR.DEVICE_ERROR) throw err;
+    return null;
+  }
+}
+
+// → { lines, resumed, counterReset }
+async function fetchDump(sendCommand, resumeFrom) {
+  const fullGet = async (counterReset = false) =>
+    ({ lines: await sendCommand('GET', { coalesce: true }), resumed: false, counterReset });
+
+  if (resumeFrom == null) return fullGet();
+
+  const state = await readLogState(sendCommand);
+  if (state?.counter != null && state.counter < resumeFrom) {
+    console.log(`[SYNC] Device counter ${state.counter} is behind the cursor ${resumeFrom} — rebooted, reading the whole log`);
+    return fullGet(true);
+  }
+
+  let lines;
+  try {
+    lines = await sendCommand(`GET SINCE ${resumeFrom}`, { coalesce: true });
+  } catch (err) {
+    // older firmware doesn't know SINCE — filter locally instead
+    if (err.code !== COMMAND_ERROR.DEVICE_ERROR) throw err;
+    console.log('[SYNC] GET SINCE unsupported, falling back to GET');
+    return fullGet();
+  }
+
+  if (!lines.length && state?.used > 0) {
+    console.log(`[SYNC] GET SINCE ${resumeFrom} empty with ${state.used} samples logged — rebooted, reading the whole log`);
+    return fullGet(true);
+  }
+  return { lines, resumed: true, counterReset: false, logEmpty: state?.used === 0 };
+}
+
+// ------------------------------
+// Run one cycle
+//   sendCommand(cmd, opts) → Promise<lines>
+//   align(readings)        → readings with sampledAt (see clockSync)
+//   cursorKey              → meta key of this device's cursor
+//   deviceId               → recorded with quarantined lines
+// Resolves with { outcome, committed, rejected, quarantined, duplicates,
+// message } — never throws. rejected: [{ line, reason, detail }] (see
+// lib/readingValidation.js); quarantined: whether they are already stored.
+// ------------------------------
+export async function runSyncCycle({ sendCommand, align, cursorKey = SYNC_CURSOR_KEY, deviceId = null }) {
+  let committed = [];
+  let rejected = [];
+  let duplicates = 0;
+  let stored = false;
+
+  const result = (outcome, message) => ({
+    outcome,
+    committed: stored ? committed : [],
+    rejected,
+    quarantined: stored,
+    duplicates,
+    message,
+  });
+
+  try {
+    const cursor = await getMeta(cursorKey, null);
+    const resumeFrom = cursor?.pendingClear ? cursor.lastDeviceTimestamp : null;
+
+    // 1. fetch
+    const { lines, resumed, counterReset, logEmpty } = await fetchDump(sendCommand, resumeFrom);
+
+    // 2. validate
+    const parsed = validateReadingLines(lines, Date.now());
+    rejected = parsed.rejected;
+    duplicates = parsed.duplicates;
+    let readings = parsed.readings;
+    if (resumeFrom != null && !resumed && !counterReset) readings = dropAlreadySynced(readings, resumeFrom);
+
+    // 3 + 4. drop what a repeated GET already stored, then commit with the
+    // quarantined lines and the cursor, confirmed by read-back
+    if (readings.length || rejected.length) {
+      const deduped = await dropStoredDuplicates(align(readings));
+      committed = deduped.fresh;
+      duplicates += deduped.duplicates;
+      const lastDeviceTimestamp = readings.length
+        ? readings[readings.length - 1].deviceTimestamp
+        : cursor?.lastDeviceTimestamp ?? null;
+      await commitSyncBatch(
+        committed,
+        cursorKey,
+        { pendingClear: true, lastDeviceTimestamp, committedAt: Date.now() },
+        { quarantine: { entries: rejected, deviceId } }
+      );
+      stored = true;
+    }
+
+    // Nothing stored this time: leave the device log alone. A resumed cycle
+    // whose log is now empty finished its CLEAR last time.
+    if (!stored) {
+      if (resumed && logEmpty) {
+        await commitSyncBatch([], cursorKey, { ...cursor, pendingClear: false, committedAt: Date.now() });
+      }
+      return result(
+        SYNC_OUTCOME.EMPTY,
+        lines.length ? `No readings in ${lines.length} line(s) — device log left as is` : 'Device log empty'
+      );
+    }
+
+    // 5. only now is it safe to wipe the device
+    try {
+      await sendCommand('CLEAR');
+    } catch (err) {
+      return result(
+        SYNC_OUTCOME.CLEAR_PENDING,
+        `Committed ${committed.length} readings, CLEAR failed: ${err.message}`
+      );
+    }
+
+    const lastDeviceTimestamp = readings.length
+      ? readings[readings.length - 1].deviceTimestamp
+      : cursor?.lastDeviceTimestamp ?? null;
+    await commitSyncBatch([], cursorKey, {
+      pendingClear: false,
+      lastDeviceTimestamp,
+      committedAt: Date.now(),
+    });
+
+    return result(
+      SYNC_OUTCOME.SYNCED,
+      `Synced ${committed.length} readings` +
+        (resumeFrom != null ? ` (resumed after ${resumeFrom})` : '') +
+        (counterReset ? ', device rebooted since the last sync' : '') +
+        (duplicates ? `, ${duplicates} duplicates skipped` : '') +
+        (rejected.length ? `, ${rejected.length} lines quarantined` : '')
+    );
+  } catch (err) {
+    return result(stored ? SYNC_OUTCOME.CLEAR_PENDING : SYNC_OUTCOME.FAILED, `Sync failed: ${err.message}`);
+  }
+}
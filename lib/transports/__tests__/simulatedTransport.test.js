@@ -0,0 +1,158 @@
+// lib/transports/__tests__/simulatedTransport.test.js
+//
+// The simulated necklace driven the way the hook drives a real one:
+// notification chunks → line reader → command queue.
+
+import { createSimulatedTransport } from '../simulatedTransport';
+import { createLineReader } from '../../uartProtocol';
+import { createCommandQueue, COMMAND_ERROR } from '../../commandQueue';
+
+const DEVICE_ID = 'SIM-NECKLACE-1';
+
+// write(cmd) may be replaced to drop or delay commands on the way out
+async function connect(options = {}, { write } = {}) {
+  const transport = createSimulatedTransport({ notifyDelayMs: 1, connectDelayMs: 0, ...options });
+  const link = await transport.connect(DEVICE_ID);
+
+  const writes = [];
+  const queue = createCommandQueue({
+    write: async (cmd) => {
+      writes.push(cmd);
+      if (write) await write(cmd, link);
+      else await link.write(cmd + '\n');
+    },
+  });
+  const reader = createLineReader((line) => queue.handleLine(line));
+  link.onData((chunk) => reader.push(chunk));
+  link.onDisconnected(() => {
+    reader.reset();
+    queue.reset('link lost');
+  });
+
+  return { transport, link, queue, writes, sendCommand: (cmd, opts) => queue.enqueue(cmd, opts) };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('line buffer', () => {
+  test('reassembles lines split across notifications', async () => {
+    const { sendCommand, transport } = await connect({ backlogSamples: 12, chunkSize: 7, curve: 'constant' });
+
+    const lines = await sendCommand('GET');
+    expect(lines).toHaveLength(12);
+    lines.forEach((line) => expect(line).toMatch(/^\d+,40$/));
+    transport.destroy();
+  });
+
+  test('keeps a partial line until its newline arrives', () => {
+    const lines = [];
+    const reader = createLineReader((line) => lines.push(line));
+
+    reader.push('120,4');
+    expect(lines).toEqual([]);
+    reader.push('0\n180,41\n24');
+    expect(lines).toEqual(['120,40', '180,41']);
+    reader.reset();
+    reader.push('0,5\n');
+    expect(lines).toEqual(['120,40', '180,41', '0,5']);
+  });
+});
+
+describe('command queue', () => {
+  test('answers commands in order with their own reply lines', async () => {
+    const { sendCommand, transport } = await connect({ backlogSamples: 3 });
+
+    const [hello, dump, battery] = await Promise.all([sendCommand('HELLO'), sendCommand('GET'), sendCommand('BATT')]);
+    expect(hello).toEqual(['HELLO CAROT-SIM']);
+    expect(dump).toHaveLength(3);
+    expect(battery[0]).toMatch(/^BATT \d+ \d+$/);
+    transport.destroy();
+  });
+
+  test('rejects ERROR replies as device errors', async () => {
+    const { sendCommand, transport } = await connect({ supportsSince: false });
+
+    await expect(sendCommand('GET SINCE 10')).rejects.toMatchObject({ code: COMMAND_ERROR.DEVICE_ERROR });
+    transport.destroy();
+  });
+
+  test('retries a command whose reply never came', async () => {
+    let dropped = 0;
+    const { sendCommand, writes, transport } = await connect({}, {
+      write: async (cmd, link) => {
+        if (dropped++ === 0) return; // lost on the way out
+        await link.write(cmd + '\n');
+      },
+    });
+
+    await expect(sendCommand('HELLO', { timeoutMs: 30, quietMs: 10 })).resolves.toEqual(['HELLO CAROT-SIM']);
+    expect(writes).toEqual(['HELLO', 'HELLO']);
+    transport.destroy();
+  });
+
+  test('drops a late reply to the timed-out attempt before retrying', async () => {
+    let attempts = 0;
+    const { sendCommand, writes, transport } = await connect({ backlogSamples: 50, chunkSize: 10 }, {
+      write: async (cmd, link) => {
+        // the first dump starts after the command timed out, while a
+        // retry sent straight away would still be answering
+        if (attempts++ === 0) setTimeout(() => link.write(cmd + '\n'), 110);
+        else await link.write(cmd + '\n');
+      },
+    });
+
+    const dump = await sendCommand('GET', { timeoutMs: 100, quietMs: 80 });
+    expect(writes).toEqual(['GET', 'GET']);
+    expect(dump).toEqual(transport.simulator.log.map(([ts, intensity]) => `${ts},${intensity}`));
+    transport.destroy();
+  });
+
+  test('a late single-line reply is not handed to the next command', async () => {
+    let attempts = 0;
+    const { sendCommand, transport } = await connect({}, {
+      write: async (cmd, link) => {
+        // HELLO answers late the first time; BATT is slow to answer
+        if (cmd === 'HELLO' && attempts++ === 0) setTimeout(() => link.write(cmd + '\n'), 50);
+        else if (cmd === 'BATT') setTimeout(() => link.write(cmd + '\n'), 30);
+        else await link.write(cmd + '\n');
+      },
+    });
+
+    const [hello, battery] = await Promise.all([
+      sendCommand('HELLO', { timeoutMs: 30, quietMs: 40 }),
+      sendCommand('BATT'),
+    ]);
+    expect(hello).toEqual(['HELLO CAROT-SIM']);
+    expect(battery[0]).toMatch(/^BATT \d+ \d+$/);
+    transport.destroy();
+  });
+
+  test('times out once the retries run out', async () => {
+    const { sendCommand, writes, transport } = await connect({}, { write: async () => {} });
+
+    await expect(sendCommand('HELLO', { timeoutMs: 20, retries: 2 })).rejects.toMatchObject({
+      code: COMMAND_ERROR.TIMEOUT,
+    });
+    expect(writes).toHaveLength(3);
+    transport.destroy();
+  });
+
+  test('fails everything in flight when the link drops', async () => {
+    const { sendCommand, transport } = await connect({ backlogSamples: 200, chunkSize: 10 });
+
+    const dump = sendCommand('GET');
+    const queued = sendCommand('HELLO');
+    setTimeout(() => transport.simulator.dropLink(), 5);
+
+    await expect(dump).rejects.toMatchObject({ code: COMMAND_ERROR.DISCONNECTED });
+    await expect(queued).rejects.toMatchObject({ code: COMMAND_ERROR.DISCONNECTED });
+    expect(transport.simulator.log).toHaveLength(200);
+    transport.destroy();
+  });
+});
@@ -0,0 +1,128 @@
+// lib/transports/bleTransport.js
+//
+// Real necklace over Nordic UART (react-native-ble-plx).
+// See lib/transports/index.js for the transport interface.
+
+import { BleManager, BleErrorCode } from 'react-native-ble-plx';
+import { Buffer } from 'buffer';
+
+import { BLE_ERROR, makeConnectionError } from '../connectionErrors';
+import { TX_CHAR_UUID, RX_CHAR_UUID } from '../uartProtocol';
+
+const b64ToUtf8 = (b64) => Buffer.from(b64, 'base64').toString('utf8');
+const utf8ToB64 = (text) => Buffer.from(text).toString('base64');
+
+// BleError → typed connection error
+export function classifyBleError(err) {
+  switch (err?.errorCode) {
+    case BleErrorCode.BluetoothPoweredOff:
+    case BleErrorCode.BluetoothUnsupported:
+    case BleErrorCode.BluetoothResetting:
+      return makeConnectionError(BLE_ERROR.BLUETOOTH_OFF, err.message);
+
+    case BleErrorCode.BluetoothUnauthorized:
+      return makeConnectionError(BLE_ERROR.PERMISSION_DENIED, err.message);
+
+    // a direct connect that times out means the necklace isn't in range
+    case BleErrorCode.DeviceNotFound:
+    case BleErrorCode.OperationTimedOut:
+      return makeConnectionError(BLE_ERROR.DEVICE_NOT_FOUND, err.message);
+
+    default:
+      return makeConnectionError(BLE_ERROR.GATT_FAILURE, err?.message ?? String(err));
+  }
+}
+
+async function findUartCharacteristics(device) {
+  let tx = null;
+  let rx = null;
+
+  const services = await device.services();
+  for (const s of services) {
+    const chars = await device.characteristicsForService(s.uuid);
+    for (const c of chars) {
+      if (c.uuid.toLowerCase() === TX_CHAR_UUID.toLowerCase()) tx = c;
+      if (c.uuid.toLowerCase() === RX_CHAR_UUID.toLowerCase()) rx = c;
+    }
+  }
+
+  return { tx, rx };
+}
+
+export function createBleTransport() {
+  const manager = new BleManager();
+
+  async function connect(deviceId, { timeout } = {}) {
+    let device;
+    try {
+      device = await manager.connectToDevice(deviceId, { timeout });
+    } catch (err) {
+      throw classifyBleError(err);
+    }
+
+    let tx;
+    let rx;
+    try {
+      await device.discoverAllServicesAndCharacteristics();
+      ({ tx, rx } = await findUartCharacteristics(device));
+      if (!tx || !rx) {
+        throw makeConnectionError(BLE_ERROR.GATT_FAILURE, 'UART service not found on device');
+      }
+    } catch (err) {
+      // don't leave a half-open link behind
+      await device.cancelConnection().catch(() => {});
+      throw err?.reason ? err : classifyBleError(err);
+    }
+
+    return {
+      id: device.id,
+      name: device.name,
+
+      write: (text) => rx.writeWithResponse(utf8ToB64(text)),
+
+      onData(listener) {
+        return tx.monitor((error, characteristic) => {
+          if (error) {
+            console.error('[ERROR] Notify error:', error);
+            return;
+          }
+          listener(b64ToUtf8(characteristic.value));
+        });
+      },
+
+      onDisconnected: (listener) => device.onDisconnected(() => listener()),
+
+      disconnect: () => device.cancelConnection(),
+    };
+  }
+
+  return {
+    name: 'ble',
+
+    state: () => manager.state(),
+    onStateChange: (listener) => manager.onStateChange(listener, false),
+
+    startScan(onDevice, onError, { serviceUUIDs = null } = {}) {
+      manager.startDeviceScan(serviceUUIDs, null, (err, device) => {
+        if (err) {
+          onError(classifyBleError(err));
+          return;
+        }
+        if (device) {
+          onDevice({
+            id: device.id,
+            name: device.name,
+            rssi: device.rssi,
+            serviceUUIDs: device.serviceUUIDs,
+          });
+        }
+      });
+    },
+
+    stopScan: () => manager.stopDeviceScan(),
+
+    connect,
+
+    destroy: () => manager.destroy(),
+  };
+}
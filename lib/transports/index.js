@@ -0,0 +1,34 @@
+// lib/transports/index.js
+//
+// Transport interface — everything the hook needs from a necklace link:
+//
+//   transport.state()                    → Promise<adapter state> ('PoweredOn', 'PoweredOff', ...)
+//   transport.onStateChange(listener)    → { remove }
+//   transport.startScan(onDevice, onError, { serviceUUIDs })
+//                                        onDevice({ id, name, rssi, serviceUUIDs }), may repeat per device
+//   transport.stopScan()
+//   transport.connect(deviceId, { timeout }) → Promise<connection>
+//   transport.destroy()
+//
+//   connection.write(text)               → Promise (text already newline-terminated)
+//   connection.onData(listener)          → { remove }  listener(textChunk)
+//   connection.onDisconnected(listener)  → { remove }
+//   connection.disconnect()              → Promise
+//
+// Failures are thrown as typed errors from lib/connectionErrors.js.
+// Pick the implementation in app.json: "extra": { "transport": "ble" | "simulated",
+// "simulator": { ...options for createSimulatedTransport } }.
+
+import Constants from 'expo-constants';
+
+import { DIAG_CATEGORY, logDiagnostic } from '../diagnostics';
+import { createBleTransport } from './bleTransport';
+import { createSimulatedTransport } from './simulatedTransport';
+
+export function createTransport(config = Constants.expoConfig?.extra ?? {}) {
+  if (config.transport === 'simulated') {
+    logDiagnostic(DIAG_CATEGORY.BLE, 'simulated_transport', { message: 'Using the simulated necklace transport' });
+    return createSimulatedTransport(config.simulator);
+  }
+  return createBleTransport();
+}
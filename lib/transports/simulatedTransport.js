@@ -0,0 +1,387 @@
+// lib/transports/simulatedTransport.js
+//
+// A necklace in software: speaks the same UART line protocol as the firmware
+// (HELLO / GET / GET SINCE <ts> / CLEAR, plus INFO / BATT / SET from
+// lib/deviceInfo.js) so the app — or a Jest suite on a
+// plain Linux machine — can run without Bluetooth hardware.
+//
+// Plain JS with no React Native imports. Samples are generated lazily from the
+// simulated clock whenever a command arrives, so there are no background timers.
+// See lib/transports/index.js for the transport interface.
+
+import { BLE_ERROR, errorFromAdapterState, makeConnectionError } from '../connectionErrors';
+import { SERVICE_UUID } from '../uartProtocol';
+
+const DEFAULT_OPTIONS = {
+  deviceId: 'SIM-NECKLACE-1',
+  deviceName: 'CIRCUITPY Simulator',
+  rssi: -55,
+  seed: 1,                   // PRNG seed — same seed, same run
+  tickMs: 1000,              // device counter unit (firmware counts seconds)
+  sampleIntervalMs: 60000,   // simulated time between logged samples
+  timeScale: 1,              // >1 runs the device clock faster than real time
+  curve: 'daylight',         // 'daylight' | 'constant' | 'random' | (wallMs) => intensity
+  baseIntensity: 40,
+  backlogSamples: 0,         // samples already in the log when the simulator starts
+  chunkSize: 20,             // bytes per notification (default ATT payload)
+  notifyDelayMs: 5,
+  malformedRate: 0,          // chance each dumped line is corrupted
+  disconnectRate: 0,         // chance a reply is cut off by a dropped link
+  scanDelayMs: 300,
+  connectDelayMs: 50,
+  supportsSince: true,       // false = answer GET SINCE with ERROR (older firmware)
+  supportsInfo: true,        // false = answer INFO / BATT / SET with ERROR (older firmware)
+  firmware: '1.4.0-sim',
+  logCapacity: 4096,         // samples; the oldest are overwritten when full
+  ledMode: 'AUTO',
+  batteryPercent: 100,       // at start
+  batteryDrainPerHour: 1,    // percent per simulated hour
+  adapterState: 'PoweredOn',
+  devices: null,             // [{ ...per-device overrides }] to simulate several necklaces
+};
+
+// mulberry32 — tiny deterministic PRNG
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Intensity curves over simulated wall-clock time
+const CURVES = {
+  constant: (wallMs, opts) => opts.baseIntensity,
+
+  random: (wallMs, opts, random) => Math.round(random() * opts.baseIntensity * 2),
+
+  // bright around midday, screen glow in the evening, dark at night
+  daylight: (wallMs, opts, random) => {
+    const d = new Date(wallMs);
+    const hour = d.getHours() + d.getMinutes() / 60;
+    const sun = Math.max(0, Math.sin(((hour - 6) / 14) * Math.PI));
+    const screens = hour >= 19 && hour < 24 ? 0.35 : 0;
+    const noise = 0.85 + random() * 0.3;
+    return Math.round(opts.baseIntensity * 2 * (sun + screens) * noise);
+  },
+};
+
+function corrupt(line, random) {
+  const [ts, val] = line.split(',');
+  const variants = [`${ts},abc`, `${ts}`, `${ts},${val},99`, `${ts},${val}`.slice(0, -1) + '#', '@@@'];
+  return variants[Math.floor(random() * variants.length)];
+}
+
+// ------------------------------
+// Simulated device — one necklace with its own clock, log and PRNG stream
+// ------------------------------
+function createDevice(opts) {
+  const random = createRandom(opts.seed);
+  const curve = typeof opts.curve === 'function' ? opts.curve : CURVES[opts.curve] ?? CURVES.daylight;
+
+  const startedAt = Date.now();
+  let bootedAt = startedAt;  // real time of the last (re)boot
+  let bootCounter = opts.backlogSamples * (opts.sampleIntervalMs / opts.tickMs);
+  let log = [];              // [deviceTimestamp, intensity]
+  let lastSampleCounter = 0;
+  let ledMode = opts.ledMode;
+
+  const simulatedWall = (realMs) => startedAt + (realMs - startedAt) * opts.timeScale;
+  const counterAt = (realMs) =>
+    Math.floor(bootCounter + ((realMs - bootedAt) * opts.timeScale) / opts.tickMs);
+
+  // Log every sample due since the last command
+  function catchUp() {
+    const now = counterAt(Date.now());
+    const step = opts.sampleIntervalMs / opts.tickMs;
+
+    for (let ts = lastSampleCounter + step; ts <= now; ts += step) {
+      const wall = simulatedWall(bootedAt) + (ts - bootCounter) * opts.tickMs;
+      log.push([Math.round(ts), Math.max(0, Math.round(curve(wall, opts, random)))]);
+      lastSampleCounter = ts;
+    }
+    if (log.length > opts.logCapacity) log = log.slice(-opts.logCapacity);
+  }
+
+  function batteryPercent() {
+    const hours = ((Date.now() - startedAt) * opts.timeScale) / 3600000;
+    return Math.max(0, Math.round(opts.batteryPercent - hours * opts.batteryDrainPerHour));
+  }
+
+  // backlog samples end at "now" on the device clock
+  catchUp();
+
+  function handleCommand(cmd) {
+    catchUp();
+    const [verb, arg, value] = cmd.trim().toUpperCase().split(/\s+/);
+
+    if (verb === 'HELLO') return ['HELLO CAROT-SIM'];
+
+    if (verb === 'GET') {
+      let entries = log;
+      if (arg === 'SINCE') {
+        if (!opts.supportsSince) return ['ERROR unknown command'];
+        entries = log.filter(([ts]) => ts > Number(value));
+      }
+
+      const lines = entries.map(([ts, v]) => {
+        const line = `${ts},${v}`;
+        return random() < opts.malformedRate ? corrupt(line, random) : line;
+      });
+      return [...lines, 'END'];
+    }
+
+    if (verb === 'CLEAR') {
+      log = [];
+      return ['CLEARED'];
+    }
+
+    if (['INFO', 'BATT', 'SET'].includes(verb) && !opts.supportsInfo) return [`ERROR unknown command ${verb}`];
+
+    if (verb === 'INFO') {
+      return [
+        `fw=${opts.firmware}`,
+        'model=CAROT-SIM',
+        `interval=${Math.round(opts.sampleIntervalMs / 1000)}`,
+        `led=${ledMode}`,
+        `log_used=${log.length}`,
+        `log_capacity=${opts.logCapacity}`,
+        `clock=${counterAt(Date.now())}`,
+        'END',
+      ];
+    }
+
+    if (verb === 'BATT') {
+      const percent = batteryPercent();
+      return [`BATT ${percent} ${Math.round(3300 + percent * 9)}`];
+    }
+
+    if (verb === 'SET' && arg === 'INTERVAL') {
+      const seconds = Number(value);
+      if (!Number.isInteger(seconds) || seconds < 1 || seconds > 3600) return ['ERROR bad interval'];
+      opts.sampleIntervalMs = seconds * 1000;
+      return [`OK INTERVAL ${seconds}`];
+    }
+
+    if (verb === 'SET' && arg === 'LED') {
+      if (!['ON', 'OFF', 'AUTO'].includes(value)) return ['ERROR bad led mode'];
+      ledMode = value;
+      return [`OK LED ${value}`];
+    }
+
+    return [`ERROR unknown command ${verb}`];
+  }
+
+  return {
+    opts,
+    random,
+    handleCommand,
+    link: null, // { dataListeners, disconnectListeners }
+
+    get log() {
+      catchUp();
+      return log.slice();
+    },
+    counter: () => counterAt(Date.now()),
+    reboot() {
+      catchUp();
+      bootedAt = Date.now();
+      bootCounter = 0;
+      lastSampleCounter = 0;
+    },
+  };
+}
+
+export function createSimulatedTransport(options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+
+  // one necklace unless `devices` lists several; ids/names/seeds default per index
+  const devices = new Map(
+    (opts.devices ?? [{}]).map((overrides, i) => {
+      const deviceOpts = {
+        ...opts,
+        ...(i > 0 && {
+          deviceId: `SIM-NECKLACE-${i + 1}`,
+          deviceName: `${opts.deviceName} ${i + 1}`,
+          seed: opts.seed + i,
+          rssi: opts.rssi - 8 * i,
+        }),
+        ...overrides,
+      };
+      return [deviceOpts.deviceId, createDevice(deviceOpts)];
+    })
+  );
+  const firstDevice = devices.values().next().value;
+
+  const stateListeners = new Set();
+  let adapterState = opts.adapterState;
+  let scanTimer = null;
+
+  // ------------------------------
+  // Link
+  // ------------------------------
+  function dropLink(device) {
+    const current = device.link;
+    if (!current) return;
+    device.link = null;
+    current.disconnectListeners.forEach((listener) => listener());
+  }
+
+  function dropAllLinks() {
+    devices.forEach((device) => dropLink(device));
+  }
+
+  function notify(device, text) {
+    const current = device.link;
+    if (!current) return;
+
+    const { chunkSize, disconnectRate, notifyDelayMs } = device.opts;
+    const chunks = [];
+    for (let i = 0; i < text.length; i += chunkSize) {
+      chunks.push(text.slice(i, i + chunkSize));
+    }
+
+    // a dropped link cuts the reply somewhere in the middle
+    const cutAt = device.random() < disconnectRate ? Math.floor(device.random() * chunks.length) : -1;
+
+    chunks.forEach((chunk, i) => {
+      setTimeout(() => {
+        if (device.link !== current) return;
+        if (i === cutAt) {
+          dropLink(device);
+          return;
+        }
+        current.dataListeners.forEach((listener) => listener(chunk));
+      }, notifyDelayMs * (i + 1));
+    });
+  }
+
+  function adapterError() {
+    return errorFromAdapterState(adapterState);
+  }
+
+  function stopScan() {
+    clearTimeout(scanTimer);
+    scanTimer = null;
+  }
+
+  async function connect(deviceId, { timeout } = {}) {
+    const error = adapterError();
+    if (error) throw error;
+
+    await new Promise((resolve) => setTimeout(resolve, opts.connectDelayMs));
+    const device = devices.get(deviceId);
+    if (!device) {
+      throw makeConnectionError(
+        BLE_ERROR.DEVICE_NOT_FOUND,
+        `Simulated device ${deviceId} not in range` + (timeout ? ` (waited ${timeout} ms)` : '')
+      );
+    }
+
+    dropLink(device);
+    const current = { dataListeners: new Set(), disconnectListeners: new Set() };
+    device.link = current;
+
+    const subscribe = (set) => (listener) => {
+      set.add(listener);
+      return { remove: () => set.delete(listener) };
+    };
+
+    return {
+      id: device.opts.deviceId,
+      name: device.opts.deviceName,
+
+      async write(text) {
+        if (device.link !== current) throw new Error('Simulated device not connected');
+        text
+          .split('\n')
+          .filter((line) => line.trim())
+          .forEach((line) => notify(device, device.handleCommand(line).join('\n') + '\n'));
+      },
+
+      onData: subscribe(current.dataListeners),
+      onDisconnected: subscribe(current.disconnectListeners),
+
+      async disconnect() {
+        if (device.link === current) dropLink(device);
+      },
+    };
+  }
+
+  return {
+    name: 'simulated',
+
+    state: async () => adapterState,
+
+    onStateChange(listener) {
+      stateListeners.add(listener);
+      return { remove: () => stateListeners.delete(listener) };
+    },
+
+    // every simulated necklace advertises the UART service, so the filter is moot
+    startScan(onDevice, onError) {
+      stopScan();
+      const error = adapterError();
+      if (error) {
+        onError(error);
+        return;
+      }
+
+      scanTimer = setTimeout(() => {
+        devices.forEach(({ opts: d }) => {
+          onDevice({ id: d.deviceId, name: d.deviceName, rssi: d.rssi, serviceUUIDs: [SERVICE_UUID] });
+        });
+      }, opts.scanDelayMs);
+    },
+
+    stopScan,
+
+    connect,
+
+    destroy() {
+      stopScan();
+      dropAllLinks();
+      stateListeners.clear();
+    },
+
+    // Test / demo controls — top-level shortcuts act on the first device
+    simulator: {
+      get log() {
+        return firstDevice.log;
+      },
+      counter: () => firstDevice.counter(),
+      reboot() {
+        firstDevice.reboot();
+        dropLink(firstDevice);
+      },
+      dropLink: () => dropLink(firstDevice),
+      device(deviceId) {
+        const device = devices.get(deviceId);
+        return device && {
+          get log() {
+            return device.log;
+          },
+          counter: () => device.counter(),
+          reboot() {
+            device.reboot();
+            dropLink(device);
+          },
+          dropLink: () => dropLink(device),
+          setOptions: (next) => Object.assign(device.opts, next),
+        };
+      },
+      setAdapterState(state) {
+        adapterState = state;
+        if (state !== 'PoweredOn') dropAllLinks();
+        stateListeners.forEach((listener) => listener(state));
+      },
+      setOptions(next) {
+        Object.assign(opts, next);
+        devices.forEach((device) => Object.assign(device.opts, next));
+      },
+    },
+  };
+}
@@ -0,0 +1,31 @@
+// lib/uartProtocol.js
+//
+// The necklace speaks newline-terminated text over a Nordic UART byte stream.
+// Notifications can split or merge lines arbitrarily, so every transport's
+// incoming chunks go through a line reader before reaching the protocol layer.
+
+// Nordic UART Service (TX = device → phone notifications, RX = phone → device writes)
+export const SERVICE_UUID = '6e400001-b5a3-f393-e0a9-e50e24dcca9e';
+export const TX_CHAR_UUID = '6e400003-b5a3-f393-e0a9-e50e24dcca9e';
+export const RX_CHAR_UUID = '6e400002-b5a3-f393-e0a9-e50e24dcca9e';
+
+export function createLineReader(onLine) {
+  let buffer = '';
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+
+      let idx;
+      while ((idx = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 1);
+        onLine(line);
+      }
+    },
+
+    reset() {
+      buffer = '';
+    },
+  };
+}